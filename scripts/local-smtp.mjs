@@ -0,0 +1,85 @@
+/**
+ * Yerel SMTP (yalnızca geliştirme): gelen e-postaları göndermeden ekrana basar.
+ *
+ *   npm run smtp:local              # localhost:1025
+ *   MAILER=smtp npm run dev         # uygulama e-postaları buraya gönderir
+ *
+ * Yalnızca düz SMTP (TLS ve kimlik doğrulama yok); gerçek bir sunucunun yerini tutmaz.
+ */
+import net from 'node:net';
+
+const PORT = Number(process.env.SMTP_PORT) || 1025;
+const HOST = process.env.SMTP_HOST || '127.0.0.1';
+
+function printMessage({ from, to, data }) {
+  const divider = '-'.repeat(60);
+  console.log(`${divider}\nFrom: ${from}\nTo: ${to.join(', ')}\n\n${data.trimEnd()}\n${divider}`);
+}
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let message = { from: '', to: [], data: '' };
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  reply('220 local-smtp ready');
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          printMessage(message);
+          message = { from: '', to: [], data: '' };
+          reply('250 OK');
+        } else {
+          message.data += `${line.startsWith('..') ? line.slice(1) : line}\n`;
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      const argument = line.slice(line.indexOf(':') + 1).trim().replace(/^<|>.*$/g, '');
+      switch (command) {
+        case 'EHLO':
+          reply('250-local-smtp');
+          reply('250 8BITMIME');
+          break;
+        case 'HELO':
+        case 'NOOP':
+          reply('250 OK');
+          break;
+        case 'MAIL':
+          message.from = argument;
+          reply('250 OK');
+          break;
+        case 'RCPT':
+          message.to.push(argument);
+          reply('250 OK');
+          break;
+        case 'DATA':
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+          break;
+        case 'RSET':
+          message = { from: '', to: [], data: '' };
+          reply('250 OK');
+          break;
+        case 'QUIT':
+          reply('221 Bye');
+          socket.end();
+          break;
+        default:
+          reply('502 Command not implemented');
+      }
+    }
+  });
+  socket.on('error', (error) => console.warn('SMTP connection error:', error.message));
+});
+
+server.listen(PORT, HOST, () => console.log(`Local SMTP listening on ${HOST}:${PORT}`));
@@ -0,0 +1,39 @@
+/**
+ * Arama indeksi geri doldurması: tüm tamamlanmış dokümanları sunucuda indeksleyip vektörler ve indeksi
+ * hazır işaretler (ilk kurulumda, SEARCH_INDEX_VERSION artırıldığında ya da bakım için).
+ *
+ *   npm run search:reindex                          # http://localhost:3000
+ *   APP_URL=https://... PROCESSING_HOOK_SECRET=... npm run search:reindex
+ *   npm run search:reindex -- --force               # güncel dokümanları da yeniden indeksle ve vektörle
+ */
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+const SECRET = process.env.PROCESSING_HOOK_SECRET;
+const force = process.argv.includes('--force');
+
+let cursor = null;
+let indexed = 0;
+let embedded = 0;
+const failed = [];
+do {
+  const res = await fetch(`${APP_URL}/api/documents/reindex`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(SECRET ? { Authorization: `Bearer ${SECRET}` } : {})
+    },
+    body: JSON.stringify({ cursor, force })
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    console.error(`Geri doldurma durdu (${res.status}): ${body.error || res.statusText}`);
+    process.exit(1);
+  }
+  indexed += body.indexed;
+  embedded += body.embedded;
+  failed.push(...body.failed);
+  cursor = body.nextCursor;
+  console.log(`${indexed} doküman indekslendi, ${embedded} doküman vektörlendi${cursor ? ` (son: ${cursor})` : ''}`);
+} while (cursor);
+
+if (failed.length) console.warn(`İndekslenemeyen ${failed.length} doküman: ${failed.join(', ')}`);
+console.log('Arama indeksi hazır.');
@@ -0,0 +1,22 @@
+'use client';
+
+import Link from 'next/link';
+import { ArrowLeft } from 'lucide-react';
+import AdminGate from '@/components/Admin/AdminGate';
+import SynonymManager from '@/components/Admin/SynonymManager';
+
+export default function SynonymsAdminPage() {
+  return (
+    <div className="min-h-screen bg-black">
+      <main className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <Link href="/" className="inline-flex items-center gap-2 text-sm text-neutral-400 hover:text-neutral-200">
+          <ArrowLeft className="h-4 w-4" />
+          Aramaya dön
+        </Link>
+        <AdminGate>
+          <SynonymManager />
+        </AdminGate>
+      </main>
+    </div>
+  );
+}
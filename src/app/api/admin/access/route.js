@@ -0,0 +1,16 @@
+import { NextResponse } from 'next/server';
+import { adminAuthError } from '@/lib/server/requestAuth';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/admin/access (yönetici talebi gerekli)
+ * Yönetim sayfaları açılmadan önce çağrılır. Yanıt: { admin: true }.
+ * Oturum yoksa 401, belirteçte `admin` talebi yoksa 403 döner.
+ */
+export async function GET(request) {
+  const authError = await adminAuthError(request);
+  if (authError) return authError;
+  return NextResponse.json({ admin: true });
+}
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { checkDocumentAlerts } from '@/lib/server/alerts';
+import { sharedSecretError } from '@/lib/server/requestAuth';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/alerts/check
+ * Uyarılar normalde işleme kancasında üretilir (bkz. /api/documents/processed); bu uç nokta kaçan
+ * dokümanlar için zamanlanmış görevden ya da elle çağrılır.
+ * ALERTS_CRON_SECRET tanımlıysa `Authorization: Bearer <secret>` gerekir; üretimde tanımlı olmalıdır.
+ * Gövde: { docId }
+ * Yanıt: { checked, notified }; doküman tamamlanmamışsa ya da daha önce kontrol edildiyse checked: false
+ */
+export async function POST(request) {
+  const authError = sharedSecretError(request, 'ALERTS_CRON_SECRET');
+  if (authError) return authError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Geçersiz istek gövdesi' }, { status: 400 });
+  }
+  if (typeof body?.docId !== 'string' || !body.docId) {
+    return NextResponse.json({ error: 'docId gerekli' }, { status: 400 });
+  }
+
+  try {
+    return NextResponse.json(await checkDocumentAlerts(body.docId));
+  } catch (error) {
+    console.error('Alert check API error:', error);
+    return NextResponse.json({ error: 'Kayıtlı arama uyarıları kontrol edilemedi' }, { status: 500 });
+  }
+}
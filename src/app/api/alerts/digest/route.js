@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { sendNotificationDigests } from '@/lib/server/alerts';
+import { sharedSecretError } from '@/lib/server/requestAuth';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/alerts/digest
+ * Zamanlanmış görevden (cron) çağrılır: e-posta özetlerini gönderir.
+ * ALERTS_CRON_SECRET tanımlıysa `Authorization: Bearer <secret>` gerekir; üretimde tanımlı olmalıdır.
+ * Yanıt: { sent, failed }
+ */
+export async function POST(request) {
+  const authError = sharedSecretError(request, 'ALERTS_CRON_SECRET');
+  if (authError) return authError;
+
+  try {
+    return NextResponse.json(await sendNotificationDigests());
+  } catch (error) {
+    console.error('Notification digest API error:', error);
+    return NextResponse.json({ error: 'E-posta özetleri gönderilemedi' }, { status: 500 });
+  }
+}
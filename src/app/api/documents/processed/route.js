@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { processCompletedDocument } from '@/lib/server/documentProcessing';
+import { sharedSecretError } from '@/lib/server/requestAuth';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/documents/processed
+ * Doküman işleme fonksiyonundan, doküman tamamlandığında çağrılır: arama indeksini ve vektörleri
+ * yazar, kayıtlı arama uyarılarını üretir (bkz. lib/server/documentProcessing).
+ * PROCESSING_HOOK_SECRET tanımlıysa `Authorization: Bearer <secret>` gerekir; üretimde tanımlı olmalıdır.
+ * Gövde: { docId }
+ * Yanıt: { indexed, embedded, notified }; doküman tamamlanmamışsa ya da zaten indekslenmişse indexed: false
+ */
+export async function POST(request) {
+  const authError = sharedSecretError(request, 'PROCESSING_HOOK_SECRET');
+  if (authError) return authError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Geçersiz istek gövdesi' }, { status: 400 });
+  }
+  if (typeof body?.docId !== 'string' || !body.docId) {
+    return NextResponse.json({ error: 'docId gerekli' }, { status: 400 });
+  }
+
+  try {
+    return NextResponse.json(await processCompletedDocument(body.docId));
+  } catch (error) {
+    console.error('Document processed hook error:', error);
+    return NextResponse.json({ error: 'Doküman son işlemleri tamamlanamadı' }, { status: 500 });
+  }
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { indexDocumentsBatch } from '@/lib/server/searchIndex';
+import { sharedSecretError } from '@/lib/server/requestAuth';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/documents/reindex
+ * Arama indeksi ve vektör geri doldurmasının bir adımı (bkz. scripts/reindex-search.mjs).
+ * PROCESSING_HOOK_SECRET tanımlıysa `Authorization: Bearer <secret>` gerekir; üretimde tanımlı olmalıdır.
+ * Gövde: { cursor?, force? } — ilk adımda cursor verilmez, sonrakilerde önceki yanıtın nextCursor'ı
+ * Yanıt: { indexed, embedded, failed, nextCursor }; nextCursor null ise geri doldurma bitmiş, indeks hazırdır
+ */
+export async function POST(request) {
+  const authError = sharedSecretError(request, 'PROCESSING_HOOK_SECRET');
+  if (authError) return authError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    body = {};
+  }
+  if (body?.cursor !== undefined && body.cursor !== null && typeof body.cursor !== 'string') {
+    return NextResponse.json({ error: 'Geçersiz cursor' }, { status: 400 });
+  }
+
+  try {
+    return NextResponse.json(await indexDocumentsBatch({ cursor: body?.cursor || null, force: body?.force === true }));
+  } catch (error) {
+    console.error('Search reindex API error:', error);
+    return NextResponse.json({ error: 'Arama indeksi güncellenemedi' }, { status: 500 });
+  }
+}
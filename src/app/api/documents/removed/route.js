@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { removeDocumentEmbeddingsOnServer } from '@/lib/server/embeddingIndex';
+import { userAuthError } from '@/lib/server/requestAuth';
+import { removeDocumentFromIndexOnServer } from '@/lib/server/searchIndex';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/documents/removed (oturum gerekli; anonim oturum da geçer)
+ * Tarayıcı dokümanı sildikten sonra çağırır: arama indeksindeki kayıtlarını ve vektörlerini kaldırır.
+ * Yalnızca artık var olmayan dokümanlar için iş yapar; var olan dokümanda 409 döner.
+ * Gövde: { docId }
+ * Yanıt: { removed, removedChunks }
+ */
+export async function POST(request) {
+  const authError = await userAuthError(request);
+  if (authError) return authError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Geçersiz istek gövdesi' }, { status: 400 });
+  }
+  if (typeof body?.docId !== 'string' || !body.docId) {
+    return NextResponse.json({ error: 'docId gerekli' }, { status: 400 });
+  }
+
+  try {
+    const { deleted, removed } = await removeDocumentFromIndexOnServer(body.docId);
+    if (!deleted) {
+      return NextResponse.json({ error: 'Doküman silinmemiş' }, { status: 409 });
+    }
+    const { removed: removedChunks } = await removeDocumentEmbeddingsOnServer(body.docId);
+    return NextResponse.json({ removed, removedChunks });
+  } catch (error) {
+    console.error('Document removed hook error:', error);
+    return NextResponse.json({ error: 'Doküman arama indeksinden çıkarılamadı' }, { status: 500 });
+  }
+}
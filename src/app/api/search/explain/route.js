@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import { MAX_QUERY_LENGTH, advancedSearchParams, explainResultOnServer } from '@/lib/server/search';
+import { userAuthError } from '@/lib/server/requestAuth';
+import { createRateLimiter } from '@/lib/server/rateLimit';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// aramayı baştan çalıştırır; kullanıcı başına dakikada 30 istek
+const rateLimit = createRateLimiter({ limit: 30, windowMs: 60 * 1000 });
+
+/**
+ * POST /api/search/explain (oturum gerekli; anonim oturum da geçer)
+ * "Neden bu sonuç?" paneli açılınca çağrılır.
+ * Gövde: POST /api/search parametreleri ve { docId }
+ * Yanıt: { explanation }; doküman bu aramanın sonuçlarında yoksa 404
+ * İstek sınırı aşılınca 429 (`Retry-After` başlığıyla)
+ */
+export async function POST(request) {
+  const authError = await userAuthError(request, { rateLimit });
+  if (authError) return authError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Geçersiz istek gövdesi' }, { status: 400 });
+  }
+  if (typeof body?.docId !== 'string' || !body.docId) {
+    return NextResponse.json({ error: 'docId gerekli' }, { status: 400 });
+  }
+
+  const params = advancedSearchParams(body);
+  if (params.query.length > MAX_QUERY_LENGTH) {
+    return NextResponse.json({ error: `Sorgu en fazla ${MAX_QUERY_LENGTH} karakter olabilir`, code: 'QUERY_SYNTAX' }, { status: 400 });
+  }
+
+  try {
+    const explanation = await explainResultOnServer(params, body.docId);
+    if (!explanation) {
+      return NextResponse.json({ error: 'Doküman bu aramanın sonuçlarında değil' }, { status: 404 });
+    }
+    return NextResponse.json({ explanation });
+  } catch (error) {
+    if (error.name === 'QuerySyntaxError') {
+      return NextResponse.json({ error: error.message, code: 'QUERY_SYNTAX', position: error.position ?? null }, { status: 400 });
+    }
+    console.error('Search explain API error:', error);
+    return NextResponse.json({ error: 'Sonuç açıklaması alınamadı' }, { status: 500 });
+  }
+}
@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server';
+import { MAX_QUERY_LENGTH, advancedSearchOnServer, advancedSearchParams, serializeResult } from '@/lib/server/search';
+import { userAuthError } from '@/lib/server/requestAuth';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/search (oturum gerekli: `Authorization: Bearer <idToken>`; anonim oturum da geçer)
+ * Gövde: advancedSearch parametreleri { query, fileType, author, type, field, ignoreDiacritics,
+ *        mode, ranges, filters, pageSize, cursor, reuse, explain }
+ *        (arayüz explain göndermez; tek sonucun dökümü için bkz. POST /api/search/explain)
+ * Yanıt: { results, total, nextCursor, facets }; hatalı sorgu ya da imleçte 400 { error, code }.
+ * Sonuçlar tam metni taşımaz (bkz. GET /api/search/text).
+ * regex araması süre sınırlıdır (bkz. lib/regexGuard); sınırı aşan desen 400 QUERY_SYNTAX döner.
+ */
+export async function POST(request) {
+  const authError = await userAuthError(request);
+  if (authError) return authError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Geçersiz istek gövdesi' }, { status: 400 });
+  }
+
+  const params = advancedSearchParams(body);
+  if (params.query.length > MAX_QUERY_LENGTH) {
+    return NextResponse.json({ error: `Sorgu en fazla ${MAX_QUERY_LENGTH} karakter olabilir`, code: 'QUERY_SYNTAX' }, { status: 400 });
+  }
+
+  try {
+    const page = await advancedSearchOnServer(params);
+    return NextResponse.json({ ...page, results: page.results.map(serializeResult) });
+  } catch (error) {
+    if (error.name === 'QuerySyntaxError') {
+      return NextResponse.json({ error: error.message, code: 'QUERY_SYNTAX', position: error.position ?? null }, { status: 400 });
+    }
+    if (error.name === 'CursorError') {
+      return NextResponse.json({ error: error.message, code: 'INVALID_CURSOR' }, { status: 400 });
+    }
+    console.error('Search API error:', error);
+    return NextResponse.json({ error: 'Arama yapılamadı' }, { status: 500 });
+  }
+}
@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { findSimilarDocumentsOnServer, serializeResult } from '@/lib/server/search';
+import { userAuthError } from '@/lib/server/requestAuth';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/search/similar?docId=…&limit=5 (oturum gerekli; anonim oturum da geçer)
+ * Yanıt: { results } (benzerliğe göre sıralı, her sonuçta similarity 0–1 ve sharedTerms);
+ * doküman yoksa 404
+ */
+export async function GET(request) {
+  const authError = await userAuthError(request);
+  if (authError) return authError;
+
+  const docId = request.nextUrl.searchParams.get('docId');
+  if (!docId) {
+    return NextResponse.json({ error: 'docId parametresi gerekli' }, { status: 400 });
+  }
+
+  try {
+    const results = await findSimilarDocumentsOnServer(docId, { limit: request.nextUrl.searchParams.get('limit') });
+    if (!results) {
+      return NextResponse.json({ error: 'Doküman bulunamadı' }, { status: 404 });
+    }
+    return NextResponse.json({ results: results.map(serializeResult) });
+  } catch (error) {
+    console.error('Similar documents API error:', error);
+    return NextResponse.json({ error: 'Benzer dokümanlar bulunamadı' }, { status: 500 });
+  }
+}
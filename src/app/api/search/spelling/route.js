@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { getSpellingSuggestionOnServer } from '@/lib/server/search';
+import { userAuthError } from '@/lib/server/requestAuth';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const MAX_QUERY_LENGTH = 1000;
+
+/**
+ * GET /api/search/spelling?q=… (oturum gerekli; anonim oturum da geçer)
+ * Az sonuç veren sorgu için "Bunu mu demek istediniz" önerisi.
+ * Yanıt: { suggestion: { query, corrections: [{ from, to }] } | null }
+ */
+export async function GET(request) {
+  const authError = await userAuthError(request);
+  if (authError) return authError;
+
+  const q = request.nextUrl.searchParams.get('q') || '';
+  if (q.length > MAX_QUERY_LENGTH) return NextResponse.json({ suggestion: null });
+
+  try {
+    return NextResponse.json({ suggestion: await getSpellingSuggestionOnServer(q) });
+  } catch (error) {
+    console.error('Spelling suggestion API error:', error);
+    return NextResponse.json({ error: 'Yazım önerisi alınamadı' }, { status: 500 });
+  }
+}
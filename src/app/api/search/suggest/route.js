@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { getSearchSuggestionsOnServer } from '@/lib/server/search';
+import { userAuthError } from '@/lib/server/requestAuth';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const MAX_PARTIAL_LENGTH = 200;
+
+/**
+ * GET /api/search/suggest?q=… (oturum gerekli; anonim oturum da geçer)
+ * Yazılan sorgunun son kelimesi için tamamlama önerileri.
+ * Yanıt: { suggestions: [{ suggestion, term?, count? }] }
+ */
+export async function GET(request) {
+  const authError = await userAuthError(request);
+  if (authError) return authError;
+
+  const q = request.nextUrl.searchParams.get('q') || '';
+  if (q.length > MAX_PARTIAL_LENGTH) return NextResponse.json({ suggestions: [] });
+
+  try {
+    return NextResponse.json({ suggestions: await getSearchSuggestionsOnServer(q) });
+  } catch (error) {
+    console.error('Search suggestions API error:', error);
+    return NextResponse.json({ error: 'Öneriler alınamadı' }, { status: 500 });
+  }
+}
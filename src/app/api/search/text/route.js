@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import { loadDocumentTextOnServer } from '@/lib/server/search';
+import { userAuthError } from '@/lib/server/requestAuth';
+import { createRateLimiter } from '@/lib/server/rateLimit';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// tam metni döndürür; kullanıcı başına dakikada 60 istek
+const rateLimit = createRateLimiter({ limit: 60, windowMs: 60 * 1000 });
+
+/**
+ * GET /api/search/text?docId=… (oturum gerekli; anonim oturum da geçer)
+ * Tam içerik görünümü için dokümanın metni; arama sonuçlarındaki vurgulama aralıkları bu metne göredir.
+ * Yanıt: { textContent }; doküman yoksa 404
+ * İstek sınırı aşılınca 429 (`Retry-After` başlığıyla)
+ */
+export async function GET(request) {
+  const authError = await userAuthError(request, { rateLimit });
+  if (authError) return authError;
+
+  const docId = request.nextUrl.searchParams.get('docId');
+  if (!docId) {
+    return NextResponse.json({ error: 'docId parametresi gerekli' }, { status: 400 });
+  }
+
+  try {
+    const textContent = await loadDocumentTextOnServer(docId);
+    if (textContent === null) {
+      return NextResponse.json({ error: 'Doküman bulunamadı' }, { status: 404 });
+    }
+    return NextResponse.json({ textContent });
+  } catch (error) {
+    console.error('Document text API error:', error);
+    return NextResponse.json({ error: 'Doküman metni alınamadı' }, { status: 500 });
+  }
+}
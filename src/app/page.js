@@ -1,12 +1,13 @@
 'use client';
 
-import { useState } from 'react';
+import { Suspense, useState } from 'react';
 import FileUpload from '@/components/FileUpload/FileUpload';
 import { useDocuments } from '@/hooks/useDocuments';
 import AdvancedSearch from '@/components/Search/AdvancedSearch';
 import SearchResults from '@/components/Search/SearchResults';
 import { Database, Trash2 } from 'lucide-react';
 import DeleteConfirmDialog from '@/components/ui/DeleteConfirmDialog';
+import { logResultClick } from '@/lib/searchAnalytics';
 
 export default function Home() {
   const [uploadedFiles, setUploadedFiles] = useState([]);
@@ -23,6 +24,8 @@ export default function Home() {
 
   const [searchResults, setSearchResults] = useState([]);
   const [searchLoading, setSearchLoading] = useState(false);
+  const [searchPage, setSearchPage] = useState({ total: 0, nextCursor: null, loadMore: null, analytics: null, explain: null });
+  const [loadingMore, setLoadingMore] = useState(false);
 
   const handleFileUploaded = (fileData) => setUploadedFiles(prev => [...prev, fileData]);
 
@@ -67,7 +70,37 @@ export default function Home() {
     setSelectedDocuments(checked ? documents.map(doc => doc.id) : []);
   };
 
-  const handleSearchResults = (results) => setSearchResults(results);
+  const handleSearchResults = (results, page = {}) => {
+    setSearchResults(results);
+    setSearchPage({
+      total: page.total ?? results.length,
+      nextCursor: page.nextCursor ?? null,
+      loadMore: page.loadMore ?? null,
+      analytics: page.analytics ?? null,
+      explain: page.explain ?? null
+    });
+  };
+
+  // Sonuç açma / indirme tıklamaları arama analitiğine (tıklama oranı)
+  const handleResultAction = (doc, action, position) => {
+    if (searchPage.analytics) logResultClick({ ...searchPage.analytics, docId: doc.id, position, action });
+  };
+
+  const handleLoadMore = async () => {
+    if (!searchPage.nextCursor || !searchPage.loadMore || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const page = await searchPage.loadMore(searchPage.nextCursor);
+      setSearchResults(prev => [...prev, ...page.results]);
+      setSearchPage(prev => ({ ...prev, total: page.total, nextCursor: page.nextCursor }));
+    } catch (error) {
+      setAlertMessage(`Sonuçlar yüklenemedi: ${error.message}`);
+      setAlertType('error');
+      setShowAlert(true);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
   const handleSearchLoading = (loading) => setSearchLoading(loading);
 
   return (
@@ -81,11 +114,22 @@ export default function Home() {
 
           {/* Sağ Panel - Arama ve Sonuçlar */}
           <div className="lg:col-span-2 space-y-8">
-            {/* Arama Bölümü */}
-            <AdvancedSearch onSearchResults={handleSearchResults} onSearchLoading={handleSearchLoading} />
+            {/* Arama Bölümü - arama URL'deki parametrelerle eşlenir (useSearchParams → Suspense) */}
+            <Suspense fallback={null}>
+              <AdvancedSearch onSearchResults={handleSearchResults} onSearchLoading={handleSearchLoading} />
+            </Suspense>
 
             {/* Arama Sonuçları - boşken liste kaybolmasın */}
-            <SearchResults results={searchResults} isLoading={searchLoading} />
+            <SearchResults
+              results={searchResults}
+              isLoading={searchLoading}
+              total={searchPage.total}
+              hasMore={Boolean(searchPage.nextCursor)}
+              onLoadMore={handleLoadMore}
+              isLoadingMore={loadingMore}
+              onResultAction={handleResultAction}
+              onExplain={searchPage.explain}
+            />
 
             {/* Mevcut Dokümanlar */}
             {!searchResults.length && (
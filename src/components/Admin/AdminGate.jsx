@@ -0,0 +1,41 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { ShieldAlert } from 'lucide-react';
+import { checkAdminAccess } from '@/lib/auth';
+
+/**
+ * Yönetim sayfası içeriğini yalnızca sunucu yönetici talebini doğruladıktan sonra gösterir.
+ * Veri erişimi ayrıca Firestore kurallarıyla korunur; bu bileşen yalnızca ekranı kapatır.
+ */
+export default function AdminGate({ children }) {
+  const [status, setStatus] = useState('checking');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    checkAdminAccess()
+      .then((allowed) => {
+        if (!cancelled) setStatus(allowed ? 'allowed' : 'denied');
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err.message);
+        setStatus('denied');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (status === 'allowed') return children;
+  if (status === 'checking') {
+    return <p className="text-sm text-neutral-400">Yetki denetleniyor...</p>;
+  }
+  return (
+    <div className="flex items-center gap-2 rounded-lg border border-neutral-800 bg-neutral-950 p-4 text-sm text-neutral-300">
+      <ShieldAlert className="h-4 w-4 text-red-400" />
+      <span>{error || 'Bu sayfa yalnızca yöneticilere açıktır.'}</span>
+    </div>
+  );
+}
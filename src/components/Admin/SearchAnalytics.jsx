@@ -0,0 +1,165 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { BarChart3, RefreshCw } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { loadSearchAnalytics } from '@/lib/searchAnalytics';
+
+const PERIODS = [
+  { value: 1, label: 'Son 24 saat' },
+  { value: 7, label: 'Son 7 gün' },
+  { value: 30, label: 'Son 30 gün' },
+  { value: 90, label: 'Son 90 gün' }
+];
+
+const percent = (value) => `%${Math.round(value * 100)}`;
+const milliseconds = (value) => `${Math.round(value)} ms`;
+const formatDate = (ms) => (ms ? new Date(ms).toLocaleString('tr-TR', { dateStyle: 'short', timeStyle: 'short' }) : '—');
+
+function StatCard({ label, value }) {
+  return (
+    <div className="rounded-2xl border border-neutral-800 bg-neutral-900 p-4">
+      <p className="text-xs text-neutral-500">{label}</p>
+      <p className="mt-1 text-2xl font-bold text-neutral-100">{value}</p>
+    </div>
+  );
+}
+
+function QueryTable({ title, rows, columns, empty }) {
+  return (
+    <div>
+      <h4 className="text-lg font-bold text-neutral-100 mb-3">{title}</h4>
+      {rows.length === 0 ? (
+        <p className="text-sm text-neutral-500">{empty}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-xs text-neutral-500">
+              <tr className="text-left">
+                <th className="py-2 pr-3 font-normal">Sorgu</th>
+                {columns.map((column) => (
+                  <th key={column.label} className="py-2 pr-3 font-normal text-right">{column.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.query} className="border-t border-neutral-800">
+                  <td className="py-2 pr-3 text-neutral-100 break-all">{row.query}</td>
+                  {columns.map((column) => (
+                    <td key={column.label} className="py-2 pr-3 text-right text-neutral-300 whitespace-nowrap">
+                      {column.value(row)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Arama analitiği paneli: en sık sorgular, sonuçsuz sorgular, ortalama gecikme ve
+ * sorgu başına tıklama oranı (bkz. lib/searchAnalytics).
+ */
+export default function SearchAnalytics() {
+  const [days, setDays] = useState(30);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setSummary(await loadSearchAnalytics({ days }));
+    } catch (error) {
+      toast.error(`Analitik yüklenemedi: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  return (
+    <div className="relative rounded-3xl border border-neutral-800 bg-neutral-900/60 shadow-2xl overflow-hidden text-neutral-100">
+      <div className="p-6 space-y-6">
+        <div className="flex items-center justify-between gap-3">
+          <div className="flex items-center space-x-3">
+            <div className="p-2 bg-neutral-800 rounded-xl shadow-lg">
+              <BarChart3 className="h-6 w-6 text-neutral-200" />
+            </div>
+            <div>
+              <h3 className="text-xl font-bold text-neutral-100">Arama Analitiği</h3>
+              <p className="text-sm text-neutral-400">Ne aranıyor, bulunuyor mu?</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <select
+              value={days}
+              onChange={(e) => setDays(Number(e.target.value))}
+              className="px-3 py-2 border border-neutral-800 bg-neutral-900 text-neutral-100 rounded-xl text-sm"
+            >
+              {PERIODS.map((period) => (
+                <option key={period.value} value={period.value}>{period.label}</option>
+              ))}
+            </select>
+            <Button
+              variant="outline"
+              onClick={load}
+              disabled={loading}
+              className="border-neutral-700 bg-neutral-900 text-neutral-300"
+              title="Yenile"
+            >
+              <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            </Button>
+          </div>
+        </div>
+
+        {!summary ? (
+          <p className="text-sm text-neutral-500">{loading ? 'Yükleniyor...' : 'Veri yok.'}</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <StatCard label="Arama" value={summary.searchCount} />
+              <StatCard label="Ortalama gecikme" value={milliseconds(summary.averageLatencyMs)} />
+              <StatCard label="Sonuçsuz arama oranı" value={percent(summary.zeroResultRate)} />
+              <StatCard label="Tıklama oranı" value={percent(summary.clickThroughRate)} />
+            </div>
+            {summary.truncated && (
+              <p className="text-xs text-amber-400">Dönemdeki olayların yalnızca en yenileri hesaba katıldı; daha kısa bir dönem seçin.</p>
+            )}
+
+            <QueryTable
+              title="En Sık Sorgular"
+              rows={summary.topQueries}
+              empty="Bu dönemde arama yapılmamış."
+              columns={[
+                { label: 'Arama', value: (row) => row.searches },
+                { label: 'Ort. sonuç', value: (row) => row.averageResults.toFixed(1) },
+                { label: 'Ort. gecikme', value: (row) => milliseconds(row.averageLatencyMs) },
+                { label: 'Tıklama', value: (row) => row.clicks },
+                { label: 'Tıklama oranı', value: (row) => percent(row.clickThroughRate) }
+              ]}
+            />
+
+            <QueryTable
+              title="Sonuçsuz Sorgular"
+              rows={summary.zeroResultQueries}
+              empty="Sonuçsuz kalan sorgu yok."
+              columns={[
+                { label: 'Sonuçsuz', value: (row) => `${row.zeroResults} / ${row.searches}` },
+                { label: 'Son arama', value: (row) => formatDate(row.lastSearchedAt) }
+              ]}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { BookOpen, Pencil, Plus, Trash2, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { deleteSynonymGroup, listSynonymGroups, saveSynonymGroup } from '@/lib/synonyms';
+
+// "KDV, katma değer vergisi" → ['KDV', 'katma değer vergisi']
+function parseTerms(text) {
+  return text.split(',').map((t) => t.trim()).filter(Boolean);
+}
+
+/**
+ * Eş anlamlı / kısaltma sözlüğü yönetimi. Her satır bir gruptur; gruptaki
+ * ifadeler aramada birbirinin yerine kullanılır.
+ */
+export default function SynonymManager() {
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [editingId, setEditingId] = useState(null);
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      setGroups(await listSynonymGroups());
+    } catch (error) {
+      toast.error(`Eş anlamlılar yüklenemedi: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const resetDraft = () => {
+    setDraft('');
+    setEditingId(null);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await saveSynonymGroup({ id: editingId, terms: parseTerms(draft) });
+      toast.success(editingId ? 'Grup güncellendi' : 'Grup eklendi');
+      resetDraft();
+      await load();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (group) => {
+    setEditingId(group.id);
+    setDraft(group.terms.join(', '));
+  };
+
+  const handleDelete = async (group) => {
+    if (!window.confirm(`"${group.terms.join(', ')}" grubu silinsin mi?`)) return;
+    try {
+      await deleteSynonymGroup(group.id);
+      if (editingId === group.id) resetDraft();
+      toast.success('Grup silindi');
+      await load();
+    } catch (error) {
+      toast.error(`Silme hatası: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="relative rounded-3xl border border-neutral-800 bg-neutral-900/60 shadow-2xl overflow-hidden text-neutral-100">
+      <div className="p-6 space-y-6">
+        <div className="flex items-center space-x-3">
+          <div className="p-2 bg-neutral-800 rounded-xl shadow-lg">
+            <BookOpen className="h-6 w-6 text-neutral-200" />
+          </div>
+          <div>
+            <h3 className="text-xl font-bold text-neutral-100">Eş Anlamlı Sözlüğü</h3>
+            <p className="text-sm text-neutral-400">
+              Aynı gruptaki ifadeler aramada birbirinin yerine geçer (ör. KDV, katma değer vergisi).
+            </p>
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          <Input
+            type="text"
+            placeholder="Virgülle ayrılmış ifadeler: SGK, Sosyal Güvenlik Kurumu"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+            className="flex-1 px-3 py-2 border border-neutral-800 bg-neutral-900 text-neutral-100 rounded-xl"
+          />
+          <Button onClick={handleSave} disabled={saving || !draft.trim()} className="bg-neutral-100 text-neutral-900 hover:bg-white">
+            {editingId ? <Pencil className="h-4 w-4 mr-1" /> : <Plus className="h-4 w-4 mr-1" />}
+            {editingId ? 'Güncelle' : 'Ekle'}
+          </Button>
+          {editingId && (
+            <Button variant="outline" onClick={resetDraft} className="border-neutral-700 bg-neutral-900 text-neutral-300">
+              <X className="h-4 w-4" />
+            </Button>
+          )}
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-neutral-500">Yükleniyor...</p>
+        ) : groups.length === 0 ? (
+          <p className="text-sm text-neutral-500">Henüz eş anlamlı grubu yok.</p>
+        ) : (
+          <ul className="space-y-2">
+            {groups.map((group) => (
+              <li
+                key={group.id}
+                className={`flex items-center justify-between gap-3 p-3 rounded-xl border transition-colors ${
+                  editingId === group.id ? 'border-neutral-500 bg-neutral-800' : 'border-neutral-800 bg-neutral-900'
+                }`}
+              >
+                <div className="flex flex-wrap gap-2">
+                  {group.terms.map((term) => (
+                    <span key={term} className="rounded-full border border-neutral-700 px-3 py-1 text-xs text-neutral-200">
+                      {term}
+                    </span>
+                  ))}
+                </div>
+                <div className="flex items-center gap-1 shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => handleEdit(group)}
+                    className="p-2 text-neutral-400 hover:text-neutral-200"
+                    title="Düzenle"
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(group)}
+                    className="p-2 text-neutral-400 hover:text-red-400"
+                    title="Sil"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
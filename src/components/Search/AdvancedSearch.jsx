@@ -1,26 +1,72 @@
 'use client';
 
 import { useState, useEffect, useRef } from 'react';
+import Link from 'next/link';
+import { usePathname, useRouter, useSearchParams } from 'next/navigation';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
-import { Search, X } from 'lucide-react';
-import { searchDocuments, getSearchSuggestions } from '@/lib/searchService';
+import { BarChart3, BookOpen, Calendar, Link2, Search, SlidersHorizontal, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { applyDateFilters, extractDateFilters } from '@/lib/dateQueryParser';
+import { explainRemote, fetchSearchSuggestions, fetchSpellingSuggestion, searchRemote } from '@/lib/searchApiClient';
+import { EMPTY_RANGE_INPUTS, hasRangeFilters, rangeInputsToFilters } from '@/lib/searchFilters';
+import {
+  clearSearchHistory,
+  deleteSavedSearch,
+  listSavedSearches,
+  listSearchHistory,
+  normalizeSearchSpec,
+  recordSearch,
+  saveSearch
+} from '@/lib/searchHistory';
+import { parseSearchParams, searchSpecToQueryString } from '@/lib/searchUrl';
+import { logSearch } from '@/lib/searchAnalytics';
+import { isAdminUser } from '@/lib/auth';
+import SearchFacets from './SearchFacets';
+import RangeFilters from './RangeFilters';
+import SavedSearches from './SavedSearches';
+import NotificationPanel from './NotificationPanel';
+
+const FEW_RESULTS = 3; // bundan az sonuçta yazım önerisi aranır
 
 export default function AdvancedSearch({ onSearchResults, onSearchLoading }) {
   const [searchQuery, setSearchQuery] = useState('');
-  const [searchType, setSearchType] = useState('contains'); // contains, startsWith, endsWith
+  const [searchType, setSearchType] = useState('contains'); // contains, startsWith, endsWith, wholeWord, stem, wildcard, regex
   const [searchField, setSearchField] = useState('all'); // all, content, fileName, author
+  const [searchMode, setSearchMode] = useState('lexical'); // lexical, semantic, hybrid
+  const [ignoreDiacritics, setIgnoreDiacritics] = useState(true); // "sirket" → "şirket"
+  const [pageSize, setPageSize] = useState(20);
+  const [facets, setFacets] = useState([]);
+  const [facetFilters, setFacetFilters] = useState({});
+  const [rangeInputs, setRangeInputs] = useState(EMPTY_RANGE_INPUTS);
+  const [dateChips, setDateChips] = useState([]); // sorgudan çıkarılan tarih ifadeleri ("geçen hafta")
+  const [didYouMean, setDidYouMean] = useState(null);
+  const [showFilters, setShowFilters] = useState(false);
   const [isSearching, setIsSearching] = useState(false);
+  const [queryError, setQueryError] = useState(null);
   const [recentSearches, setRecentSearches] = useState([]);
+  const [savedSearches, setSavedSearches] = useState([]);
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
+  const [isAdmin, setIsAdmin] = useState(false); // yönetim bağlantıları yalnızca yöneticiye
   const debounceRef = useRef(null);
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+  const urlQuery = searchParams.toString();
+  const lastUrlRef = useRef(null); // en son yazılan ya da işlenen sorgu metni
+  const restoreFromUrlRef = useRef(null);
+  const parentSearchIdRef = useRef(null); // faset daraltmalarının bağlandığı asıl arama (analitik)
 
-  // Arama tipleri - basit metin eşleştirme
+  // Arama tipleri - metin eşleştirme
   const searchTypes = [
     { value: 'contains', label: 'İçeren' },
     { value: 'startsWith', label: 'Başlayan' },
-    { value: 'endsWith', label: 'Biten' }
+    { value: 'endsWith', label: 'Biten' },
+    { value: 'wholeWord', label: 'Tam Kelime' },
+    { value: 'stem', label: 'Kök (ekleri yok say)' },
+    { value: 'wildcard', label: 'Joker (* ve ?)' },
+    { value: 'regex', label: 'Düzenli İfade (Regex)' }
   ];
 
   // Arama alanları
@@ -31,14 +77,31 @@ export default function AdvancedSearch({ onSearchResults, onSearchLoading }) {
     { value: 'author', label: 'Yazar' }
   ];
 
+  // Arama modları - anlamsal mod kelimesi geçmeyen ama konusu benzeyen parçaları da bulur
+  const searchModes = [
+    { value: 'lexical', label: 'Sözcüksel' },
+    { value: 'semantic', label: 'Anlamsal' },
+    { value: 'hybrid', label: 'Karma (sözcüksel + anlamsal)' }
+  ];
+
+  const pageSizes = [10, 20, 50, 100];
+
+  // Kalıcı arama geçmişi ve kayıtlı aramalar
+  useEffect(() => {
+    listSearchHistory().then(setRecentSearches).catch(() => setRecentSearches([]));
+    listSavedSearches().then(setSavedSearches).catch(() => setSavedSearches([]));
+    isAdminUser().then(setIsAdmin).catch(() => setIsAdmin(false));
+  }, []);
+
   // Yerel debounced suggestions
   useEffect(() => {
     clearTimeout(debounceRef.current);
+    setQueryError(null);
 
     if (searchQuery.trim().length >= 2) {
       debounceRef.current = setTimeout(async () => {
         try {
-          const results = await getSearchSuggestions(searchQuery);
+          const results = await fetchSearchSuggestions(searchQuery);
           setSuggestions(results);
           setShowSuggestions(true);
         } catch (e) {
@@ -54,44 +117,135 @@ export default function AdvancedSearch({ onSearchResults, onSearchLoading }) {
     return () => clearTimeout(debounceRef.current);
   }, [searchQuery]);
 
-  // Arama yap
-  const performSearch = async () => {
-    if (!searchQuery.trim()) {
+  // Aramayı URL'ye yaz; aynı sorgu metni tekrar yazılmaz (geri/ileri geçmişi yalnızca gerçek aramalarla dolar)
+  const syncUrl = (queryString, history = 'push') => {
+    if (history === 'none' || queryString === lastUrlRef.current) return;
+    lastUrlRef.current = queryString;
+    const href = queryString ? `${pathname}?${queryString}` : pathname;
+    if (history === 'replace') router.replace(href, { scroll: false });
+    else router.push(href, { scroll: false });
+  };
+
+  const hasRanges = hasRangeFilters(applyDateFilters(rangeInputsToFilters(rangeInputs), dateChips));
+
+  // Arama yap; faset değişikliğinde (reuse) sorgu yeniden çalıştırılmaz, önceki sonuçlar daraltılır.
+  // Sorgudaki tarih ifadeleri ("son 30 gün") çipe dönüşür; sorgu boş kalsa da süzgeçlere uyan dokümanlar listelenir.
+  // Kayıtlı/geçmiş arama çalıştırılırken ayarlar state güncellenmesini beklemeden `settings` ile verilir.
+  // Arama URL'ye yazılır (`history`: 'push' yeni geçmiş adımı, 'replace' yerinde, 'none' dokunma);
+  // `pages` > 1 ise bağlantıdaki kadar sayfa baştan yüklenir
+  const performSearch = async ({ filters = {}, reuse = false, chips = dateChips, input = searchQuery, settings = {}, pages = 1, history = 'push' } = {}) => {
+    const {
+      type = searchType,
+      field = searchField,
+      ignoreDiacritics: foldDiacritics = ignoreDiacritics,
+      mode = searchMode,
+      rangeInputs: rangeForm = rangeInputs,
+      pageSize: size = pageSize
+    } = settings;
+    let query = input;
+    if (!reuse && type !== 'regex') {
+      const extracted = extractDateFilters(input);
+      if (extracted.dateFilters.length) {
+        query = extracted.query;
+        chips = [...chips.filter((c) => !extracted.dateFilters.some((d) => d.id === c.id)), ...extracted.dateFilters];
+        setSearchQuery(query);
+        setDateChips(chips);
+      }
+    }
+    const ranges = applyDateFilters(rangeInputsToFilters(rangeForm), chips);
+
+    if (!query.trim() && !hasRangeFilters(ranges)) {
       onSearchResults([]);
+      setFacets([]);
+      syncUrl('', history);
       return;
     }
 
     setIsSearching(true);
     onSearchLoading?.(true);
     setShowSuggestions(false);
+    setQueryError(null);
+    if (!reuse) setDidYouMean(null);
+
+    // Kayıt ve bağlantı için arama tanımı; tarih çipleri sorgu metnine geri eklenir
+    const spec = {
+      query: [query, ...chips.map((c) => c.label)].filter((part) => part.trim()).join(' '),
+      type,
+      field,
+      ignoreDiacritics: foldDiacritics,
+      mode,
+      rangeInputs: rangeForm,
+      filters,
+      pageSize: size
+    };
+
+    // Analitik: ilk sayfanın gecikmesi ve toplam sonuç sayısı (bkz. searchAnalytics)
+    const startedAt = performance.now();
+    const logEntry = { query: spec.query, type, field, mode, refined: reuse, parentSearchId: reuse ? parentSearchIdRef.current : null };
 
     try {
-      const results = await searchDocuments(searchQuery, searchType, searchField);
-      // Zengin alanları (highlight, sayfa tahmini vb.) korumak için doğrudan ilet
-      onSearchResults(results);
-
-      const newSearch = {
-        query: searchQuery,
-        type: searchType,
-        field: searchField,
-        timestamp: Date.now(),
-        resultCount: results.length
-      };
-
-      setRecentSearches(prev => {
-        const filtered = prev.filter(s => s.query !== searchQuery);
-        return [newSearch, ...filtered].slice(0, 5);
+      const params = { query, type, field, ignoreDiacritics: foldDiacritics, mode, ranges, pageSize: size, filters };
+      const page = await searchRemote({ ...params, reuse });
+      const searchId = logSearch({ ...logEntry, resultCount: page.total, latencyMs: performance.now() - startedAt });
+      if (!reuse) parentSearchIdRef.current = searchId;
+      let { results, nextCursor } = page;
+      let loadedPages = 1;
+      for (; loadedPages < pages && nextCursor; loadedPages += 1) {
+        const next = await searchRemote({ ...params, cursor: nextCursor });
+        results = [...results, ...next.results];
+        nextCursor = next.nextCursor;
+      }
+      setFacets(page.facets);
+      setFacetFilters(filters);
+      // Zengin alanları (highlight, sayfa vb.) korumak için doğrudan ilet; sonraki sayfalar loadMore ile gelir
+      onSearchResults(results, {
+        total: page.total,
+        nextCursor,
+        analytics: { searchId, query: spec.query },
+        explain: (docId) => explainRemote(params, docId),
+        loadMore: async (cursor) => {
+          const next = await searchRemote({ ...params, cursor });
+          loadedPages += 1;
+          syncUrl(searchSpecToQueryString(spec, { pages: loadedPages }), 'replace');
+          return next;
+        }
       });
-      
+      syncUrl(searchSpecToQueryString(spec, { pages: loadedPages }), history);
+      if (reuse || !input.trim()) return;
+
+      if (query.trim() && page.total < FEW_RESULTS && type !== 'regex') {
+        fetchSpellingSuggestion(query)
+          .then((suggestion) => setDidYouMean(suggestion))
+          .catch(() => setDidYouMean(null));
+      }
+
+      recordSearch(spec, { resultCount: page.total })
+        .then((entry) => setRecentSearches((prev) => [entry, ...prev.filter((e) => e.id !== entry.id)]));
+
     } catch (error) {
-      console.error('Search error:', error);
+      logSearch({ ...logEntry, resultCount: 0, latencyMs: performance.now() - startedAt, error: error.name || 'Error' });
+      if (!reuse) parentSearchIdRef.current = null;
+      if (error.name === 'QuerySyntaxError') {
+        // Hatalı sorgu: boş sonuç yerine okunabilir hata göster
+        setQueryError(error.message);
+      } else {
+        console.error('Search error:', error);
+      }
       onSearchResults([]);
+      setFacets([]);
     } finally {
       setIsSearching(false);
       onSearchLoading?.(false);
     }
   };
 
+  // Tarih çipini kaldır ve aramayı yenile
+  const removeDateChip = (id) => {
+    const chips = dateChips.filter((c) => c.id !== id);
+    setDateChips(chips);
+    performSearch({ chips });
+  };
+
   // Enter tuşu ile arama
   const handleKeyPress = (e) => {
     if (e.key === 'Enter') {
@@ -101,23 +255,106 @@ export default function AdvancedSearch({ onSearchResults, onSearchLoading }) {
 
   // Öneri seç
   const selectSuggestion = (suggestion) => {
-    setSearchQuery(suggestion.fileName || suggestion.suggestion || '');
+    const input = suggestion.fileName || suggestion.suggestion || '';
+    setSearchQuery(input);
     setShowSuggestions(false);
-    performSearch();
+    performSearch({ input });
+  };
+
+  // "Bunu mu demek istediniz" önerisiyle yeniden ara
+  const applySpellingSuggestion = () => {
+    if (!didYouMean) return;
+    setSearchQuery(didYouMean.query);
+    performSearch({ input: didYouMean.query });
+  };
+
+  // Kayda yazılan arama tanımı; tarih çipleri sorgu metnine geri eklenir ("son 30 gün" göreli kalsın)
+  const currentSpec = () => ({
+    query: [searchQuery, ...dateChips.map((c) => c.label)].filter((part) => part.trim()).join(' '),
+    type: searchType,
+    field: searchField,
+    ignoreDiacritics,
+    mode: searchMode,
+    rangeInputs,
+    filters: facetFilters,
+    pageSize
+  });
+
+  // Kayıtlı ya da geçmişteki aramayı tüm ayarlarıyla tek tıkla çalıştır
+  const runSearchSpec = (spec, { pages = 1, history = 'push' } = {}) => {
+    const settings = { ...spec, rangeInputs: { ...EMPTY_RANGE_INPUTS, ...spec.rangeInputs } };
+    setSearchQuery(spec.query);
+    setSearchType(settings.type);
+    setSearchField(settings.field);
+    setIgnoreDiacritics(settings.ignoreDiacritics);
+    setSearchMode(settings.mode);
+    setRangeInputs(settings.rangeInputs);
+    setPageSize(settings.pageSize);
+    setDateChips([]);
+    performSearch({ input: spec.query, chips: [], filters: spec.filters, settings, pages, history });
   };
 
-  // Son aramayı tekrarla
-  const repeatSearch = (search) => {
-    setSearchQuery(search.query);
-    setTimeout(() => performSearch(), 100);
+  // Açılan bağlantıdaki ya da geri/ileri ile gelinen aramayı forma yükle ve çalıştır
+  restoreFromUrlRef.current = (queryString) => {
+    const parsed = parseSearchParams(queryString);
+    if (parsed) runSearchSpec(parsed.spec, { pages: parsed.pages, history: 'replace' });
+    else clearSearch({ history: 'none' });
+  };
+
+  useEffect(() => {
+    if (urlQuery === lastUrlRef.current) return; // kendi yazdığımız URL
+    lastUrlRef.current = urlQuery;
+    restoreFromUrlRef.current(urlQuery);
+  }, [urlQuery]);
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      toast.success('Arama bağlantısı kopyalandı');
+    } catch {
+      toast.error('Bağlantı kopyalanamadı');
+    }
+  };
+
+  // Bildirimden ilgili kayıtlı aramayı çalıştır (arama silinmişse dokümanın adıyla ara)
+  const handleOpenNotification = (notification) => {
+    const saved = savedSearches.find((s) => s.id === notification.savedSearchId);
+    runSearchSpec(saved ? saved.spec : normalizeSearchSpec({ query: notification.fileName, field: 'fileName' }));
+  };
+
+  const handleSaveSearch = async (name) => {
+    try {
+      const saved = await saveSearch({ name, spec: currentSpec() });
+      setSavedSearches((prev) => [...prev.filter((s) => s.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name, 'tr')));
+      toast.success(`"${saved.name}" kaydedildi`);
+      return true;
+    } catch (error) {
+      toast.error(error.message);
+      return false;
+    }
+  };
+
+  const handleDeleteSavedSearch = async (id) => {
+    await deleteSavedSearch(id);
+    setSavedSearches((prev) => prev.filter((s) => s.id !== id));
+  };
+
+  const handleClearHistory = async () => {
+    await clearSearchHistory();
+    setRecentSearches([]);
   };
 
   // Arama temizle
-  const clearSearch = () => {
+  const clearSearch = ({ history = 'push' } = {}) => {
     setSearchQuery('');
     setSuggestions([]);
     setShowSuggestions(false);
+    setFacets([]);
+    setFacetFilters({});
+    setDateChips([]);
+    setDidYouMean(null);
     onSearchResults([]);
+    syncUrl('', history);
   };
 
   return (
@@ -132,7 +369,37 @@ export default function AdvancedSearch({ onSearchResults, onSearchLoading }) {
               </div>
               <h3 className="text-xl font-bold text-neutral-100">Gelişmiş Arama</h3>
           </div>
-            <div className="flex items-center space-x-2" />
+            <div className="flex items-center space-x-2">
+              {urlQuery && (
+                <button
+                  type="button"
+                  onClick={handleCopyLink}
+                  className="p-1 text-neutral-400 hover:text-neutral-200"
+                  title="Arama bağlantısını kopyala"
+                >
+                  <Link2 className="h-4 w-4" />
+                </button>
+              )}
+              <NotificationPanel onOpen={handleOpenNotification} />
+              {isAdmin && (
+                <>
+                  <Link
+                    href="/admin/synonyms"
+                    className="inline-flex items-center gap-1 text-xs text-neutral-400 hover:text-neutral-200"
+                  >
+                    <BookOpen className="h-4 w-4" />
+                    Eş Anlamlılar
+                  </Link>
+                  <Link
+                    href="/admin/analytics"
+                    className="inline-flex items-center gap-1 text-xs text-neutral-400 hover:text-neutral-200"
+                  >
+                    <BarChart3 className="h-4 w-4" />
+                    Analitik
+                  </Link>
+                </>
+              )}
+            </div>
       </div>
 
           {/* Arama Input'u */}
@@ -141,7 +408,7 @@ export default function AdvancedSearch({ onSearchResults, onSearchLoading }) {
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-neutral-500" />
               <Input
               type="text"
-                placeholder="Dosya adı, içerik veya yazar ara..."
+                placeholder='Ara... (ör. author:ayşe AND "teklif mektubu" -taslak)'
               value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
                 onKeyPress={handleKeyPress}
@@ -151,7 +418,7 @@ export default function AdvancedSearch({ onSearchResults, onSearchLoading }) {
                 <Button
                   size="sm"
                   variant="ghost"
-                onClick={clearSearch}
+                onClick={() => clearSearch()}
                   className="absolute right-2 top-1/2 transform -translate-y-1/2 h-8 w-8 p-0"
               >
                   <X className="h-4 w-4" />
@@ -159,6 +426,51 @@ export default function AdvancedSearch({ onSearchResults, onSearchLoading }) {
             )}
           </div>
 
+          {dateChips.length > 0 && (
+            <div className="mt-2 flex flex-wrap gap-2">
+              {dateChips.map((chip) => (
+                <span
+                  key={chip.id}
+                  className="inline-flex items-center gap-1 rounded-full border border-neutral-700 bg-neutral-900 px-3 py-1 text-xs text-neutral-200"
+                >
+                  <Calendar className="h-3 w-3 text-neutral-400" />
+                  <span>{chip.label}</span>
+                  <span className="text-neutral-500">· {chip.field === 'createdAt' ? 'oluşturma' : 'yükleme'}</span>
+                  <button
+                    type="button"
+                    onClick={() => removeDateChip(chip.id)}
+                    disabled={isSearching}
+                    className="ml-1 text-neutral-400 hover:text-neutral-100"
+                    aria-label={`${chip.label} süzgecini kaldır`}
+                  >
+                    <X className="h-3 w-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+
+          {didYouMean && !queryError && (
+            <p className="mt-2 text-sm text-neutral-400">
+              Bunu mu demek istediniz:{' '}
+              <button
+                type="button"
+                onClick={applySpellingSuggestion}
+                className="font-medium text-amber-300 hover:text-amber-200 underline underline-offset-2"
+              >
+                {didYouMean.query}
+              </button>
+            </p>
+          )}
+
+          {queryError ? (
+            <p className="mt-2 text-sm text-red-400">Sorgu hatası: {queryError}</p>
+          ) : (
+            <p className="mt-2 text-xs text-neutral-500">
+              AND, OR, NOT, -hariç, &quot;tam ifade&quot;, (grup), author:/fileName:/content:, ceza NEAR/5 gecikme, ceza ONEAR/5 gecikme, geçen hafta, son 30 gün, Mart 2024
+            </p>
+          )}
+
           {/* Öneriler */}
           {showSuggestions && suggestions.length > 0 && (
               <div className="absolute top-full left-0 right-0 mt-2 bg-neutral-900 border border-neutral-800 rounded-2xl shadow-xl z-50 max-h-60 overflow-y-auto">
@@ -172,6 +484,9 @@ export default function AdvancedSearch({ onSearchResults, onSearchLoading }) {
                       <div className="flex-1">
                         <p className="font-medium text-neutral-100">{suggestion.fileName || suggestion.suggestion}</p>
                       </div>
+                      {suggestion.count !== undefined && (
+                        <span className="text-xs text-neutral-500">{suggestion.count} doküman</span>
+                      )}
                     </div>
                   </div>
               ))}
@@ -180,7 +495,7 @@ export default function AdvancedSearch({ onSearchResults, onSearchLoading }) {
         </div>
 
           {/* Arama Seçenekleri */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-4">
             {/* Arama Tipi */}
             <div>
               <label className="block text-sm font-medium text-neutral-400 mb-2">Arama Tipi</label>
@@ -213,11 +528,44 @@ export default function AdvancedSearch({ onSearchResults, onSearchLoading }) {
                 </select>
               </div>
 
+            {/* Arama Modu (regex her zaman sözcükseldir) */}
+            <div>
+              <label className="block text-sm font-medium text-neutral-400 mb-2">Arama Modu</label>
+              <select
+                value={searchType === 'regex' ? 'lexical' : searchMode}
+                onChange={(e) => setSearchMode(e.target.value)}
+                disabled={searchType === 'regex'}
+                className="w-full px-3 py-2 border border-neutral-800 bg-neutral-900 text-neutral-100 rounded-xl focus:outline-none disabled:opacity-50"
+              >
+                {searchModes.map((mode) => (
+                  <option key={mode.value} value={mode.value}>
+                    {mode.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Sayfa Boyutu */}
+            <div>
+              <label className="block text-sm font-medium text-neutral-400 mb-2">Sayfa Başına</label>
+              <select
+                value={pageSize}
+                onChange={(e) => setPageSize(Number(e.target.value))}
+                className="w-full px-3 py-2 border border-neutral-800 bg-neutral-900 text-neutral-100 rounded-xl focus:outline-none"
+              >
+                {pageSizes.map((size) => (
+                  <option key={size} value={size}>
+                    {size} sonuç
+                  </option>
+                ))}
+              </select>
+            </div>
+
             {/* Arama Butonu */}
             <div className="flex items-end">
               <Button
-                onClick={performSearch}
-                disabled={isSearching || !searchQuery.trim()}
+                onClick={() => performSearch()}
+                disabled={isSearching || (!searchQuery.trim() && !hasRanges)}
                 className="w-full bg-neutral-800 hover:bg-neutral-700 text-neutral-100 font-semibold py-2 px-6 rounded-xl border border-neutral-700 transition-all duration-300"
               >
                 {isSearching ? (
@@ -234,39 +582,68 @@ export default function AdvancedSearch({ onSearchResults, onSearchLoading }) {
               </Button>
               </div>
               </div>
+
+          {/* Eşleştirme Seçenekleri */}
+          <label className="flex items-center space-x-2 text-sm text-neutral-400">
+            <input
+              type="checkbox"
+              checked={ignoreDiacritics}
+              onChange={(e) => setIgnoreDiacritics(e.target.checked)}
+              className="rounded border-neutral-700 text-neutral-200 focus:ring-neutral-400 bg-neutral-900"
+            />
+            <span>Türkçe karakter duyarsız (ş=s, ğ=g, ç=c, ö=o, ü=u, ı=i)</span>
+          </label>
+
+          {/* Tarih / boyut / sayfa süzgeçleri */}
+          <div className="mt-4">
+            <button
+              type="button"
+              onClick={() => setShowFilters((v) => !v)}
+              className="flex items-center space-x-2 text-sm text-neutral-400 hover:text-neutral-200"
+            >
+              <SlidersHorizontal className="h-4 w-4" />
+              <span>Filtreler{hasRanges ? ' (etkin)' : ''}</span>
+            </button>
+            {showFilters && (
+              <div className="mt-3 space-y-3">
+                <RangeFilters value={rangeInputs} onChange={setRangeInputs} />
+                {hasRanges && (
+                  <button
+                    type="button"
+                    onClick={() => setRangeInputs(EMPTY_RANGE_INPUTS)}
+                    className="text-xs text-neutral-400 hover:text-neutral-200"
+                  >
+                    Filtreleri temizle
+                  </button>
+                )}
               </div>
-            </div>
+            )}
+          </div>
 
-      {/* Son Aramalar */}
-      {recentSearches.length > 0 && (
-        <div className="relative rounded-3xl shadow-2xl border border-neutral-800 bg-neutral-900/60 overflow-hidden">
-          <div className="relative p-6">
-            <h4 className="text-lg font-bold text-neutral-100 mb-4">Son Aramalar</h4>
-            <div className="space-y-2">
-              {recentSearches.map((search, index) => (
-                <div
-                  key={index}
-                  onClick={() => repeatSearch(search)}
-                  className="flex items-center justify-between p-3 bg-neutral-900 rounded-xl cursor-pointer hover:bg-neutral-800 transition-colors border border-neutral-800"
-                >
-                  <div className="flex items-center space-x-3">
-                    <Search className="h-4 w-4 text-neutral-500" />
-                    <div>
-                      <p className="font-medium text-neutral-100">{search.query}</p>
-                      <p className="text-xs text-neutral-400">
-                        {search.type} • {search.field} • {search.resultCount} sonuç
-                      </p>
-                    </div>
-                  </div>
-                  <div className="text-xs text-neutral-500">
-                    {new Date(search.timestamp).toLocaleTimeString()}
-                  </div>
-                </div>
-              ))}
+          {/* Fasetler */}
+          {facets.length > 0 && (
+            <div className="mt-4 pt-4 border-t border-neutral-800">
+              <SearchFacets
+                facets={facets}
+                filters={facetFilters}
+                disabled={isSearching}
+                onChange={(filters) => performSearch({ filters, reuse: true })}
+              />
             </div>
-          </div>
-        </div>
-      )}
+          )}
+              </div>
+            </div>
+
+      {/* Kayıtlı aramalar ve geçmiş */}
+      <SavedSearches
+        savedSearches={savedSearches}
+        history={recentSearches}
+        canSave={Boolean(searchQuery.trim()) || hasRanges}
+        onRun={runSearchSpec}
+        onSave={handleSaveSearch}
+        onDelete={handleDeleteSavedSearch}
+        onClearHistory={handleClearHistory}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,26 @@
+'use client';
+
+import { highlightSegments } from '@/lib/highlight';
+
+/**
+ * Düz metni vurgulama aralıklarıyla işaretler. Metin React tarafından kaçışlanır;
+ * doküman içeriğindeki etiketler HTML olarak yorumlanmaz.
+ */
+export default function HighlightedText({ text = '', ranges = [] }) {
+  if (!ranges?.length) return text;
+  return highlightSegments(text, ranges).map((segment) => {
+    if (!segment.highlight) return <span key={segment.start}>{segment.text}</span>;
+    // eş anlamlı üzerinden gelen eşleşmeler ayrı renkte ve sorgudaki karşılığıyla gösterilir
+    return segment.synonymOf ? (
+      <mark
+        key={segment.start}
+        className="search-highlight search-highlight-synonym"
+        title={`Eş anlamlı: ${segment.synonymOf}`}
+      >
+        {segment.text}
+      </mark>
+    ) : (
+      <mark key={segment.start} className="search-highlight">{segment.text}</mark>
+    );
+  });
+}
@@ -0,0 +1,153 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { Bell, CheckCheck, Mail } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  getAlertSettings,
+  markAllNotificationsRead,
+  markNotificationRead,
+  saveAlertSettings,
+  subscribeNotifications
+} from '@/lib/notifications';
+
+/**
+ * Kayıtlı arama bildirimleri: zil, okunmamış sayısı ve açılır liste. Bildirime tıklamak onu
+ * okundu işaretler ve ilgili kayıtlı aramayı `onOpen` ile çalıştırır. E-posta özeti ayarı da buradadır.
+ */
+export default function NotificationPanel({ onOpen }) {
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [settings, setSettings] = useState({ alertEmail: '', emailDigest: false });
+  const [savingSettings, setSavingSettings] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => subscribeNotifications(setNotifications), []);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    getAlertSettings().then(setSettings).catch((err) => console.warn('Alert settings unavailable:', err));
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const unread = notifications.filter((n) => !n.read);
+
+  const handleOpen = (notification) => {
+    if (!notification.read) {
+      markNotificationRead(notification.id).catch((err) => console.warn('Mark read failed:', err));
+    }
+    setOpen(false);
+    onOpen?.(notification);
+  };
+
+  const handleMarkAll = () => {
+    markAllNotificationsRead(unread.map((n) => n.id)).catch(() => toast.error('Bildirimler güncellenemedi'));
+  };
+
+  const handleSaveSettings = async () => {
+    setSavingSettings(true);
+    try {
+      await saveAlertSettings(settings);
+      toast.success('E-posta ayarı kaydedildi');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        className="relative p-1 text-neutral-400 hover:text-neutral-200"
+        title="Bildirimler"
+      >
+        <Bell className="h-4 w-4" />
+        {unread.length > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-4 h-4 px-1 rounded-full bg-red-500 text-[10px] leading-4 text-white text-center">
+            {unread.length > 9 ? '9+' : unread.length}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-20 mt-2 w-96 rounded-2xl border border-neutral-800 bg-neutral-900 shadow-2xl">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-neutral-800">
+            <h4 className="text-sm font-semibold text-neutral-100">Kayıtlı Arama Bildirimleri</h4>
+            {unread.length > 0 && (
+              <button
+                type="button"
+                onClick={handleMarkAll}
+                className="inline-flex items-center gap-1 text-xs text-neutral-400 hover:text-neutral-200"
+              >
+                <CheckCheck className="h-3 w-3" />
+                Tümü okundu
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-80 overflow-y-auto">
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-neutral-500 text-center">
+                Kayıtlı aramalarınıza uyan yeni doküman yok.
+              </p>
+            ) : (
+              notifications.map((n) => (
+                <div
+                  key={n.id}
+                  onClick={() => handleOpen(n)}
+                  className={`px-4 py-3 border-b border-neutral-800 cursor-pointer hover:bg-neutral-800 ${n.read ? 'opacity-60' : ''}`}
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="text-sm font-medium text-neutral-100 truncate">{n.fileName}</p>
+                    {!n.read && <span className="h-2 w-2 shrink-0 rounded-full bg-blue-400" />}
+                  </div>
+                  <p className="text-xs text-neutral-400 truncate">
+                    {n.savedSearchName} • {new Date(n.createdAt).toLocaleString('tr-TR', { dateStyle: 'short', timeStyle: 'short' })}
+                  </p>
+                  {n.snippet && <p className="mt-1 text-xs text-neutral-500 line-clamp-2">{n.snippet}</p>}
+                </div>
+              ))
+            )}
+          </div>
+
+          <div className="px-4 py-3 space-y-2">
+            <label className="flex items-center gap-2 text-xs text-neutral-300">
+              <input
+                type="checkbox"
+                checked={settings.emailDigest}
+                onChange={(e) => setSettings((s) => ({ ...s, emailDigest: e.target.checked }))}
+              />
+              <Mail className="h-3 w-3" />
+              E-posta özeti gönder
+            </label>
+            <div className="flex gap-2">
+              <Input
+                type="email"
+                placeholder="ornek@firma.com"
+                value={settings.alertEmail}
+                onChange={(e) => setSettings((s) => ({ ...s, alertEmail: e.target.value }))}
+                className="flex-1 h-8 px-2 text-xs border border-neutral-800 bg-neutral-950 text-neutral-100 rounded-lg"
+              />
+              <Button
+                onClick={handleSaveSettings}
+                disabled={savingSettings}
+                className="h-8 px-3 text-xs bg-neutral-800 hover:bg-neutral-700 text-neutral-100 border border-neutral-700 rounded-lg"
+              >
+                Kaydet
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
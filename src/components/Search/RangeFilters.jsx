@@ -0,0 +1,41 @@
+'use client';
+
+import { Input } from '@/components/ui/input';
+import { EMPTY_RANGE_INPUTS } from '@/lib/searchFilters';
+
+const inputClass = 'px-3 py-2 border border-neutral-800 bg-neutral-900 text-neutral-100 rounded-xl text-sm';
+
+function RangeRow({ label, children }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-neutral-400 mb-2">{label}</label>
+      <div className="grid grid-cols-2 gap-2">{children}</div>
+    </div>
+  );
+}
+
+/** Tarih, boyut ve sayfa sayısı aralıkları */
+export default function RangeFilters({ value = EMPTY_RANGE_INPUTS, onChange }) {
+  const set = (key) => (e) => onChange?.({ ...value, [key]: e.target.value });
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <RangeRow label="Oluşturma Tarihi">
+        <Input type="date" value={value.createdFrom} onChange={set('createdFrom')} className={inputClass} aria-label="Oluşturma tarihi başlangıç" />
+        <Input type="date" value={value.createdTo} onChange={set('createdTo')} className={inputClass} aria-label="Oluşturma tarihi bitiş" />
+      </RangeRow>
+      <RangeRow label="Yükleme Tarihi">
+        <Input type="date" value={value.uploadedFrom} onChange={set('uploadedFrom')} className={inputClass} aria-label="Yükleme tarihi başlangıç" />
+        <Input type="date" value={value.uploadedTo} onChange={set('uploadedTo')} className={inputClass} aria-label="Yükleme tarihi bitiş" />
+      </RangeRow>
+      <RangeRow label="Boyut (MB)">
+        <Input type="number" min="0" step="0.1" placeholder="En az" value={value.minSizeMb} onChange={set('minSizeMb')} className={inputClass} />
+        <Input type="number" min="0" step="0.1" placeholder="En çok" value={value.maxSizeMb} onChange={set('maxSizeMb')} className={inputClass} />
+      </RangeRow>
+      <RangeRow label="Sayfa Sayısı">
+        <Input type="number" min="0" step="1" placeholder="En az" value={value.minPages} onChange={set('minPages')} className={inputClass} />
+        <Input type="number" min="0" step="1" placeholder="En çok" value={value.maxPages} onChange={set('maxPages')} className={inputClass} />
+      </RangeRow>
+    </div>
+  );
+}
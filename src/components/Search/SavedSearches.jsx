@@ -0,0 +1,131 @@
+'use client';
+
+import { useState } from 'react';
+import { Bookmark, Clock, Play, Save, Search, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+
+// "contains • all • anlamsal" gibi kısa özet
+function describeSpec(spec) {
+  return [spec.type, spec.field, spec.mode !== 'lexical' ? spec.mode : null].filter(Boolean).join(' • ');
+}
+
+/**
+ * Kayıtlı aramalar ve arama geçmişi paneli. Satıra tıklamak aramayı kayıtlı ayarlarıyla
+ * (sorgu, tip, alan, süzgeçler) yeniden çalıştırır.
+ */
+export default function SavedSearches({ savedSearches, history, canSave, onRun, onSave, onDelete, onClearHistory }) {
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    setSaving(true);
+    if (await onSave(name)) setName('');
+    setSaving(false);
+  };
+
+  return (
+    <div className="relative rounded-3xl shadow-2xl border border-neutral-800 bg-neutral-900/60 overflow-hidden">
+      <div className="relative p-6 space-y-6">
+        <div>
+          <h4 className="flex items-center text-lg font-bold text-neutral-100 mb-4">
+            <Bookmark className="h-5 w-5 mr-2 text-neutral-400" />
+            Kayıtlı Aramalar
+          </h4>
+          <div className="flex gap-2 mb-3">
+            <Input
+              type="text"
+              placeholder="Geçerli aramaya bir ad verin"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && canSave && name.trim() && handleSave()}
+              className="flex-1 px-3 py-2 border border-neutral-800 bg-neutral-900 text-neutral-100 rounded-xl"
+            />
+            <Button
+              onClick={handleSave}
+              disabled={saving || !canSave || !name.trim()}
+              className="bg-neutral-800 hover:bg-neutral-700 text-neutral-100 border border-neutral-700 rounded-xl"
+            >
+              <Save className="h-4 w-4 mr-1" />
+              Kaydet
+            </Button>
+          </div>
+          {savedSearches.length === 0 ? (
+            <p className="text-sm text-neutral-500">Henüz kayıtlı arama yok.</p>
+          ) : (
+            <div className="space-y-2">
+              {savedSearches.map((saved) => (
+                <div
+                  key={saved.id}
+                  onClick={() => onRun(saved.spec)}
+                  className="flex items-center justify-between p-3 bg-neutral-900 rounded-xl cursor-pointer hover:bg-neutral-800 transition-colors border border-neutral-800"
+                >
+                  <div className="flex items-center space-x-3 min-w-0">
+                    <Play className="h-4 w-4 text-neutral-500 shrink-0" />
+                    <div className="min-w-0">
+                      <p className="font-medium text-neutral-100 truncate">{saved.name}</p>
+                      <p className="text-xs text-neutral-400 truncate">
+                        {saved.spec.query || '(yalnızca süzgeçler)'} • {describeSpec(saved.spec)}
+                      </p>
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onDelete(saved.id);
+                    }}
+                    className="p-2 text-neutral-400 hover:text-red-400"
+                    title="Sil"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {history.length > 0 && (
+          <div>
+            <div className="flex items-center justify-between mb-4">
+              <h4 className="flex items-center text-lg font-bold text-neutral-100">
+                <Clock className="h-5 w-5 mr-2 text-neutral-400" />
+                Son Aramalar
+              </h4>
+              <button
+                type="button"
+                onClick={onClearHistory}
+                className="text-xs text-neutral-400 hover:text-neutral-200"
+              >
+                Geçmişi temizle
+              </button>
+            </div>
+            <div className="space-y-2 max-h-80 overflow-y-auto">
+              {history.map((entry) => (
+                <div
+                  key={entry.id}
+                  onClick={() => onRun(entry.spec)}
+                  className="flex items-center justify-between p-3 bg-neutral-900 rounded-xl cursor-pointer hover:bg-neutral-800 transition-colors border border-neutral-800"
+                >
+                  <div className="flex items-center space-x-3 min-w-0">
+                    <Search className="h-4 w-4 text-neutral-500 shrink-0" />
+                    <div className="min-w-0">
+                      <p className="font-medium text-neutral-100 truncate">{entry.spec.query}</p>
+                      <p className="text-xs text-neutral-400">
+                        {describeSpec(entry.spec)}{entry.resultCount !== null ? ` • ${entry.resultCount} sonuç` : ''}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="text-xs text-neutral-500 shrink-0">
+                    {new Date(entry.searchedAt).toLocaleString('tr-TR', { dateStyle: 'short', timeStyle: 'short' })}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { Info } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { FACETS } from '@/lib/searchFacets';
+
+const FIELD_LABELS = { content: 'İçerik', fileName: 'Ad', author: 'Yazar', title: 'Başlık', all: 'Tümü' };
+const RANGE_LABELS = { createdAt: 'Oluşturma', uploadedAt: 'Yükleme', size: 'Boyut', pageCount: 'Sayfa' };
+const MODE_LABELS = { lexical: 'Sözcüksel', semantic: 'Anlamsal', hybrid: 'Karma' };
+const FACET_LABELS = Object.fromEntries(FACETS.map((facet) => [facet.key, facet.label]));
+const MB = 1024 * 1024;
+
+const percent = (value) => `%${Math.round(value * 100)}`;
+const fixed = (value) => Number(value).toFixed(2);
+
+function formatBound(field, value) {
+  if (value === null || value === undefined) return '…';
+  if (field === 'size') return `${fixed(value / MB)} MB`;
+  if (field === 'pageCount') return String(value);
+  return new Date(value).toLocaleDateString('tr-TR');
+}
+
+// Uygulanan süzgeçler: arama ayarları, dosya tipi/yazar, aralıklar ve fasetler
+function describeFilters(filters = {}) {
+  const items = [];
+  if (filters.searchType) items.push(`Tip: ${filters.searchType}`);
+  if (filters.searchField) items.push(`Alan: ${FIELD_LABELS[filters.searchField] || filters.searchField}`);
+  if (filters.ignoreDiacritics) items.push('Aksan duyarsız');
+  if (filters.fileType) items.push(`Dosya tipi: ${filters.fileType}`);
+  if (filters.author) items.push(`Yazar: ${filters.author}`);
+  for (const [field, range] of Object.entries(filters.ranges || {})) {
+    const low = range.from ?? range.min;
+    const high = range.to ?? range.max;
+    items.push(`${RANGE_LABELS[field] || field}: ${formatBound(field, low)} – ${formatBound(field, high)}`);
+  }
+  for (const [key, values] of Object.entries(filters.facets || {})) {
+    items.push(`${FACET_LABELS[key] || key}: ${values.join(', ')}`);
+  }
+  return items;
+}
+
+function ScoreSummary({ explanation, score }) {
+  const { mode, hybrid, semantic } = explanation;
+  if (mode === 'filters') {
+    return <p>Sorgu yok: doküman yalnızca süzgeçlere uyduğu için listelendi.</p>;
+  }
+  if (mode === 'semantic') {
+    return <p>Anlamsal benzerlik {percent(semantic?.similarity ?? score)} (en benzer parça {semantic?.offset ?? 0}. karakterde).</p>;
+  }
+  return (
+    <div className="space-y-1">
+      {mode === 'hybrid' && hybrid && (
+        <p>
+          Karma puan {percent(score)} = {fixed(hybrid.lexicalWeight)} × sözcüksel {percent(hybrid.lexicalScore)} +{' '}
+          {fixed(1 - hybrid.lexicalWeight)} × anlamsal {percent(hybrid.semanticScore)}
+          {semantic && ` (en benzer parça ${semantic.offset}. karakterde)`}
+        </p>
+      )}
+      {explanation.rawScore !== undefined && (
+        <p>
+          BM25 puanı {fixed(explanation.rawScore)} / en yüksek {fixed(explanation.maxRawScore)}
+          {mode === 'lexical' && ` = ${percent(score)}`} • idf{' '}
+          {explanation.idfSource === 'index' ? 'arama indeksinden' : 'yüklenen dokümanlardan'}
+        </p>
+      )}
+    </div>
+  );
+}
+
+function ExplanationTitle({ mode }) {
+  return (
+    <h4 className="flex items-center font-medium text-neutral-100">
+      <Info className="h-4 w-4 mr-2" />
+      Neden bu sonuç?
+      {mode && (
+        <Badge variant="secondary" className="ml-2 bg-neutral-800 text-neutral-300 border border-neutral-700">
+          {MODE_LABELS[mode] || mode}
+        </Badge>
+      )}
+    </h4>
+  );
+}
+
+function ExplanationDetails({ explanation, score }) {
+  const terms = explanation.terms || [];
+  const fieldScores = Object.entries(explanation.fieldScores || {}).sort((a, b) => b[1] - a[1]);
+  const totalFieldScore = fieldScores.reduce((sum, [, value]) => sum + value, 0);
+  const filters = describeFilters(explanation.filters);
+
+  return (
+    <div className="border-t border-neutral-800 pt-4 space-y-4 text-sm text-neutral-300">
+      <ExplanationTitle mode={explanation.filters?.mode} />
+
+      <ScoreSummary explanation={explanation} score={score} />
+
+      {fieldScores.length > 0 && (
+        <div className="space-y-1">
+          <p className="text-xs uppercase tracking-wide text-neutral-500">Alan katkıları</p>
+          {fieldScores.map(([field, value]) => (
+            <div key={field} className="flex items-center gap-2">
+              <span className="w-16 shrink-0 text-neutral-400">{FIELD_LABELS[field] || field}</span>
+              <div className="flex-1 h-2 rounded-full bg-neutral-800 overflow-hidden">
+                <div className="h-full bg-neutral-400" style={{ width: `${Math.round((totalFieldScore ? value / totalFieldScore : 0) * 100)}%` }} />
+              </div>
+              <span className="w-12 text-right text-xs text-neutral-400">{fixed(value)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {terms.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead className="text-neutral-500">
+              <tr className="text-left">
+                <th className="py-1 pr-2 font-normal">Terim</th>
+                <th className="py-1 pr-2 font-normal">Alan</th>
+                <th className="py-1 pr-2 font-normal text-right">Adet</th>
+                <th className="py-1 pr-2 font-normal text-right">idf</th>
+                <th className="py-1 pr-2 font-normal text-right">Ağırlık</th>
+                <th className="py-1 pr-2 font-normal text-right">Katkı</th>
+                <th className="py-1 font-normal">Konumlar</th>
+              </tr>
+            </thead>
+            <tbody>
+              {terms.map((term) => (
+                <tr key={`${term.prefix}|${term.term}|${term.field}`} className="border-t border-neutral-800 align-top">
+                  <td className="py-1 pr-2 text-neutral-100">
+                    {term.prefix && <span className="text-neutral-500">{term.prefix}:</span>}
+                    {term.term}
+                    {term.synonymOf && <span className="block text-neutral-500">“{term.synonymOf}” eş anlamlısı</span>}
+                  </td>
+                  <td className="py-1 pr-2">{FIELD_LABELS[term.field] || term.field}</td>
+                  <td className="py-1 pr-2 text-right">{term.tf}</td>
+                  <td className="py-1 pr-2 text-right">{fixed(term.idf)}</td>
+                  <td className="py-1 pr-2 text-right">{term.weight}</td>
+                  <td className="py-1 pr-2 text-right text-neutral-100">{fixed(term.score)}</td>
+                  <td className="py-1 text-neutral-400">
+                    {term.offsets.map((o) => o.start).join(', ')}
+                    {term.offsetCount > term.offsets.length && ` (+${term.offsetCount - term.offsets.length})`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {filters.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {filters.map((item) => (
+            <Badge key={item} variant="outline" className="border-neutral-700 text-neutral-400">
+              {item}
+            </Badge>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Sonuç kartında açılan "Neden bu sonuç?" paneli: puanın alan ve terim bazında dökümü,
+ * eşleşme konumları ve uygulanan süzgeçler (bkz. searchPipeline `explain` seçeneği).
+ * Döküm sonuçla gelmediyse panel açılınca yalnızca bu sonuç için `onExplain(docId)` ile istenir.
+ */
+export default function SearchExplanation({ docId, explanation: provided = null, score, onExplain }) {
+  const [loaded, setLoaded] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (provided || !onExplain) return undefined;
+    let cancelled = false;
+    setLoaded(null);
+    setError(null);
+    onExplain(docId)
+      .then((value) => !cancelled && setLoaded(value))
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [docId, provided, onExplain]);
+
+  const explanation = provided || loaded;
+  if (!explanation) {
+    return (
+      <div className="border-t border-neutral-800 pt-4 space-y-4 text-sm text-neutral-300">
+        <ExplanationTitle />
+        {error ? (
+          <p className="text-red-400">{error}</p>
+        ) : (
+          <p className="text-neutral-500">{onExplain ? 'Açıklama hazırlanıyor...' : 'Bu sonuç için açıklama yok.'}</p>
+        )}
+      </div>
+    );
+  }
+  return <ExplanationDetails explanation={explanation} score={score} />;
+}
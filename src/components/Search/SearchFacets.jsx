@@ -0,0 +1,61 @@
+'use client';
+
+import { X } from 'lucide-react';
+
+/**
+ * Faset çipleri: tıklanan değer sonuçları daraltır, tekrar tıklanınca kaldırılır.
+ * facets: advancedSearch / searchDocumentsPage sonucundaki liste; filters: { fasetAnahtarı: [değerler] }
+ */
+export default function SearchFacets({ facets = [], filters = {}, onChange, disabled = false }) {
+  if (!facets.length) return null;
+
+  const toggle = (key, value) => {
+    const current = filters[key] || [];
+    const next = current.includes(value) ? current.filter((v) => v !== value) : [...current, value];
+    const updated = { ...filters, [key]: next };
+    if (!next.length) delete updated[key];
+    onChange?.(updated);
+  };
+
+  const hasSelection = Object.values(filters).some((values) => values.length);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-neutral-400">Sonuçları Daralt</h4>
+        {hasSelection && (
+          <button
+            type="button"
+            onClick={() => onChange?.({})}
+            disabled={disabled}
+            className="text-xs text-neutral-400 hover:text-neutral-200 disabled:opacity-50"
+          >
+            Tümünü temizle
+          </button>
+        )}
+      </div>
+      {facets.map((facet) => (
+        <div key={facet.key} className="flex flex-wrap items-center gap-2">
+          <span className="text-xs text-neutral-500 w-24 shrink-0">{facet.label}</span>
+          {facet.values.map((item) => (
+            <button
+              key={item.value}
+              type="button"
+              onClick={() => toggle(facet.key, item.value)}
+              disabled={disabled}
+              className={`inline-flex items-center gap-1 rounded-full border px-3 py-1 text-xs transition-colors disabled:opacity-50 ${
+                item.selected
+                  ? 'bg-neutral-100 text-neutral-900 border-neutral-100'
+                  : 'bg-neutral-900 text-neutral-300 border-neutral-700 hover:bg-neutral-800'
+              }`}
+            >
+              <span>{item.label}</span>
+              <span className={item.selected ? 'text-neutral-600' : 'text-neutral-500'}>{item.count}</span>
+              {item.selected && <X className="h-3 w-3" />}
+            </button>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,9 +1,14 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
+import { fetchDocumentText } from '@/lib/searchApiClient';
+import { formatLocation, locationHint } from '@/lib/textLocation';
+import HighlightedText from './HighlightedText';
+import SimilarDocuments from './SimilarDocuments';
+import SearchExplanation from './SearchExplanation';
 import { 
   FileText, 
   Download, 
@@ -13,11 +18,150 @@ import {
   Eye,
   EyeOff,
   Star,
-  TrendingUp
+  TrendingUp,
+  ChevronUp,
+  ChevronDown,
+  Files,
+  Info
 } from 'lucide-react';
 
-export default function SearchResults({ results, isLoading }) {
+// Tam içerik görünümü: metin açılınca yüklenir; vurgulanan eşleşmeler arasında önceki/sonraki gezinme
+function FullContentView({ doc }) {
+  const containerRef = useRef(null);
+  const [text, setText] = useState(null);
+  const [textError, setTextError] = useState(null);
+  const [activeHit, setActiveHit] = useState(0);
+  const [hitCount, setHitCount] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setText(null);
+    setTextError(null);
+    fetchDocumentText(doc.id)
+      .then((value) => {
+        if (!cancelled) setText(value || '');
+      })
+      .catch((error) => {
+        if (!cancelled) setTextError(error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [doc.id]);
+
+  useEffect(() => {
+    const marks = containerRef.current?.querySelectorAll('mark.search-highlight') || [];
+    setHitCount(marks.length);
+    setActiveHit(0);
+  }, [text, doc.highlights]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const marks = container?.querySelectorAll('mark.search-highlight') || [];
+    marks.forEach((mark, i) => mark.classList.toggle('search-highlight-active', i === activeHit));
+    const mark = marks[activeHit];
+    if (!mark) return;
+    // yalnızca içerik kutusunu kaydır, sayfanın kendisini değil
+    container.scrollTo({ top: Math.max(0, mark.offsetTop - container.clientHeight / 2), behavior: 'smooth' });
+  }, [activeHit, hitCount]);
+
+  const goTo = (step) => {
+    if (!hitCount) return;
+    setActiveHit((current) => (current + step + hitCount) % hitCount);
+  };
+
+  const activeMatch = doc.matches?.[activeHit];
+
+  return (
+    <div className="border-t border-neutral-800 pt-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-medium text-neutral-100">Dosya İçeriği</h4>
+        {hitCount > 0 && (
+          <div className="flex items-center space-x-2 text-xs text-neutral-400">
+            {activeMatch?.location && (
+              <span title={locationHint(activeMatch.location) || undefined}>{formatLocation(activeMatch.location)}</span>
+            )}
+            <span>{activeHit + 1} / {hitCount}</span>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => goTo(-1)}
+              title="Önceki eşleşme"
+              className="h-7 px-2 bg-neutral-900 border border-neutral-700 text-neutral-100 hover:bg-neutral-800"
+            >
+              <ChevronUp className="h-4 w-4" />
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => goTo(1)}
+              title="Sonraki eşleşme"
+              className="h-7 px-2 bg-neutral-900 border border-neutral-700 text-neutral-100 hover:bg-neutral-800"
+            >
+              <ChevronDown className="h-4 w-4" />
+            </Button>
+          </div>
+        )}
+      </div>
+
+      <div
+        ref={containerRef}
+        className="relative bg-neutral-900 rounded-lg p-4 text-sm text-neutral-300 leading-relaxed max-h-96 overflow-y-auto border border-neutral-800"
+      >
+        <div className="whitespace-pre-wrap break-words">
+          {text === null
+            ? (textError || 'İçerik yükleniyor...')
+            : text ? <HighlightedText text={text} ranges={doc.highlights?.content} /> : 'İçerik yok'}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const COLLAPSED_MATCH_COUNT = 3;
+
+// Eşleşme kesitleri: her geçiş konumuyla birlikte; ilk birkaçı gösterilir, gerisi açılınca
+function MatchSnippets({ matches, total }) {
+  const [showAll, setShowAll] = useState(false);
+  const visible = showAll ? matches : matches.slice(0, COLLAPSED_MATCH_COUNT);
+
+  return (
+    <div className="space-y-2">
+      <ul className="space-y-2">
+        {visible.map((match) => (
+          <li
+            key={match.offset}
+            className="bg-neutral-900 rounded-md px-3 py-2 text-sm text-neutral-300 leading-relaxed border border-neutral-800"
+          >
+            {match.location && (
+              <span className="mr-2 text-xs text-neutral-500" title={locationHint(match.location) || undefined}>
+                {formatLocation(match.location)}
+              </span>
+            )}
+            <HighlightedText text={match.snippet.text} ranges={match.snippet.ranges} />
+          </li>
+        ))}
+      </ul>
+      {matches.length > COLLAPSED_MATCH_COUNT && (
+        <button
+          type="button"
+          onClick={() => setShowAll((current) => !current)}
+          className="text-xs text-neutral-400 hover:text-neutral-200"
+        >
+          {showAll ? 'Daha az göster' : `Tüm eşleşmeleri göster (${matches.length})`}
+        </button>
+      )}
+      {showAll && total > matches.length && (
+        <p className="text-xs text-neutral-500">İlk {matches.length} eşleşme gösteriliyor (toplam {total}).</p>
+      )}
+    </div>
+  );
+}
+
+export default function SearchResults({ results, isLoading, total, hasMore = false, onLoadMore, isLoadingMore = false, onResultAction, onExplain }) {
   const [expandedItems, setExpandedItems] = useState(new Set());
+  const [similarOpenItems, setSimilarOpenItems] = useState(new Set());
+  const [explainOpenItems, setExplainOpenItems] = useState(new Set());
 
   const toggleExpanded = (id) => {
     const newExpanded = new Set(expandedItems);
@@ -29,6 +173,24 @@ export default function SearchResults({ results, isLoading }) {
     setExpandedItems(newExpanded);
   };
 
+  const toggleSimilar = (id) => {
+    setSimilarOpenItems((current) => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleExplain = (id) => {
+    setExplainOpenItems((current) => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -59,17 +221,16 @@ export default function SearchResults({ results, isLoading }) {
 
   const getScoreColor = (score) => {
     if (!score) return 'text-neutral-500';
-    const normalizedScore = 1 - score; // Fuse.js score'u tersine çevir
-    if (normalizedScore > 0.8) return 'text-green-400';
-    if (normalizedScore > 0.6) return 'text-blue-400';
-    if (normalizedScore > 0.4) return 'text-yellow-400';
+    // BM25 puanı en iyi sonuca göre 0–1 aralığında (yüksek = daha alakalı)
+    if (score > 0.8) return 'text-green-400';
+    if (score > 0.6) return 'text-blue-400';
+    if (score > 0.4) return 'text-yellow-400';
     return 'text-neutral-500';
   };
 
   const getScoreBadge = (score) => {
     if (!score) return null;
-    const normalizedScore = 1 - score;
-    const percentage = Math.round(normalizedScore * 100);
+    const percentage = Math.round(score * 100);
     
     let color = 'bg-neutral-800 text-neutral-200 border border-neutral-700';
     if (percentage > 80) color = 'bg-green-900/40 text-green-300 border border-green-700/40';
@@ -84,10 +245,10 @@ export default function SearchResults({ results, isLoading }) {
     );
   };
 
-  // Sonuçları score'a göre sırala (Fuse.js score'u varsa)
+  // Sonuçları alaka puanına göre sırala (varsa)
   const sortedResults = [...results].sort((a, b) => {
     if (a.score !== undefined && b.score !== undefined) {
-      return a.score - b.score; // Düşük score daha iyi eşleşme
+      return b.score - a.score; // Yüksek puan daha iyi eşleşme
     }
     return 0;
   });
@@ -103,6 +264,9 @@ export default function SearchResults({ results, isLoading }) {
     );
   }
 
+  // Toplam eşleşen doküman sayısı (sayfalı aramada yüklenenden fazla olabilir)
+  const totalCount = Math.max(total ?? 0, results?.length ?? 0);
+
   if (!results || results.length === 0) {
     return (
       <div className="text-center p-8 text-neutral-300">
@@ -117,7 +281,7 @@ export default function SearchResults({ results, isLoading }) {
       <div className="space-y-4">
         <div className="flex items-center justify-between">
         <h3 className="text-lg font-semibold text-neutral-100">
-          Arama Sonuçları ({results.length})
+          Arama Sonuçları ({totalCount})
         </h3>
         <div className="flex items-center space-x-2">
           {results.some(r => r.score !== undefined) && (
@@ -127,13 +291,13 @@ export default function SearchResults({ results, isLoading }) {
             </Badge>
           )}
           <Badge variant="secondary" className="bg-neutral-800 text-neutral-200 border border-neutral-700">
-            {results.length} dosya bulundu
+            {totalCount} dosya bulundu
           </Badge>
         </div>
       </div>
 
       <div className="space-y-4">
-        {sortedResults.map((doc) => (
+        {sortedResults.map((doc, index) => (
           <Card key={doc.id} className="hover:shadow-lg transition-shadow bg-neutral-950 text-neutral-100 border border-neutral-800">
             <CardHeader className="pb-3">
               <div className="flex items-start justify-between">
@@ -142,20 +306,16 @@ export default function SearchResults({ results, isLoading }) {
                   <div className="flex-1">
                     <div className="flex items-center space-x-2">
                       <CardTitle className="text-lg font-semibold text-neutral-100">
-                        {doc.highlightedFileName ? (
-                          <span dangerouslySetInnerHTML={{ __html: doc.highlightedFileName }} />
-                        ) : (
-                          doc.fileName
-                        )}
+                        <HighlightedText text={doc.fileName} ranges={doc.highlights?.fileName} />
                       </CardTitle>
                       {getScoreBadge(doc.score)}
                     </div>
                     <div className="flex items-center space-x-4 mt-2 text-sm text-neutral-400">
                       <div className="flex items-center space-x-1">
                         <User className="h-4 w-4" />
-                        <span>{doc.highlightedAuthor ? (
-                          <span dangerouslySetInnerHTML={{ __html: doc.highlightedAuthor }} />
-                        ) : (doc.author || 'Bilinmeyen Yazar')}</span>
+                        <span>{doc.author ? (
+                          <HighlightedText text={doc.author} ranges={doc.highlights?.author} />
+                        ) : 'Bilinmeyen Yazar'}</span>
                       </div>
                       <div className="flex items-center space-x-1">
                         <Calendar className="h-4 w-4" />
@@ -164,15 +324,44 @@ export default function SearchResults({ results, isLoading }) {
                       <Badge variant="outline" className="text-xs bg-neutral-900 border border-neutral-700 text-neutral-300">
                         {formatFileSize(doc.size)}
                       </Badge>
-                      {doc.estimatedPage && (
+                      {doc.matchCount > 0 && (
                         <Badge variant="outline" className="text-xs bg-neutral-900 border border-neutral-700 text-neutral-300">
-                          Tahmini Sayfa: {doc.estimatedPage}
+                          {doc.matchCount} eşleşme
+                        </Badge>
+                      )}
+                      {doc.location && (
+                        <Badge
+                          variant="outline"
+                          className="text-xs bg-neutral-900 border border-neutral-700 text-neutral-300"
+                          title={locationHint(doc.location) || undefined}
+                        >
+                          {formatLocation(doc.location)}
+                        </Badge>
+                      )}
+                      {doc.semanticMatch && (
+                        <Badge
+                          variant="outline"
+                          className="text-xs bg-violet-950/40 border border-violet-700/50 text-violet-300"
+                          title={doc.semanticMatch.passage}
+                        >
+                          Anlamsal: %{Math.round(doc.semanticMatch.similarity * 100)}
+                          {doc.semanticMatch.location ? ` • ${formatLocation(doc.semanticMatch.location)}` : ''}
                         </Badge>
                       )}
+                      {doc.synonymMatches?.map((item) => (
+                        <Badge
+                          key={`${item.synonymOf}|${item.text}`}
+                          variant="outline"
+                          className="text-xs bg-sky-950/40 border border-sky-700/50 text-sky-300"
+                          title="Sorgudaki terimin eş anlamlısı üzerinden eşleşti"
+                        >
+                          Eş anlamlı: {item.text} ({item.synonymOf})
+                        </Badge>
+                      ))}
                       {doc.score !== undefined && (
                         <div className={`flex items-center space-x-1 text-xs ${getScoreColor(doc.score)}`}>
                           <Star className="h-3 w-3" />
-                          <span>{(1 - doc.score).toFixed(2)}</span>
+                          <span>{doc.score.toFixed(2)}</span>
                         </div>
                       )}
                     </div>
@@ -183,7 +372,10 @@ export default function SearchResults({ results, isLoading }) {
                   <Button
                     variant="outline"
                     size="sm"
-                    onClick={() => toggleExpanded(doc.id)}
+                    onClick={() => {
+                      if (!expandedItems.has(doc.id)) onResultAction?.(doc, 'open', index + 1);
+                      toggleExpanded(doc.id);
+                    }}
                     className="flex items-center space-x-1 bg-neutral-900 border border-neutral-700 text-neutral-100 hover:bg-neutral-800"
                   >
                     {expandedItems.has(doc.id) ? (
@@ -198,12 +390,41 @@ export default function SearchResults({ results, isLoading }) {
                       </>
                     )}
                   </Button>
+
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => toggleSimilar(doc.id)}
+                    className={`flex items-center space-x-1 border border-neutral-700 text-neutral-100 hover:bg-neutral-800 ${
+                      similarOpenItems.has(doc.id) ? 'bg-neutral-800' : 'bg-neutral-900'
+                    }`}
+                  >
+                    <Files className="h-4 w-4" />
+                    <span>Benzer Dokümanlar</span>
+                  </Button>
+
+                  {(doc.explanation || onExplain) && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => toggleExplain(doc.id)}
+                      className={`flex items-center space-x-1 border border-neutral-700 text-neutral-100 hover:bg-neutral-800 ${
+                        explainOpenItems.has(doc.id) ? 'bg-neutral-800' : 'bg-neutral-900'
+                      }`}
+                    >
+                      <Info className="h-4 w-4" />
+                      <span>Neden bu sonuç?</span>
+                    </Button>
+                  )}
                   
                   {doc.downloadURL && (
                     <Button
                       variant="outline"
                       size="sm"
-                      onClick={() => window.open(doc.downloadURL, '_blank')}
+                      onClick={() => {
+                        onResultAction?.(doc, 'download', index + 1);
+                        window.open(doc.downloadURL, '_blank');
+                      }}
                       className="flex items-center space-x-1 bg-neutral-900 border border-neutral-700 text-neutral-100 hover:bg-neutral-800"
                     >
                       <Download className="h-4 w-4" />
@@ -214,26 +435,37 @@ export default function SearchResults({ results, isLoading }) {
               </div>
             </CardHeader>
 
-            {expandedItems.has(doc.id) && (
-              <CardContent className="pt-0">
-                <div className="border-t border-neutral-800 pt-4">
-                  <h4 className="font-medium text-neutral-100 mb-3">Dosya İçeriği</h4>
-                  
-                  <div className="bg-neutral-900 rounded-lg p-4 text-sm text-neutral-300 leading-relaxed max-h-96 overflow-y-auto border border-neutral-800">
-                    {doc.highlightedFullContent ? (
-                      <div dangerouslySetInnerHTML={{ __html: doc.highlightedFullContent }} />
-                    ) : doc.highlightedContent ? (
-                      <div dangerouslySetInnerHTML={{ __html: doc.highlightedContent }} />
-                    ) : (
-                      <div className="whitespace-pre-wrap break-words">{doc.textContent || 'İçerik yok'}</div>
-                    )}
-                  </div>
-                </div>
+            {(doc.matches?.length > 0 || expandedItems.has(doc.id) || similarOpenItems.has(doc.id) || explainOpenItems.has(doc.id)) && (
+              <CardContent className="pt-0 space-y-4">
+                {doc.matches?.length > 0 && <MatchSnippets matches={doc.matches} total={doc.matchCount} />}
+                {explainOpenItems.has(doc.id) && (
+                  <SearchExplanation docId={doc.id} explanation={doc.explanation} score={doc.score} onExplain={onExplain} />
+                )}
+                {expandedItems.has(doc.id) && <FullContentView doc={doc} />}
+                {similarOpenItems.has(doc.id) && <SimilarDocuments docId={doc.id} />}
               </CardContent>
             )}
           </Card>
         ))}
       </div>
+
+      {(hasMore || results.length < totalCount) && (
+        <div className="flex flex-col items-center space-y-2 pt-2">
+          <p className="text-xs text-neutral-500">
+            {results.length} / {totalCount} sonuç gösteriliyor
+          </p>
+          {hasMore && onLoadMore && (
+            <Button
+              variant="outline"
+              onClick={onLoadMore}
+              disabled={isLoadingMore}
+              className="bg-neutral-900 border border-neutral-700 text-neutral-100 hover:bg-neutral-800"
+            >
+              {isLoadingMore ? 'Yükleniyor...' : 'Daha Fazla Yükle'}
+            </Button>
+          )}
+        </div>
+      )}
     </div>
   );
 }
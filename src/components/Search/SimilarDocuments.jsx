@@ -0,0 +1,71 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { Download, Files } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { findSimilarRemote } from '@/lib/searchApiClient';
+
+/** Sonuç kartında açılan "Benzer Dokümanlar" listesi (içerik benzerliğine göre) */
+export default function SimilarDocuments({ docId }) {
+  const [items, setItems] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setItems(null);
+    setError(null);
+    findSimilarRemote(docId)
+      .then((results) => !cancelled && setItems(results))
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [docId]);
+
+  return (
+    <div className="border-t border-neutral-800 pt-4">
+      <h4 className="flex items-center font-medium text-neutral-100 mb-3">
+        <Files className="h-4 w-4 mr-2" />
+        Benzer Dokümanlar
+      </h4>
+      {error ? (
+        <p className="text-sm text-red-400">{error}</p>
+      ) : !items ? (
+        <p className="text-sm text-neutral-500">Benzer dokümanlar aranıyor...</p>
+      ) : items.length === 0 ? (
+        <p className="text-sm text-neutral-500">İçeriği benzeyen doküman bulunamadı.</p>
+      ) : (
+        <ul className="space-y-2">
+          {items.map((item) => (
+            <li
+              key={item.id}
+              className="flex items-center justify-between gap-3 p-3 rounded-lg border border-neutral-800 bg-neutral-900"
+            >
+              <div className="min-w-0">
+                <p className="text-sm text-neutral-100 truncate">{item.fileName}</p>
+                {item.sharedTerms?.length > 0 && (
+                  <p className="text-xs text-neutral-500 truncate">Ortak terimler: {item.sharedTerms.join(', ')}</p>
+                )}
+              </div>
+              <div className="flex items-center gap-2 shrink-0">
+                <Badge className="text-xs bg-neutral-800 text-neutral-200 border border-neutral-700">
+                  %{Math.round(item.similarity * 100)} benzer
+                </Badge>
+                {item.downloadURL && (
+                  <button
+                    type="button"
+                    onClick={() => window.open(item.downloadURL, '_blank')}
+                    className="p-1 text-neutral-400 hover:text-neutral-200"
+                    title="İndir"
+                  >
+                    <Download className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { applyDateFilters, extractDateFilters } from '../dateQueryParser';
+
+// 2025-03-19 Çarşamba
+const now = new Date(2025, 2, 19, 10, 30);
+const extract = (input) => extractDateFilters(input, { now });
+
+describe('extractDateFilters', () => {
+  it('tarih ifadesini süzgece çevirip sorgudan çıkarır', () => {
+    expect(extract('geçen hafta yüklenen faturalar')).toEqual({
+      query: 'faturalar',
+      dateFilters: [{
+        id: 'uploadedAt:2025-03-10:2025-03-16',
+        label: 'geçen hafta yüklenen',
+        field: 'uploadedAt',
+        from: '2025-03-10',
+        to: '2025-03-16'
+      }]
+    });
+  });
+
+  it('birimlerin çekimli biçimlerini tanır', () => {
+    expect(extract('bu ayın raporları').dateFilters[0]).toMatchObject({ from: '2025-03-01', to: '2025-03-19' });
+    expect(extract('geçen yılki sözleşmeler').dateFilters[0]).toMatchObject({ from: '2024-01-01', to: '2024-12-31' });
+    expect(extract('son 3 günde gelen').dateFilters[0]).toMatchObject({ from: '2025-03-17', to: '2025-03-19' });
+    expect(extract('2024 yılında oluşturulan').dateFilters[0]).toMatchObject({ field: 'createdAt', from: '2024-01-01' });
+  });
+
+  it('birimle başlayan sıradan kelimeleri tarihe çevirmez', () => {
+    for (const input of ['bu aynı şekilde', 'bu gündem maddeleri', 'ceza bu ayrım', 'geçen yıldız', 'son haftalık rapor']) {
+      expect(extract(input)).toEqual({ query: input, dateFilters: [] });
+    }
+  });
+
+  it('NOT, DEĞİL ya da "-" ile dışlanan ifadeyi sorguda bırakır', () => {
+    expect(extract('NOT dün')).toEqual({ query: 'NOT dün', dateFilters: [] });
+    expect(extract('fatura DEĞİL geçen hafta yüklenen')).toEqual({ query: 'fatura DEĞİL geçen hafta yüklenen', dateFilters: [] });
+    expect(extract('fatura -dün')).toEqual({ query: 'fatura -dün', dateFilters: [] });
+  });
+
+  it('çıkarılan ifadenin bıraktığı operatörleri temizler, tırnaklara dokunmaz', () => {
+    expect(extract('fatura AND dün').query).toBe('fatura');
+    expect(extract('"geçen hafta" toplantısı')).toEqual({ query: '"geçen hafta" toplantısı', dateFilters: [] });
+  });
+});
+
+describe('applyDateFilters', () => {
+  it('aynı alandaki aralıkların kesişimini alır', () => {
+    const { dateFilters } = extract('bu yıl yüklenen geçen ay yüklenen');
+    expect(applyDateFilters({}, dateFilters)).toEqual({ uploadedAt: { from: '2025-02-01', to: '2025-02-28' } });
+  });
+});
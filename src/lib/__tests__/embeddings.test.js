@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_CHUNKS_PER_DOCUMENT, centroidVector, chunkText, dotProduct, preselectEmbeddedDocuments
+} from '../embeddings';
+
+describe('centroidVector', () => {
+  it('parçaların birim uzunluklu ortalamasını verir', () => {
+    const centroid = centroidVector([[1, 0], [0, 1]]);
+    expect(centroid[0]).toBeCloseTo(Math.SQRT1_2, 6);
+    expect(dotProduct(centroid, centroid)).toBeCloseTo(1, 6);
+    expect(centroidVector([])).toEqual([]);
+  });
+});
+
+describe('preselectEmbeddedDocuments', () => {
+  const records = [
+    { docId: 'far', centroid: [0, 1] },
+    { docId: 'near', centroid: [1, 0] },
+    { docId: 'mid', centroid: [Math.SQRT1_2, Math.SQRT1_2] },
+    { docId: 'legacy' }
+  ];
+
+  it('özeti sorguya en yakın dokümanları sınırla seçer', () => {
+    expect(preselectEmbeddedDocuments(records, [1, 0], 2)).toEqual(['near', 'mid', 'legacy']);
+  });
+
+  it('özeti olmayan kayıtları yeniden vektörlenene kadar dahil eder', () => {
+    expect(preselectEmbeddedDocuments(records, [1, 0], 0)).toEqual(['legacy']);
+  });
+});
+
+describe('chunkText', () => {
+  const covers = (chunks, length) => chunks.every((chunk, i) => i === 0 || chunk.start <= chunks[i - 1].end)
+    && chunks[0].start === 0 && chunks[chunks.length - 1].end === length;
+
+  it('kısa metni örtüşen parçalarla baştan sona kapsar', () => {
+    const text = 'kira sözleşmesi '.repeat(200);
+    const chunks = chunkText(text);
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(covers(chunks, text.length)).toBe(true);
+  });
+
+  it('parça sınırını aşan uzun metinde parçaları büyütüp metnin tamamını kapsar', () => {
+    const text = 'madde hükmü uyarınca '.repeat(20000);
+    expect(text.length).toBeGreaterThan(MAX_CHUNKS_PER_DOCUMENT * 1000);
+    const chunks = chunkText(text);
+    expect(chunks.length).toBeLessThanOrEqual(MAX_CHUNKS_PER_DOCUMENT);
+    expect(covers(chunks, text.length)).toBe(true);
+  });
+
+  it('boşluksuz metinde de sınırı aşmaz', () => {
+    const text = 'a'.repeat(50000);
+    const chunks = chunkText(text, { maxChunks: 5 });
+    expect(chunks.length).toBeLessThanOrEqual(5);
+    expect(covers(chunks, text.length)).toBe(true);
+  });
+});
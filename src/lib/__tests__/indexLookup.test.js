@@ -0,0 +1,123 @@
+import { describe, expect, it } from 'vitest';
+import { SEARCH_INDEX_VERSION, buildIndexEntries, isDocumentIndexed, lookupDocumentIdsWith, termGrams, textVersion } from '../indexTerms';
+import { rankCandidates } from '../searchEngine';
+import { createSearchPipeline } from '../searchPipeline';
+
+const DOCS = [
+  { id: 'a', fileName: 'kira-sozlesmesi.pdf', title: 'Kira Sözleşmesi', author: 'Ayşe', textContent: 'Şirketimiz ile kiracı arasında yapılan sözleşmenin ceza maddesi. Gecikme halinde faiz uygulanır.' },
+  { id: 'b', fileName: 'toplanti.docx', title: 'Yönetim kurulu', author: 'Mehmet', textContent: 'Holding şirketlerinin yıllık toplantısı yapıldı. Kararlar oybirliğiyle alındı.' },
+  { id: 'c', fileName: 'rapor.txt', title: 'Denetim raporu', author: 'Zeynep', textContent: 'Denetçiler raporlarını teslim etti; bağımsız denetim sürecinde eksik belge bulunmadı.' },
+  { id: 'd', fileName: 'fatura.xlsx', title: 'Faturalar', author: 'Ali', textContent: 'Fatura tutarları, vergi ve gecikme faizi tabloda listelenmiştir.' },
+  { id: 'e', fileName: 'not.txt', title: '', author: '', textContent: 'Kısa bir not: sözleşme taslağı şirket avukatına gönderildi.' }
+];
+
+// Firestore yerine buildIndexEntries çıktısından okuyan bellek içi okuyucu
+function memoryReader(docs) {
+  const postings = new Map();
+  for (const doc of docs) {
+    for (const posting of buildIndexEntries(doc).postings) {
+      if (!postings.has(posting.term)) postings.set(posting.term, []);
+      postings.get(posting.term).push({ docId: doc.id, fields: posting.fields });
+    }
+  }
+  const terms = [...postings.keys()];
+  const collect = (matches, field) => new Set(terms
+    .filter(matches)
+    .flatMap((term) => postings.get(term))
+    .filter((p) => field === 'all' || p.fields.includes(field))
+    .map((p) => p.docId));
+  return {
+    async postingDocIds({ prefix, term, terms: list }, field) {
+      if (list) return collect((t) => list.includes(t), field);
+      if (term !== undefined) return collect((t) => t === term, field);
+      return collect((t) => t.startsWith(prefix), field);
+    },
+    async countTermsWithGram(gram) {
+      return terms.filter((t) => termGrams(t).includes(gram)).length;
+    },
+    async termsWithGram(gram) {
+      return terms.filter((t) => termGrams(t).includes(gram));
+    }
+  };
+}
+
+function testPipeline({ ready }) {
+  const reader = memoryReader(DOCS);
+  const store = {
+    isSearchIndexReady: async () => ready,
+    lookupDocumentIds: (q, options) => lookupDocumentIdsWith(reader, q, options),
+    fetchAllDocuments: async () => DOCS.map((doc) => ({ ...doc })),
+    fetchDocumentsByIds: async (ids) => DOCS.filter((doc) => ids.includes(doc.id)).map((doc) => ({ ...doc })),
+    getIndexedDocumentCount: async () => DOCS.length,
+    loadSynonymGroups: async () => []
+  };
+  const rank = async ({ docs, ...params }) => {
+    const byId = new Map(docs.map((doc) => [doc.id, doc]));
+    return rankCandidates({ ...params, docs }).map(({ id, ...entry }) => ({ doc: byId.get(id), ...entry }));
+  };
+  const enrich = async (entries) => entries.map((entry) => entry.doc.id);
+  return createSearchPipeline({ store, rank, enrich });
+}
+
+const sorted = (ids) => [...ids].sort();
+
+describe('indeks üzerinden aday seçimi', () => {
+  it.each([
+    ['irket'],
+    ['sözleşme'],
+    ['özleş'],
+    ['aporlar'],
+    ['ecikme fai'],
+    ['denetim OR fatura'],
+    ['irket -holding'],
+    ['title:apor'],
+    ['er']
+  ])('contains "%s" indeksle ve tam taramayla aynı dokümanları bulur', async (q) => {
+    const scanned = await testPipeline({ ready: false }).searchDocuments(q, 'contains');
+    const indexed = await testPipeline({ ready: true }).searchDocuments(q, 'contains');
+    expect(scanned.length).toBeGreaterThan(0);
+    expect(sorted(indexed)).toEqual(sorted(scanned));
+  });
+
+  it('endsWith kelime ortasından başlayan cümle sonlarını bulur', async () => {
+    const scanned = await testPipeline({ ready: false }).searchDocuments('ndı', 'endsWith');
+    const indexed = await testPipeline({ ready: true }).searchDocuments('ndı', 'endsWith');
+    expect(sorted(scanned)).toEqual(['b']);
+    expect(sorted(indexed)).toEqual(sorted(scanned));
+  });
+
+  it('kelime ortası parçasını üçlülerle daraltır, kısa parçada null döner', async () => {
+    const reader = memoryReader(DOCS);
+    expect(sorted(await lookupDocumentIdsWith(reader, 'irket', { substring: true }))).toEqual(['a', 'b', 'e']);
+    expect(await lookupDocumentIdsWith(reader, 'irket', { substring: false })).toEqual([]);
+    expect(await lookupDocumentIdsWith(reader, 'ye', { substring: true })).toBeNull();
+  });
+});
+
+describe('tek sonucun açıklaması', () => {
+  it('döküm yalnızca istenen doküman için hesaplanır', async () => {
+    const pipeline = testPipeline({ ready: true });
+    const ranked = await pipeline.rankDocuments('sözleşme', 'contains', 'all', { explain: ['a'] });
+    expect(ranked.length).toBeGreaterThan(1);
+    expect(ranked.filter((entry) => entry.explanation).map((entry) => entry.doc.id)).toEqual(['a']);
+  });
+
+  it('explainAdvancedResult aramanın süzgeçleriyle dökümü döndürür, sonuçta olmayan doküman için null', async () => {
+    const pipeline = testPipeline({ ready: true });
+    const params = { query: 'sözleşme', type: 'contains', filters: { fileType: ['pdf'] } };
+    const explanation = await pipeline.explainAdvancedResult(params, 'a');
+    expect(explanation).toMatchObject({ mode: 'lexical', filters: { searchType: 'contains', facets: { fileType: ['pdf'] } } });
+    expect(explanation.terms.length).toBeGreaterThan(0);
+    expect(await pipeline.explainAdvancedResult({ ...params, query: 'denetim' }, 'a')).toBeNull();
+  });
+});
+
+describe('isDocumentIndexed', () => {
+  it('yeniden işlenip metni değişen dokümanı indekslenmemiş sayar', () => {
+    const doc = { processedAt: '2026-01-01T00:00:00Z', textContentStoragePath: 'texts/a-1.txt' };
+    const indexed = { ...doc, searchIndexedAt: 1, searchIndexVersion: SEARCH_INDEX_VERSION, searchIndexedTextVersion: textVersion(doc) };
+    expect(isDocumentIndexed(indexed)).toBe(true);
+    expect(isDocumentIndexed({ ...indexed, updatedAt: '2026-02-01T00:00:00Z' })).toBe(false);
+    expect(isDocumentIndexed({ ...indexed, textContentStoragePath: 'texts/a-2.txt' })).toBe(false);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { QuerySyntaxError, collectPositiveTerms, hasQuerySyntax, parseSearchQuery } from '../queryParser';
+
+const term = (value, extra = {}) => ({ type: 'term', value, field: null, phrase: false, ...extra });
+
+describe('parseSearchQuery', () => {
+  it('sözdizimi olmayan sorguyu tek ifade olarak bırakır', () => {
+    expect(hasQuerySyntax('kira sözleşmesi')).toBe(false);
+    expect(parseSearchQuery('  kira sözleşmesi ')).toEqual(term('kira sözleşmesi'));
+  });
+
+  it('AND, OR ve NOT önceliğini uygular; Türkçe operatörleri tanır', () => {
+    expect(parseSearchQuery('kira VE fatura VEYA NOT ceza')).toEqual({
+      type: 'or',
+      children: [
+        { type: 'and', children: [term('kira'), term('fatura')] },
+        { type: 'not', child: term('ceza') }
+      ]
+    });
+    expect(parseSearchQuery('kira DEĞİL ceza')).toEqual({ type: 'and', children: [term('kira'), { type: 'not', child: term('ceza') }] });
+  });
+
+  it('tırnaklı ifadeyi, "-" dışlamayı ve parantezi ayrıştırır', () => {
+    expect(parseSearchQuery('"teklif mektubu" -taslak (a OR b)')).toEqual({
+      type: 'and',
+      children: [
+        term('teklif mektubu', { phrase: true }),
+        { type: 'not', child: term('taslak') },
+        { type: 'or', children: [term('a'), term('b')] }
+      ]
+    });
+    // kelime içindeki tire dışlama değildir
+    expect(parseSearchQuery('e-fatura AND x')).toEqual({ type: 'and', children: [term('e-fatura'), term('x')] });
+  });
+
+  it('alan öneklerini (Türkçe takma adlarla) gruplara da uygular', () => {
+    expect(parseSearchQuery('yazar:ayşe ad:(rapor OR özet)')).toEqual({
+      type: 'and',
+      children: [
+        term('ayşe', { field: 'author' }),
+        { type: 'or', children: [term('rapor', { field: 'fileName' }), term('özet', { field: 'fileName' })] }
+      ]
+    });
+  });
+
+  it('yakınlık operatörlerini mesafe ve sırayla ayrıştırır', () => {
+    expect(parseSearchQuery('ceza NEAR/5 gecikme')).toEqual({
+      type: 'near', children: [term('ceza'), term('gecikme')], distance: 5, ordered: false
+    });
+    expect(parseSearchQuery('ceza SIRALI gecikme')).toMatchObject({ type: 'near', distance: 10, ordered: true });
+  });
+
+  it.each([
+    ['"kapanmamış', 'Kapanmamış tırnak'],
+    ['(kira OR fatura', 'Kapanmamış parantez'],
+    ['kira)', "Fazladan ')'"],
+    ['kira AND', "'AND' sonrasında bir terim bekleniyor"],
+    ['kira yazar:', "'yazar:' alanından sonra bir değer bekleniyor"],
+    ['a NEAR/3 b NEAR/4 c', 'farklı yakınlık operatörleri'],
+    ['a NEAR (b OR c)', 'yalnızca kelime ya da tırnaklı ifadelerle']
+  ])('hatalı sorguda Türkçe mesajlı QuerySyntaxError fırlatır: %s', (input, message) => {
+    expect(() => parseSearchQuery(input)).toThrow(QuerySyntaxError);
+    expect(() => parseSearchQuery(input)).toThrow(message);
+  });
+});
+
+describe('collectPositiveTerms', () => {
+  it('NOT altındaki terimleri atlar, çift olumsuzlamayı olumlu sayar', () => {
+    const ast = parseSearchQuery('kira NOT ceza NOT (NOT fatura)');
+    expect(collectPositiveTerms(ast).map((t) => t.value)).toEqual(['kira', 'fatura']);
+  });
+});
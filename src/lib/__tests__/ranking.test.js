@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { averageLengths, bm25Contributions, bm25Score, countWords, inverseDocumentFrequency, normalizeScores } from '../ranking';
+
+const stats = { idf: { kira: 1, ceza: 2 }, avgLengths: { content: 100, title: 5 } };
+
+describe('BM25', () => {
+  it('kelimeleri Türkçe harflerle sayar', () => {
+    expect(countWords('Şirketin 2024 sözleşmesi — ek-1')).toBe(5);
+    expect(countWords('')).toBe(0);
+  });
+
+  it('nadir terime daha yüksek IDF verir', () => {
+    expect(inverseDocumentFrequency(1, 100)).toBeGreaterThan(inverseDocumentFrequency(50, 100));
+    expect(inverseDocumentFrequency(100, 100)).toBeGreaterThan(0);
+  });
+
+  it('alan ortalamalarını hesaplar', () => {
+    expect(averageLengths([{ content: 100, title: 4 }, { content: 300 }])).toEqual({ content: 200, title: 2 });
+  });
+
+  it('terim frekansı doyar, uzun alan cezalandırılır', () => {
+    const score = (tf, length) => bm25Score({ hits: { kira: { content: tf } }, lengths: { content: length } }, stats);
+    expect(score(2, 100)).toBeGreaterThan(score(1, 100));
+    expect(score(20, 100) - score(10, 100)).toBeLessThan(score(2, 100) - score(1, 100));
+    expect(score(1, 50)).toBeGreaterThan(score(1, 200));
+  });
+
+  it('başlıktaki eşleşme içerikten ağır basar; katkılar toplamı puanı verir', () => {
+    const entry = { hits: { kira: { title: 1, content: 1 }, ceza: { content: 1 } }, lengths: { content: 100, title: 5 } };
+    const contributions = bm25Contributions(entry, stats);
+    const byField = Object.fromEntries(contributions.filter((c) => c.term === 'kira').map((c) => [c.field, c.score]));
+    expect(byField.title).toBeGreaterThan(byField.content);
+    expect(bm25Score(entry, stats)).toBeCloseTo(contributions.reduce((sum, c) => sum + c.score, 0), 10);
+  });
+
+  it('puanları en yükseğe göre 0–1 aralığına ölçekler', () => {
+    expect(normalizeScores([2, 1, 0])).toEqual([1, 0.5, 0]);
+    expect(normalizeScores([0, 0])).toEqual([0, 0]);
+  });
+});
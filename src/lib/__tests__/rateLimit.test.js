@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest';
+import { createRateLimiter } from '../server/rateLimit';
+
+describe('createRateLimiter', () => {
+  it('pencere içinde sınıra kadar izin verir, sonra kalan süreyi döner', () => {
+    const take = createRateLimiter({ limit: 2, windowMs: 60000 });
+    expect(take('u1', 0)).toBe(0);
+    expect(take('u1', 1000)).toBe(0);
+    expect(take('u1', 15000)).toBe(45);
+  });
+
+  it('kullanıcıları ayrı sayar ve pencere dolunca sıfırlar', () => {
+    const take = createRateLimiter({ limit: 1, windowMs: 60000 });
+    expect(take('u1', 0)).toBe(0);
+    expect(take('u2', 0)).toBe(0);
+    expect(take('u1', 59999)).toBe(1);
+    expect(take('u1', 60000)).toBe(0);
+  });
+});
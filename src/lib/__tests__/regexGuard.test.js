@@ -0,0 +1,35 @@
+import { describe, expect, it, vi } from 'vitest';
+import { QuerySyntaxError } from '../queryParser';
+import { createRegexBudget, findRegexRanges } from '../regexGuard';
+import { rankCandidates } from '../searchEngine';
+
+describe('düzenli ifade süre bütçesi', () => {
+  it('yalnızca desenin çalıştığı süreyi bütçeden düşer', () => {
+    const budget = createRegexBudget(1000);
+    expect(findRegexRanges('fatura no: 123, fatura no: 456', 'no: \\d+', budget)).toHaveLength(2);
+    expect(budget.remainingMs).toBeGreaterThan(900);
+    expect(budget.remainingMs).toBeLessThanOrEqual(1000);
+  });
+
+  it('bütçe bitince yeni metinde çalışmadan QuerySyntaxError fırlatır', () => {
+    const budget = createRegexBudget(0);
+    expect(() => findRegexRanges('metin', 'met', budget)).toThrow(QuerySyntaxError);
+  });
+
+  it('sıralama istatistikleri için deseni yeniden çalıştırmaz', () => {
+    const docs = Array.from({ length: 20 }, (_, i) => ({ id: `d${i}`, fileName: `belge-${i}.txt`, textContent: `kayıt ${i} tutar ${i * 10} TL` }));
+    const pattern = 'tutar \\d+';
+    const exec = vi.spyOn(RegExp.prototype, 'exec');
+    const ranked = rankCandidates({
+      ast: { type: 'term', value: pattern, field: null, phrase: false },
+      docs,
+      searchType: 'regex',
+      searchField: 'content'
+    });
+    const calls = exec.mock.contexts.filter((regex) => regex.source === pattern).length;
+    exec.mockRestore();
+    expect(ranked).toHaveLength(20);
+    // doküman başına bir eşleşme + bitiş denemesi
+    expect(calls).toBe(docs.length * 2);
+  });
+});
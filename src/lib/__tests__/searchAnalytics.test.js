@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { queryKeyOf, summarizeSearchEvents } from '../searchAnalytics';
+
+const search = (searchId, query, extra = {}) => ({
+  kind: 'search', searchId, query, queryKey: queryKeyOf(query), resultCount: 3, latencyMs: 100, refined: false, error: null, createdAt: 1, ...extra
+});
+const click = (searchId, query) => ({ kind: 'click', searchId, query, queryKey: queryKeyOf(query), docId: 'd1', position: 0, action: 'open' });
+
+describe('summarizeSearchEvents', () => {
+  it('daraltmadaki tıklamayı asıl aramaya sayar', () => {
+    const summary = summarizeSearchEvents([
+      search('s1', 'kira'),
+      search('s2', 'kira', { refined: true, parentSearchId: 's1' }),
+      click('s2', 'kira'),
+      search('s3', 'fatura')
+    ]);
+    expect(summary.searchCount).toBe(2);
+    expect(summary.clickThroughRate).toBe(0.5);
+    expect(summary.topQueries.find((q) => q.query === 'kira')).toMatchObject({ searches: 1, clickedSearches: 1, clicks: 1, clickThroughRate: 1 });
+  });
+
+  it('genel ve sorgu başına ortalama gecikmeyi hatasız aramalardan hesaplar', () => {
+    const summary = summarizeSearchEvents([
+      search('s1', 'kira', { latencyMs: 100 }),
+      search('s2', 'kira', { latencyMs: 300 }),
+      search('s3', 'kira', { latencyMs: 5000, resultCount: 0, error: 'TypeError' }),
+      search('s4', 'kira', { latencyMs: 20, refined: true, parentSearchId: 's2' })
+    ]);
+    expect(summary.averageLatencyMs).toBe(200);
+    expect(summary.topQueries[0]).toMatchObject({ searches: 2, averageLatencyMs: 200, zeroResults: 0 });
+    expect(summary.zeroResultRate).toBe(0);
+  });
+
+  it('sonuçsuz sorguları ayrıca listeler', () => {
+    const summary = summarizeSearchEvents([search('s1', 'Teklif  Mektubu', { resultCount: 0 }), search('s2', 'teklif mektubu')]);
+    expect(summary.zeroResultQueries).toEqual([expect.objectContaining({ searches: 2, zeroResults: 1 })]);
+    expect(summary.zeroResultRate).toBe(0.5);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import { findMatchRanges, findProximityRanges, rankCandidates, shouldExplain } from '../searchEngine';
+import { parseSearchQuery } from '../queryParser';
+import { foldForCompare } from '../turkishText';
+
+const matched = (text, ranges) => ranges.map((r) => text.slice(r.start, r.end));
+
+describe('foldForCompare', () => {
+  it('Türkçe büyük/küçük harf kurallarını uygular', () => {
+    expect(foldForCompare('İSTANBUL')).toBe('istanbul');
+    expect(foldForCompare('IŞIK')).toBe('ışık');
+  });
+
+  it('aksansız modda Türkçe harfleri tabana indirir', () => {
+    expect(foldForCompare('Şirket Güçlü Işık', { ignoreDiacritics: true })).toBe('sirket guclu isik');
+  });
+});
+
+describe('findMatchRanges', () => {
+  const text = 'İSTANBUL şubesinin Şirket sözleşmesi; şirketler.';
+
+  it('büyük/küçük harfe duyarsız eşleşir, aralıklar kaynak metni gösterir', () => {
+    expect(matched(text, findMatchRanges(text, 'istanbul'))).toEqual(['İSTANBUL']);
+    expect(matched(text, findMatchRanges(text, 'ŞİRKET'))).toEqual(['Şirket', 'şirket']);
+  });
+
+  it('aksan duyarsız modda aksansız sorgu aksanlı metni bulur', () => {
+    expect(findMatchRanges(text, 'sirket')).toEqual([]);
+    expect(matched(text, findMatchRanges(text, 'sirket', 'contains', { ignoreDiacritics: true }))).toEqual(['Şirket', 'şirket']);
+    expect(matched(text, findMatchRanges(text, 'sozlesme', 'contains', { ignoreDiacritics: true }))).toEqual(['sözleşme']);
+  });
+
+  it('tam kelime, başlayan ve joker tiplerini uygular', () => {
+    expect(matched(text, findMatchRanges(text, 'şirket', 'wholeWord'))).toEqual(['Şirket']);
+    expect(matched(text, findMatchRanges(text, 'istanbul', 'startsWith'))).toEqual(['İSTANBUL']);
+    expect(matched(text, findMatchRanges(text, 'şirket*', 'wildcard'))).toEqual(['Şirket', 'şirketler']);
+  });
+
+  it('sınır verilirse o kadar eşleşme döner', () => {
+    expect(findMatchRanges(text, 'ş', 'contains', {}, 2)).toHaveLength(2);
+  });
+});
+
+describe('findProximityRanges', () => {
+  const text = 'Gecikme halinde sözleşme uyarınca ceza uygulanır. Ceza tutarı aşağıdadır.';
+  const near = (query, type, options) => matched(text, findProximityRanges(text, parseSearchQuery(query), type, options));
+
+  it('aradaki kelime sayısı sınırı aşmayan pencereyi tek aralık olarak döndürür', () => {
+    expect(near('gecikme NEAR/3 ceza')).toEqual(['Gecikme halinde sözleşme uyarınca ceza']);
+    expect(near('gecikme NEAR/2 ceza')).toEqual([]);
+  });
+
+  it('NEAR sırasız, ONEAR sıralı eşleşir', () => {
+    expect(near('ceza NEAR/3 gecikme')).toEqual(['Gecikme halinde sözleşme uyarınca ceza']);
+    expect(near('ceza ONEAR/3 gecikme')).toEqual([]);
+    expect(near('ceza ONEAR/1 tutarı')).toEqual(['Ceza tutarı']);
+  });
+
+  it('tırnaklı ifadeyi ve arama tipini kelime bazında uygular', () => {
+    expect(near('"sözleşme uyarınca" NEAR/0 ceza')).toEqual(['sözleşme uyarınca ceza']);
+    expect(near('sozlesme NEAR/1 ceza', 'contains', { ignoreDiacritics: true })).toEqual(['sözleşme uyarınca ceza']);
+    expect(near('sözleşmeler NEAR/1 cezası', 'stem')).toEqual(['sözleşme uyarınca ceza']);
+  });
+
+  it('terimlerden biri yoksa boş döner', () => {
+    expect(near('gecikme NEAR/10 faiz')).toEqual([]);
+  });
+});
+
+describe('rankCandidates açıklaması', () => {
+  const docs = [
+    { id: 'a', fileName: 'notlar.txt', textContent: 'Kira bedeli ödendi. Kira artışı yapılmadı.' },
+    { id: 'b', fileName: 'kira sözleşmesi.pdf', textContent: 'Taraflar arasında imzalanan sözleşme.' },
+    { id: 'c', fileName: 'fatura.pdf', textContent: 'Elektrik faturası.' }
+  ];
+  const rank = (query, explain) => rankCandidates({ ast: parseSearchQuery(query), docs, explain });
+
+  it('yalnızca istenen dokümanlar için döküm üretir', () => {
+    expect(shouldExplain(['b'], 'a')).toBe(false);
+    expect(shouldExplain(true, 'a')).toBe(true);
+    const entries = rank('kira', ['b']);
+    expect(entries.map((e) => e.id)).toEqual(['b', 'a']);
+    expect(entries.find((e) => e.id === 'a').explanation).toBeUndefined();
+  });
+
+  it('terim × alan katkılarını en büyük önce, konumlarıyla verir; katkılar ham puanı toplar', () => {
+    const [top] = rank('kira', true);
+    const { explanation } = top;
+    expect(explanation).toMatchObject({ mode: 'lexical', matchedFields: ['fileName'], idfSource: 'local', rawScore: top.rawScore });
+    expect(explanation.terms).toEqual([expect.objectContaining({ term: 'kira', field: 'fileName', tf: 1, offsets: [{ start: 0, end: 4 }], offsetCount: 1 })]);
+    expect(explanation.fieldScores.fileName).toBeCloseTo(top.rawScore, 10);
+
+    const content = rank('kira', ['a'])[1].explanation;
+    expect(content.terms[0]).toMatchObject({ field: 'content', tf: 2, offsetCount: 2 });
+  });
+
+  it('alan önekini ve NOT altında kalmayan terimleri açıklar', () => {
+    const { explanation } = rank('ad:kira NOT fatura', true)[0];
+    expect(explanation.terms.map((t) => [t.term, t.prefix])).toEqual([['kira', 'fileName']]);
+  });
+});
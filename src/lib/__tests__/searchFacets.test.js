@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { applyFacetFilters, computeFacets, normalizeFacetFilters } from '../searchFacets';
+import { createSearchPipeline } from '../searchPipeline';
+
+const docs = [
+  { id: 'a', fileName: 'kira.pdf', author: 'Ayşe', uploadedAt: '2025-03-02T10:00:00', processingStatus: 'completed' },
+  { id: 'b', fileName: 'fatura.pdf', author: 'Mehmet', uploadedAt: '2025-02-10T10:00:00', processingStatus: 'completed' },
+  { id: 'c', fileName: 'rapor.docx', author: 'Ayşe', uploadedAt: '2025-03-05T10:00:00', processingStatus: 'failed' },
+  { id: 'd', fileName: 'not.txt', uploadedAt: '2025-01-20T10:00:00', processingStatus: 'completed' }
+];
+
+const facetValues = (facets, key) => Object.fromEntries(facets.find((f) => f.key === key).values.map((v) => [v.value, v.count]));
+
+describe('fasetler', () => {
+  it('boş seçimleri ve bilinmeyen fasetleri atar', () => {
+    expect(normalizeFacetFilters({ fileType: ['pdf', 'pdf'], author: [], unknown: ['x'] })).toEqual({ fileType: ['pdf'] });
+  });
+
+  it('aynı fasetteki seçimleri VEYA, farklı fasetleri VE ile birleştirir', () => {
+    const ids = (filters) => applyFacetFilters(docs, filters).map((d) => d.id);
+    expect(ids({ fileType: ['pdf', 'txt'] })).toEqual(['a', 'b', 'd']);
+    expect(ids({ fileType: ['pdf'], author: ['Ayşe'] })).toEqual(['a']);
+  });
+
+  it('her fasetin sayısını diğer fasetlerin seçimiyle hesaplar', () => {
+    const facets = computeFacets(docs, { fileType: ['pdf'] });
+    expect(facetValues(facets, 'fileType')).toEqual({ pdf: 2, docx: 1, txt: 1 });
+    expect(facetValues(facets, 'author')).toEqual({ Ayşe: 1, Mehmet: 1 });
+    expect(facetValues(facets, 'month')).toEqual({ '2025-03': 1, '2025-02': 1 });
+    expect(facets.find((f) => f.key === 'fileType').values.find((v) => v.value === 'pdf').selected).toBe(true);
+  });
+
+  it('sonuç kalmayan seçili değeri sıfır sayıyla listede tutar', () => {
+    expect(facetValues(computeFacets(docs, { author: ['Zeynep'] }), 'author')).toMatchObject({ Zeynep: 0 });
+  });
+});
+
+describe('sayfalama', () => {
+  const createPipeline = () => {
+    let loads = 0;
+    const store = {
+      fetchAllDocuments: async () => {
+        loads += 1;
+        return docs;
+      }
+    };
+    const pipeline = createSearchPipeline({ store, rank: null, enrich: async (entries) => entries.map((e) => e.doc.id) });
+    return { pipeline, loads: () => loads };
+  };
+
+  it('imleçle sonraki sayfayı önbellekteki listeden verir', async () => {
+    const { pipeline, loads } = createPipeline();
+    const first = await pipeline.advancedSearch({ pageSize: 3 });
+    expect(first).toMatchObject({ results: ['a', 'b', 'c'], total: 4 });
+    const second = await pipeline.advancedSearch({ pageSize: 3, cursor: first.nextCursor });
+    expect(second).toMatchObject({ results: ['d'], total: 4, nextCursor: null });
+    expect(loads()).toBe(1);
+  });
+
+  it('faset süzgecini sayfalamadan önce uygular, fasetler tüm listeden sayılır', async () => {
+    const { pipeline } = createPipeline();
+    const page = await pipeline.advancedSearch({ pageSize: 1, filters: { fileType: ['pdf'] } });
+    expect(page).toMatchObject({ results: ['a'], total: 2 });
+    expect(facetValues(page.facets, 'fileType')).toEqual({ pdf: 2, docx: 1, txt: 1 });
+  });
+
+  it('başka bir aramanın ya da bozuk imleci reddeder', async () => {
+    const { pipeline } = createPipeline();
+    const { nextCursor } = await pipeline.advancedSearch({ pageSize: 1 });
+    await expect(pipeline.advancedSearch({ pageSize: 1, cursor: nextCursor, filters: { fileType: ['pdf'] } }))
+      .rejects.toThrow('Sayfalama imleci bu aramaya ait değil');
+    await expect(pipeline.advancedSearch({ cursor: 'bozuk' })).rejects.toMatchObject({ name: 'CursorError' });
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { EMPTY_RANGE_INPUTS, hasRangeFilters, matchesRangeFilters, normalizeRangeFilters, rangeInputsToFilters } from '../searchFilters';
+
+const doc = { uploadedAt: new Date(2025, 2, 15, 18, 30), size: 3 * 1024 * 1024, pageCount: 12 };
+const matches = (ranges) => matchesRangeFilters(doc, normalizeRangeFilters(ranges));
+
+describe('aralık süzgeçleri', () => {
+  it('boş formu süzgeçsiz sayar', () => {
+    expect(normalizeRangeFilters(rangeInputsToFilters(EMPTY_RANGE_INPUTS))).toEqual({});
+    expect(hasRangeFilters(rangeInputsToFilters({ ...EMPTY_RANGE_INPUTS, minPages: '5' }))).toBe(true);
+  });
+
+  it('gün biçimindeki üst sınır o günün sonuna kadar kapsar', () => {
+    expect(matches({ uploadedAt: { from: '2025-03-15', to: '2025-03-15' } })).toBe(true);
+    expect(matches({ uploadedAt: { to: '2025-03-14' } })).toBe(false);
+    expect(matches({ uploadedAt: { from: '2025-03-16' } })).toBe(false);
+  });
+
+  it('boyutu MB olarak, sayfa sayısını sınırlarıyla karşılaştırır', () => {
+    const ranges = (inputs) => rangeInputsToFilters({ ...EMPTY_RANGE_INPUTS, ...inputs });
+    expect(matches(ranges({ minSizeMb: '2', maxSizeMb: '3' }))).toBe(true);
+    expect(matches(ranges({ maxSizeMb: '2.5' }))).toBe(false);
+    expect(matches(ranges({ minPages: '12', maxPages: '12' }))).toBe(true);
+    expect(matches(ranges({ minPages: '13' }))).toBe(false);
+  });
+
+  it('süzgeçteki alanı olmayan dokümanı eler', () => {
+    expect(matches({ createdAt: { from: '2020-01-01' } })).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { bestCorrection, editDistance, maxEditsFor } from '../spelling';
+import { createSearchSuggestions } from '../searchSuggestions';
+
+const vocabulary = [
+  { term: 'sozlesme', display: 'sözleşme', df: 40 },
+  { term: 'sozlesmesi', display: 'sözleşmesi', df: 12 },
+  { term: 'kira', display: 'kira', df: 30 },
+  { term: 'fatura', display: 'fatura', df: 25 },
+  { term: 'fatira', display: 'fatira', df: 1 }
+];
+
+function createSuggestions({ ready = true, fileNames = [] } = {}) {
+  const store = {
+    isSearchIndexReady: async () => ready,
+    lookupVocabulary: async (prefix, { max = 3000 } = {}) => vocabulary
+      .filter((entry) => entry.term.startsWith(prefix))
+      .sort((a, b) => b.df - a.df)
+      .slice(0, max)
+  };
+  const pipeline = { fetchCandidateDocuments: async () => ({ docs: fileNames.map((fileName) => ({ fileName })) }) };
+  return createSearchSuggestions({ store, pipeline });
+}
+
+describe('yazım düzeltme', () => {
+  it('bitişik harf değişimini tek hata sayar, sınır aşılınca max + 1 döner', () => {
+    expect(editDistance('fatura', 'faturs')).toBe(1);
+    expect(editDistance('fatura', 'fautra')).toBe(1);
+    expect(editDistance('sozlesme', 'kira', 2)).toBe(3);
+  });
+
+  it('kısa kelimeleri düzeltmez, eşit uzaklıkta yaygın terimi seçer', () => {
+    expect(maxEditsFor('kir')).toBe(0);
+    expect(bestCorrection('kir', vocabulary)).toBeNull();
+    expect(bestCorrection('fatora', vocabulary)).toMatchObject({ display: 'fatura', distance: 1 });
+    expect(bestCorrection('fatura', vocabulary)).toBeNull();
+  });
+
+  it('sorgudaki sözlükte olmayan kelimeleri düzeltir, operatörlere ve alan adlarına dokunmaz', async () => {
+    const { getSpellingSuggestion } = createSuggestions();
+    expect(await getSpellingSuggestion('sozlesne AND yazar:fatora kira')).toEqual({
+      query: 'sözleşme AND yazar:fatura kira',
+      corrections: [{ from: 'sozlesne', to: 'sözleşme' }, { from: 'fatora', to: 'fatura' }]
+    });
+    expect(await getSpellingSuggestion('kira fatura')).toBeNull();
+  });
+
+  it('indeks hazır değilse öneri vermez', async () => {
+    expect(await createSuggestions({ ready: false }).getSpellingSuggestion('fatora')).toBeNull();
+  });
+});
+
+describe('otomatik tamamlama', () => {
+  it('son kelimeyi sözlükten yaygınlık sırasıyla tamamlar', async () => {
+    const { getSearchSuggestions } = createSuggestions();
+    expect(await getSearchSuggestions('kira sozles')).toEqual([
+      { suggestion: 'kira sözleşme', term: 'sözleşme', count: 40 },
+      { suggestion: 'kira sözleşmesi', term: 'sözleşmesi', count: 12 }
+    ]);
+  });
+
+  it('tamamlama yoksa dosya adlarından önerir', async () => {
+    const { getSearchSuggestions } = createSuggestions({ fileNames: ['Teklif Mektubu.pdf', 'rapor.docx'] });
+    expect(await getSearchSuggestions('mektub')).toEqual([{ suggestion: 'Teklif Mektubu.pdf' }]);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { EMPTY_RANGE_INPUTS } from '../searchFilters';
+import { parseSearchParams, searchSpecToQueryString } from '../searchUrl';
+
+const spec = {
+  query: 'teklif son 30 gün',
+  type: 'stem',
+  field: 'content',
+  ignoreDiacritics: false,
+  mode: 'hybrid',
+  rangeInputs: { ...EMPTY_RANGE_INPUTS, uploadedFrom: '2025-01-01', maxPages: '20' },
+  filters: { author: ['Mehmet', 'Ayşe'], fileType: ['pdf'] },
+  pageSize: 50
+};
+
+describe('searchUrl', () => {
+  it('varsayılanları yazmaz, parametre sırası sabittir', () => {
+    expect(searchSpecToQueryString({ query: ' teklif ' })).toBe('q=teklif');
+    expect(searchSpecToQueryString({ query: '' })).toBe('');
+    expect(searchSpecToQueryString({ query: 'a', filters: { fileType: ['pdf'], author: ['Ayşe'] } }))
+      .toBe(searchSpecToQueryString({ query: 'a', filters: { author: ['Ayşe'], fileType: ['pdf'] } }));
+  });
+
+  it('aramayı bağlantıdan aynen geri okur', () => {
+    const query = searchSpecToQueryString(spec, { pages: 3 });
+    expect(parseSearchParams(query)).toEqual({
+      spec: { ...spec, query: 'teklif son 30 gün', filters: { author: ['Ayşe', 'Mehmet'], fileType: ['pdf'] } },
+      pages: 3
+    });
+  });
+
+  it('geçersiz değerleri varsayılana çevirir, sayfa sayısını sınırlar', () => {
+    const { spec: parsed, pages } = parseSearchParams('q=kira&type=bilinmeyen&field=x&mode=y&size=1000&page=99&f.bilinmeyen=z');
+    expect(parsed).toMatchObject({ query: 'kira', type: 'contains', field: 'all', mode: 'lexical', pageSize: 100, filters: {} });
+    expect(pages).toBe(10);
+  });
+
+  it('arama içermeyen bağlantı için null döner', () => {
+    expect(parseSearchParams('')).toBeNull();
+    expect(parseSearchParams('type=stem&page=2')).toBeNull();
+    expect(parseSearchParams('f.fileType=pdf')).toMatchObject({ spec: { query: '', filters: { fileType: ['pdf'] } } });
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { rankBySimilarity, termFrequencies } from '../similarity';
+
+const target = 'Kira sözleşmesi feshedildi, kiracı tahliye edilecek ve depozito iade edilecek.';
+const candidate = (id, text) => ({ doc: { id }, frequencies: termFrequencies(text) });
+
+describe('rankBySimilarity', () => {
+  it('tek ortak kelimesi olan uzun dokümanı düşük puanlar', () => {
+    const [result] = rankBySimilarity({
+      target: termFrequencies(target),
+      candidates: [
+        candidate('a', 'Bütçe raporu: gelirler, giderler, yatırımlar, personel maaşları, vergi ödemeleri ve kira.'),
+        candidate('b', 'Toplantı notları, proje planı ve teslim tarihleri.')
+      ],
+      limit: 5
+    });
+    expect(result.doc.id).toBe('a');
+    expect(result.similarity).toBeLessThan(0.1);
+    expect(result.sharedTerms).toEqual(['kira']);
+  });
+
+  it('aynı metne ~1, farklı metne daha düşük benzerlik verir', () => {
+    const ranked = rankBySimilarity({
+      target: termFrequencies(target),
+      candidates: [
+        candidate('same', target),
+        candidate('near', 'Kiracı tahliye edilecek; kira sözleşmesi sona erdi.'),
+        candidate('other', 'Toplantı notları ve proje planı.')
+      ],
+      limit: 5
+    });
+    expect(ranked.map((r) => r.doc.id)).toEqual(['same', 'near']);
+    expect(ranked[0].similarity).toBeCloseTo(1, 5);
+    expect(ranked[1].similarity).toBeLessThan(ranked[0].similarity);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { parseSearchQuery } from '../queryParser';
+import { expandWithSynonyms } from '../synonymExpansion';
+
+const groups = [{ terms: ['KDV', 'katma değer vergisi'] }, { terms: ['sözleşme', 'mukavele', 'kontrat'] }];
+const values = (node) => node.children.map((child) => child.value);
+
+describe('expandWithSynonyms', () => {
+  it('terimdeki grup üyesini diğer karşılıklarla VEYA\'lar', () => {
+    const expanded = expandWithSynonyms(parseSearchQuery('kdv oranı'), groups);
+    expect(expanded.type).toBe('or');
+    expect(values(expanded)).toEqual(['kdv oranı', 'katma değer vergisi oranı']);
+    expect(expanded.children[1].synonymOf).toBe('kdv');
+  });
+
+  it('çok kelimeli üyeyi aksansız eşleştirir ve iki yönlü genişletir', () => {
+    expect(values(expandWithSynonyms(parseSearchQuery('katma deger vergisi'), groups))).toEqual(['katma deger vergisi', 'KDV']);
+    expect(values(expandWithSynonyms(parseSearchQuery('Mukavele'), groups))).toEqual(['Mukavele', 'sözleşme', 'kontrat']);
+  });
+
+  it('alan önekini korur, NOT altındaki terimleri de genişletir', () => {
+    const expanded = expandWithSynonyms(parseSearchQuery('ad:sözleşme NOT kdv'), groups);
+    expect(expanded.children[0].children.map((c) => c.field)).toEqual(['fileName', 'fileName', 'fileName']);
+    expect(expanded.children[1]).toMatchObject({ type: 'not', child: { type: 'or' } });
+  });
+
+  it('kelime parçasını, tırnaklı ifadeyi ve yakınlık terimlerini genişletmez', () => {
+    for (const query of ['kdvsiz', '"kdv oranı" fatura', 'kdv NEAR/3 oran']) {
+      const ast = parseSearchQuery(query);
+      expect(expandWithSynonyms(ast, groups)).toEqual(ast);
+    }
+  });
+});
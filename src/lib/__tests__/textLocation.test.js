@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { formatLocation, locateOffset, locationHint } from '../textLocation';
+
+// İşleme fonksiyonunun yazdığı biçim: her birimin textContent içindeki başlangıcı
+const pages = ['Birinci sayfa metni.', 'İkinci sayfada ceza maddesi var.', 'Üçüncü sayfa.'];
+const textContent = pages.join('\n\n');
+const pageOffsets = pages.map((_, i) => pages.slice(0, i).reduce((sum, page) => sum + page.length + 2, 0));
+
+describe('locateOffset', () => {
+  it('sayfa konumları varsa eşleşmenin gerçek sayfasını verir', () => {
+    const offset = textContent.indexOf('ceza');
+    const location = locateOffset({ pageOffsets, pageCount: 3 }, offset, textContent.length);
+    expect(location).toEqual({ kind: 'page', number: 2, label: null, exact: true });
+    expect(formatLocation(location)).toBe('Sayfa 2');
+    expect(locationHint(location)).toBeNull();
+  });
+
+  it('birim sınırındaki konumu yeni birime sayar', () => {
+    expect(locateOffset({ pageOffsets }, pageOffsets[2], textContent.length).number).toBe(3);
+    expect(locateOffset({ pageOffsets }, pageOffsets[2] - 1, textContent.length).number).toBe(2);
+  });
+
+  it('çalışma sayfası ve bölüm adlarını kullanır', () => {
+    const sheet = locateOffset({ sheetOffsets: [0, 40], sheetNames: ['Gelirler', 'Giderler'] }, 45, 80);
+    expect(formatLocation(sheet)).toBe('Çalışma sayfası: Giderler');
+    const section = locateOffset({ sectionOffsets: [0, 10], sectionTitles: ['Giriş', 'Ödeme Koşulları'] }, 12, 50);
+    expect(formatLocation(section)).toBe('Bölüm 2 · Ödeme Koşulları');
+  });
+
+  it('konum yoksa sayfayı tahmin eder ve tahmin olarak işaretler', () => {
+    const location = locateOffset({ pageCount: 10 }, 55, 100);
+    expect(location).toEqual({ kind: 'page', number: 6, label: null, exact: false });
+    expect(formatLocation(location)).toBe('Tahmini Sayfa 6');
+    expect(locationHint(location)).toMatch(/tahmin/);
+  });
+});
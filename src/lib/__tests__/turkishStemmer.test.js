@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { stemWord } from '../turkishStemmer';
+
+const stems = (words, options) => [...new Set(words.map((w) => stemWord(w, options)))];
+
+describe('stemWord', () => {
+  it('çekimli biçimleri aynı köke indirir', () => {
+    expect(stems(['sözleşme', 'sözleşmeler', 'sözleşmede', 'sözleşmesinin', 'sözleşmeyi'])).toEqual(['sözleşme']);
+    expect(stems(['fatura', 'faturalar', 'faturası', 'faturanın', 'faturayı'])).toEqual(['fatura']);
+  });
+
+  it('kökün son ünlüsünü düşürmez', () => {
+    expect(stems(['kira', 'kiraya', 'kirası', 'kiranın', 'kiralar'])).toEqual(['kira']);
+    expect(stems(['kiracı', 'kiracıya', 'kiracının', 'kiracılar'])).toEqual(['kiracı']);
+  });
+
+  it('ünsüzden sonraki durum ekini atar, yumuşamış ünsüzü sertleştirir', () => {
+    expect(stems(['kitap', 'kitabı', 'kitaba', 'kitabın', 'kitaplar'])).toEqual(['kitap']);
+    expect(stems(['kalem', 'kalemi', 'kalemin'])).toEqual(['kalem']);
+    expect(stems(['ağaç', 'ağacın', 'ağaçlar'])).toEqual(['ağaç']);
+  });
+
+  it('aksansız modda katlanmış kök döner; kısa ve sayısal kelimelere dokunmaz', () => {
+    expect(stemWord('Sözleşmesinin', { ignoreDiacritics: true })).toBe('sozlesme');
+    expect(stemWord('ev')).toBe('ev');
+    expect(stemWord('2024te')).toBe('2024te');
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Sunucu uç noktaları için oturum (Firebase Authentication)
+ *
+ * Uygulamada henüz oturum açma ekranı yok; tarayıcı ilk istekte anonim olarak oturum açar ve
+ * /api/* çağrılarına kimlik belirtecini ekler (sunucuda bkz. server/requestAuth.userAuthError).
+ * Firebase konsolunda anonim oturum açma sağlayıcısı etkin olmalıdır.
+ */
+import { getAuth, signInAnonymously } from 'firebase/auth';
+import app from './firebase';
+
+let signingIn = null;
+
+/** Oturumdaki kullanıcı; oturum yoksa anonim oturum açar */
+export async function currentUser() {
+  const auth = getAuth(app);
+  await auth.authStateReady();
+  if (auth.currentUser) return auth.currentUser;
+  signingIn ||= signInAnonymously(auth).finally(() => {
+    signingIn = null;
+  });
+  return (await signingIn).user;
+}
+
+/** fetch başlıklarına eklenecek `Authorization` başlığı */
+export async function authHeaders() {
+  const user = await currentUser();
+  return { Authorization: `Bearer ${await user.getIdToken()}` };
+}
+
+/**
+ * Oturumdaki kullanıcının belirtecinde `admin` talebi var mı? Yalnızca yönetim bağlantılarını
+ * göstermek/gizlemek içindir; yetki sunucuda ve Firestore kurallarında denetlenir.
+ */
+export async function isAdminUser() {
+  const { claims } = await (await currentUser()).getIdTokenResult();
+  return claims.admin === true;
+}
+
+/**
+ * Yönetim sayfalarına erişimi sunucuya sorar (bkz. /api/admin/access).
+ * @returns {Promise<boolean>} yönetici değilse false; diğer hatalarda fırlatır
+ */
+export async function checkAdminAccess() {
+  const res = await fetch('/api/admin/access', { headers: await authHeaders() });
+  if (res.status === 403) return false;
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `Yetki denetlenemedi (HTTP ${res.status})`);
+  }
+  return true;
+}
@@ -0,0 +1,12 @@
+/**
+ * Geçerli kullanıcı kimliği
+ *
+ * Oturumdaki Firebase Authentication kullanıcısının uid'i (bkz. auth). users/{uid} altındaki
+ * veriler bu kimlikle anahtarlanır; Firestore kuralları yalnızca sahibinin erişimine izin verir.
+ */
+import { currentUser } from './auth';
+
+/** Oturum hazır olana (gerekirse anonim oturum açılana) kadar bekler. */
+export async function getCurrentUserId() {
+  return (await currentUser()).uid;
+}
@@ -0,0 +1,264 @@
+/**
+ * Sorgudaki Türkçe tarih ifadelerini süzgece çevirme
+ *
+ * "geçen hafta yüklenen faturalar" → sorgu "faturalar" + uploadedAt: geçen haftanın Pazartesi–Pazar aralığı.
+ * Tanınanlar: bugün, dün, evvelsi gün, N gün önce, bu/geçen hafta|ay|çeyrek|yıl (sene),
+ * son N gün|hafta|ay|yıl ("son bir hafta", "son hafta"), "Mart 2024" / "2024 Mart", "2024 yılında",
+ * 15.03.2025, 15/03/2025, 2025-03-15 ve bunların "…'ten sonra" / "…'ten önce" biçimleri.
+ * Arkasından gelen "yüklenen / eklenen" uploadedAt, "oluşturulan / tarihli" createdAt seçer
+ * (varsayılan uploadedAt) ve o kelime de sorgudan çıkarılır. Tırnak içindeki ve NOT / DEĞİL / "-"
+ * ile dışlanan ifadelere dokunulmaz; bunlar sorguda metin olarak kalır.
+ * Sınırlar "YYYY-AA-GG" (yerel gün) döner; searchFilters.normalizeRangeFilters ile uyumludur.
+ */
+import { foldForCompare } from './turkishText';
+
+const FOLD = { ignoreDiacritics: true };
+
+const MONTHS = ['ocak', 'subat', 'mart', 'nisan', 'mayis', 'haziran', 'temmuz', 'agustos', 'eylul', 'ekim', 'kasim', 'aralik'];
+const NUMBER_WORDS = { bir: 1, iki: 2, uc: 3, dort: 4, bes: 5, alti: 6, yedi: 7, sekiz: 8, dokuz: 9, on: 10 };
+// Birim kelimeleri ve tanınan çekimli biçimleri (katlanmış). Önek eşleşmesi "aynı", "gündem",
+// "ayrım" gibi sıradan kelimeleri tarihe çevirdiği için yalnızca bu biçimler kabul edilir.
+const UNIT_FORMS = {
+  day: ['gun', 'gunu', 'gune', 'gunde', 'gunden', 'gunun', 'gunku', 'gundeki', 'gunler', 'gunlerde', 'gunlerin'],
+  week: ['hafta', 'haftayi', 'haftaya', 'haftada', 'haftadan', 'haftanin', 'haftaki', 'haftadaki', 'haftalar', 'haftalarda',
+    'haftasinda'],
+  month: ['ay', 'ayi', 'aya', 'ayda', 'aydan', 'ayin', 'ayki', 'aydaki', 'aylar', 'aylarda', 'ayinda'],
+  quarter: ['ceyrek', 'ceyregi', 'ceyrege', 'ceyrekte', 'ceyrekten', 'ceyregin', 'ceyrekteki', 'ceyreginde'],
+  year: ['yil', 'yili', 'yila', 'yilda', 'yildan', 'yilin', 'yilki', 'yildaki', 'yillar', 'yillarda', 'yilinda',
+    'sene', 'seneyi', 'seneye', 'senede', 'seneden', 'senenin', 'seneki', 'senedeki', 'seneler', 'senelerde', 'senesinde']
+};
+const UNITS = new Map(Object.entries(UNIT_FORMS).flatMap(([unit, forms]) => forms.map((form) => [form, unit])));
+const NEGATION_RE = /^(NOT|DEĞİL|DEGIL)$/;
+
+const UPLOADED_WORD_RE = /^(yukle|eklen|ekledi)/;
+const CREATED_WORD_RE = /^(olustur|tarihli|yazilan|hazirlanan)/;
+
+const DAY_DOT_RE = /^(\d{1,2})[./](\d{1,2})[./](\d{4})$/;
+const ISO_DAY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const YEAR_RE = /^(19|20)\d{2}$/;
+const ABLATIVE_RE = /^(den|dan|ten|tan)$/;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function formatDay(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function range(from, to) {
+  return { from: from ? formatDay(from) : null, to: to ? formatDay(to) : null };
+}
+
+// Pazartesi başlangıçlı hafta
+function startOfWeek(date) {
+  return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+function periodRange(unit, today, offset) {
+  const y = today.getFullYear();
+  const m = today.getMonth();
+  if (unit === 'day') return range(addDays(today, offset), addDays(today, offset));
+  if (unit === 'week') {
+    const start = addDays(startOfWeek(today), offset * 7);
+    return range(start, offset === 0 ? today : addDays(start, 6));
+  }
+  if (unit === 'month') {
+    return range(new Date(y, m + offset, 1), offset === 0 ? today : new Date(y, m + offset + 1, 0));
+  }
+  if (unit === 'quarter') {
+    const q = Math.floor(m / 3) + offset;
+    return range(new Date(y, q * 3, 1), offset === 0 ? today : new Date(y, q * 3 + 3, 0));
+  }
+  return range(new Date(y + offset, 0, 1), offset === 0 ? today : new Date(y + offset, 11, 31));
+}
+
+function lastRange(unit, count, today) {
+  if (unit === 'day') return range(addDays(today, -(count - 1)), today);
+  if (unit === 'week') return range(addDays(today, -(count * 7 - 1)), today);
+  const months = unit === 'month' ? count : unit === 'quarter' ? count * 3 : count * 12;
+  return range(addDays(new Date(today.getFullYear(), today.getMonth() - months, today.getDate()), 1), today);
+}
+
+/** Kelimeyi eşleştirme için katla; kesme işaretinden sonrası ek sayılır ("Mart'ta" → mart + ta) */
+function normalizeWord(word) {
+  const folded = foldForCompare(word.replace(/[.,;:!?]+$/, ''), FOLD);
+  const [stem, suffix = ''] = folded.split(/['’]/);
+  return { stem, suffix };
+}
+
+function unitOf(word) {
+  return word ? UNITS.get(word.stem) || null : null;
+}
+
+function countOf(word) {
+  if (!word) return null;
+  if (/^\d{1,3}$/.test(word.stem)) return Number(word.stem) || null;
+  return NUMBER_WORDS[word.stem] ?? null;
+}
+
+function monthOf(word) {
+  if (!word) return -1;
+  return MONTHS.findIndex((name) => word.stem === name || (word.stem.startsWith(name) && word.stem.length - name.length <= 3));
+}
+
+function yearOf(word) {
+  return word && YEAR_RE.test(word.stem) ? Number(word.stem) : null;
+}
+
+function parseDay(word) {
+  if (!word) return null;
+  let m = word.stem.match(DAY_DOT_RE);
+  if (m) return validDay(Number(m[3]), Number(m[2]), Number(m[1]));
+  m = word.stem.match(ISO_DAY_RE);
+  if (m) return validDay(Number(m[1]), Number(m[2]), Number(m[3]));
+  return null;
+}
+
+function validDay(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * Kelime penceresinin başındaki tarih ifadesini tanır.
+ * @returns {{ length: number, range: { from: string|null, to: string|null } } | null}
+ */
+function matchAt([w0, w1, w2], today) {
+  const s0 = w0.stem;
+
+  if (s0 === 'bugun') return { length: 1, range: periodRange('day', today, 0) };
+  if (s0 === 'dun') return { length: 1, range: periodRange('day', today, -1) };
+  if ((s0 === 'evvelsi' || s0 === 'onceki') && unitOf(w1) === 'day') return { length: 2, range: periodRange('day', today, -2) };
+
+  if ((s0 === 'bu' || s0 === 'gecen' || s0 === 'gectigimiz') && unitOf(w1)) {
+    return { length: 2, range: periodRange(unitOf(w1), today, s0 === 'bu' ? 0 : -1) };
+  }
+
+  if (s0 === 'son') {
+    const count = countOf(w1);
+    if (count && unitOf(w2)) return { length: 3, range: lastRange(unitOf(w2), count, today) };
+    // "son gün(ü)" çoğunlukla vade anlamında; sayısız biçim yalnızca hafta/ay/yıl için
+    if (unitOf(w1) && unitOf(w1) !== 'day') return { length: 2, range: lastRange(unitOf(w1), 1, today) };
+  }
+
+  const count = countOf(w0);
+  if (count && unitOf(w1) === 'day' && w2?.stem === 'once') return { length: 3, range: periodRange('day', today, -count) };
+
+  // "Mart 2024" / "2024 Mart"
+  if (monthOf(w0) >= 0 && yearOf(w1)) {
+    return { length: 2, range: range(new Date(yearOf(w1), monthOf(w0), 1), new Date(yearOf(w1), monthOf(w0) + 1, 0)) };
+  }
+  if (yearOf(w0) && monthOf(w1) >= 0) {
+    return { length: 2, range: range(new Date(yearOf(w0), monthOf(w1), 1), new Date(yearOf(w0), monthOf(w1) + 1, 0)) };
+  }
+  if (yearOf(w0) && unitOf(w1) === 'year') {
+    return { length: 2, range: range(new Date(yearOf(w0), 0, 1), new Date(yearOf(w0), 11, 31)) };
+  }
+
+  const day = parseDay(w0);
+  if (day) {
+    // "15.03.2025'ten sonra" / "15.03.2025 tarihinden önce"
+    const hasAblative = ABLATIVE_RE.test(w0.suffix);
+    const next = hasAblative ? w1 : w1?.stem.startsWith('tarihinden') ? w2 : null;
+    const consumed = hasAblative ? 2 : 3;
+    if (next?.stem === 'sonra') return { length: consumed, range: range(addDays(day, 1), null) };
+    if (next?.stem === 'once') return { length: consumed, range: range(null, addDays(day, -1)) };
+    return { length: 1, range: range(day, day) };
+  }
+  return null;
+}
+
+const BINARY_OPERATOR_RE = /^(AND|VE|OR|VEYA)$/;
+
+// İfade çıkarılınca ortada kalan operatörleri temizle ("fatura AND dün" → "fatura")
+function tidyOperators(query) {
+  const tokens = query.split(/\s+/).filter(Boolean);
+  const out = [];
+  for (const token of tokens) {
+    if (BINARY_OPERATOR_RE.test(token) && (!out.length || BINARY_OPERATOR_RE.test(out[out.length - 1]))) continue;
+    out.push(token);
+  }
+  while (out.length && (BINARY_OPERATOR_RE.test(out[out.length - 1]) || NEGATION_RE.test(out[out.length - 1]))) out.pop();
+  return out.join(' ');
+}
+
+function fieldOf(word) {
+  if (!word) return null;
+  if (UPLOADED_WORD_RE.test(word.stem)) return 'uploadedAt';
+  if (CREATED_WORD_RE.test(word.stem)) return 'createdAt';
+  return null;
+}
+
+/**
+ * Sorgudaki tarih ifadelerini çıkarır.
+ * @returns {{ query: string, dateFilters: Array<{ id: string, label: string, field: 'uploadedAt'|'createdAt', from: string|null, to: string|null }> }}
+ */
+export function extractDateFilters(input = '', { now = new Date() } = {}) {
+  const text = String(input || '');
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  // Tırnak dışındaki kelimeler (konumlarıyla)
+  const words = [];
+  const re = /"[^"]*"?|[^\s"]+/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (m[0].startsWith('"')) {
+      words.push(null);
+      continue;
+    }
+    words.push({ start: m.index, end: m.index + m[0].length, ...normalizeWord(m[0]) });
+  }
+
+  const dateFilters = [];
+  const removed = [];
+  for (let i = 0; i < words.length; i += 1) {
+    if (!words[i]) continue;
+    const window = [];
+    for (let k = i; k < i + 3 && words[k]; k += 1) window.push(words[k]);
+    const found = matchAt(window, today);
+    if (!found) continue;
+    let end = i + found.length;
+    const field = fieldOf(words[end]);
+    if (field) end += 1;
+    // "NOT dün" bir dışlama; tek aralıkla ifade edilemediği için ifade sorguda kalır
+    if (words[i - 1] && NEGATION_RE.test(text.slice(words[i - 1].start, words[i - 1].end))) {
+      i = end - 1;
+      continue;
+    }
+    const start = words[i].start;
+    const stop = words[end - 1].end;
+    dateFilters.push({
+      id: `${field || 'uploadedAt'}:${found.range.from}:${found.range.to}`,
+      label: text.slice(start, stop),
+      field: field || 'uploadedAt',
+      ...found.range
+    });
+    removed.push([start, stop]);
+    i = end - 1;
+  }
+
+  if (!removed.length) return { query: text.trim(), dateFilters };
+  let query = text;
+  for (const [start, stop] of removed.reverse()) query = `${query.slice(0, start)} ${query.slice(stop)}`;
+  return { query: tidyOperators(query), dateFilters };
+}
+
+/**
+ * Tarih süzgeçlerini advancedSearch `ranges` nesnesine ekler; aynı alandaki
+ * aralıkların kesişimi alınır.
+ */
+export function applyDateFilters(ranges = {}, dateFilters = []) {
+  const out = { ...ranges };
+  for (const filter of dateFilters) {
+    const current = out[filter.field] || {};
+    const from = [current.from, filter.from].filter(Boolean).sort().pop() || null;
+    const to = [current.to, filter.to].filter(Boolean).sort()[0] || null;
+    out[filter.field] = { from, to };
+  }
+  return out;
+}
@@ -0,0 +1,165 @@
+/**
+ * Anlamsal arama için metin vektörleri (embedding)
+ *
+ * Sağlayıcı arayüzü:
+ *   { id: string, dimensions: number, embed(texts: string[]) → Promise<number[][]> }
+ * Vektörler birim uzunlukta olmalıdır (benzerlik = iç çarpım = kosinüs). `id` modeli ve ayarlarını
+ * tanımlar; farklı sağlayıcının vektörleri karşılaştırılmaz, sağlayıcı değişince dokümanlar
+ * yeniden vektörlenir.
+ *
+ * Varsayılan sağlayıcı harici servis gerektirmeyen, deterministik ve yalnızca CPU kullanan
+ * "özellik karması"dır (kökler + harf üçlüleri). Gerçek bir model (ör. yerel ONNX ya da bir API)
+ * setEmbeddingProvider ile sunucuda takılır; indeksleme (server/embeddingIndex) ve sorgular aynı sağlayıcıyı kullanır.
+ * Modül Firebase'e bağımlı değildir.
+ */
+import { foldForCompare } from './turkishText';
+import { INDEX_FOLD_OPTIONS } from './indexTerms';
+import { termFrequencies } from './similarity';
+
+const DEFAULT_DIMENSIONS = 384;
+const TRIGRAM_WEIGHT = 0.35;
+const CHUNK_SIZE = 1000;           // karakter
+const CHUNK_OVERLAP = 200;
+export const MAX_CHUNKS_PER_DOCUMENT = 300;
+const EMBED_BATCH_SIZE = 16;
+export const MAX_PRESELECTED_DOCUMENTS = 50;
+
+// FNV-1a 32 bit
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i += 1) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map((value) => value / norm) : vector;
+}
+
+/**
+ * Özellik karması sağlayıcısı: her kök (alt-doğrusal tf) ve kelimelerin harf üçlüleri işaretli
+ * karma ile sabit boyutlu vektöre eklenir. Çekim ekleri ve yazım farkları (kıdem/kidem,
+ * tazminat/tazminatı) aynı bileşenlere düştüğünden kelime birebir geçmese de yakınlık yakalanır.
+ */
+export function createHashingEmbeddingProvider({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+  const add = (vector, feature, weight) => {
+    const hash = hashFeature(feature);
+    vector[hash % dimensions] += hash & 0x80000000 ? -weight : weight;
+  };
+  const embedOne = (text) => {
+    const vector = new Array(dimensions).fill(0);
+    for (const [stem, { tf, word }] of termFrequencies(text)) {
+      const weight = 1 + Math.log(tf);
+      add(vector, `w:${stem}`, weight);
+      const padded = ` ${foldForCompare(word, INDEX_FOLD_OPTIONS)} `;
+      for (let i = 0; i + 3 <= padded.length; i += 1) add(vector, `g:${padded.slice(i, i + 3)}`, weight * TRIGRAM_WEIGHT);
+    }
+    return normalizeVector(vector);
+  };
+  return {
+    id: `hashing-v1-${dimensions}`,
+    dimensions,
+    async embed(texts) {
+      return texts.map(embedOne);
+    }
+  };
+}
+
+let activeProvider = createHashingEmbeddingProvider();
+
+/** Kullanılacak sağlayıcıyı değiştirir (sunucu başlangıcında) */
+export function setEmbeddingProvider(provider) {
+  if (!provider?.id || typeof provider.embed !== 'function') {
+    throw new Error('Embedding sağlayıcısı id ve embed(texts) içermeli');
+  }
+  activeProvider = provider;
+}
+
+export function getEmbeddingProvider() {
+  return activeProvider;
+}
+
+/** Birim vektörlerde kosinüs benzerliği */
+export function dotProduct(a, b) {
+  let sum = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i += 1) sum += a[i] * b[i];
+  return sum;
+}
+
+/** Parça vektörlerinin birim uzunluklu ortalaması: dokümanın anlamsal ön seçimdeki özeti */
+export function centroidVector(vectors = []) {
+  if (!vectors.length) return [];
+  const sum = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) vector.forEach((value, i) => { sum[i] += value; });
+  return normalizeVector(sum);
+}
+
+/**
+ * Anlamsal aramada parçaları okunacak dokümanlar: özeti sorguya en yakın `limit` doküman.
+ * Özeti olmayan (önceki sürümle vektörlenmiş) kayıtlar yeniden vektörlenene kadar her zaman dahildir.
+ * @param {Array<{ docId: string, centroid?: number[] }>} records
+ * @returns {string[]}
+ */
+export function preselectEmbeddedDocuments(records, queryVector, limit = MAX_PRESELECTED_DOCUMENTS) {
+  const legacy = records.filter((record) => !record.centroid?.length).map((record) => record.docId);
+  const ranked = records
+    .filter((record) => record.centroid?.length)
+    .map((record) => ({ docId: record.docId, similarity: dotProduct(queryVector, record.centroid) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit)
+    .map((record) => record.docId);
+  return [...ranked, ...legacy];
+}
+
+// `from`dan geriye doğru en yakın boşluk (yoksa -1)
+function lastWhitespace(text, from, min) {
+  for (let i = from; i > min; i -= 1) if (/\s/.test(text[i])) return i;
+  return -1;
+}
+
+/**
+ * Metni örtüşen parçalara böler; parça sınırları mümkünse boşluklara denk getirilir.
+ * Parça sayısı `maxChunks`ı aşacak uzun metinlerde parçalar büyütülür (son parça metnin sonuna
+ * kadar uzanır), böylece metnin tamamı her zaman kapsanır.
+ * @returns {Array<{ start: number, end: number, text: string }>}
+ */
+export function chunkText(text = '', { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP, maxChunks = MAX_CHUNKS_PER_DOCUMENT } = {}) {
+  const hay = String(text || '');
+  // boşluğa hizalama parçayı yarıya kadar kısaltabilir: adım en az size / 2 - overlap
+  const chunkSize = Math.max(size, Math.ceil(2 * (hay.length / maxChunks + overlap)));
+  const chunks = [];
+  let start = 0;
+  while (start < hay.length) {
+    let end = chunks.length === maxChunks - 1 ? hay.length : Math.min(hay.length, start + chunkSize);
+    if (end < hay.length) {
+      const space = lastWhitespace(hay, end, start + chunkSize / 2);
+      if (space > 0) end = space;
+    }
+    const body = hay.slice(start, end);
+    if (/[\p{L}\p{N}]/u.test(body)) chunks.push({ start, end, text: body });
+    if (end >= hay.length) break;
+    const next = end - overlap;
+    const space = lastWhitespace(hay, next, start);
+    start = space > start ? space + 1 : Math.max(next, start + 1);
+  }
+  return chunks;
+}
+
+/**
+ * Metni parçalayıp vektörler.
+ * @returns {Promise<Array<{ start: number, end: number, vector: number[] }>>}
+ */
+export async function embedText(text, provider = getEmbeddingProvider()) {
+  const chunks = chunkText(text);
+  const out = [];
+  for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+    const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+    const vectors = await provider.embed(batch.map((chunk) => chunk.text));
+    batch.forEach((chunk, k) => out.push({ start: chunk.start, end: chunk.end, vector: vectors[k] }));
+  }
+  return out;
+}
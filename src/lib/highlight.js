@@ -0,0 +1,39 @@
+/**
+ * Vurgulama aralıkları
+ *
+ * Arama sonuçları HTML taşımaz: metin düz olarak, eşleşmeler { start, end, synonymOf? }
+ * aralıkları olarak döner ve arayüz bunları React öğeleriyle işaretler (bkz. HighlightedText).
+ * Böylece doküman içeriğindeki etiketler hiçbir zaman HTML olarak yorumlanmaz.
+ */
+
+/** Sıralı ve çakışmasız aralıklar (çakışan sonraki aralık atlanır) */
+export function distinctRanges(ranges = []) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const out = [];
+  let last = 0;
+  for (const r of sorted) {
+    if (r.start < last || r.end <= r.start) continue;
+    out.push(r);
+    last = r.end;
+  }
+  return out;
+}
+
+/**
+ * Metni vurgulu ve vurgusuz parçalara böler.
+ * @returns {Array<{ text: string, start: number, highlight: boolean, synonymOf: string|null }>}
+ */
+export function highlightSegments(text = '', ranges = []) {
+  const hay = String(text || '');
+  const segments = [];
+  let last = 0;
+  for (const r of distinctRanges(ranges)) {
+    if (r.start >= hay.length) break;
+    if (r.start > last) segments.push({ text: hay.slice(last, r.start), start: last, highlight: false, synonymOf: null });
+    const end = Math.min(r.end, hay.length);
+    segments.push({ text: hay.slice(r.start, end), start: r.start, highlight: true, synonymOf: r.synonymOf || null });
+    last = end;
+  }
+  if (last < hay.length) segments.push({ text: hay.slice(last), start: last, highlight: false, synonymOf: null });
+  return segments;
+}
@@ -0,0 +1,146 @@
+/**
+ * Arama indeksinin terim kuralları
+ *
+ * İndeksi yazan (server/searchIndex) ve okuyan (server/search) modüller aynı terimleri kullansın diye
+ * Firebase'e bağımlı olmayan ortak kısım burada durur.
+ */
+import { tokenizeWithOffsets } from './turkishText';
+import { stemWord } from './turkishStemmer';
+
+// Terim yapısı değiştiğinde artırılır; eski sürümle indekslenen dokümanlar yeniden indekslenir
+// (4: sözlük terimlerine kelime içi arama için üçlüler eklendi; 5: kök bulucu kök ünlüsünü korur)
+export const SEARCH_INDEX_VERSION = 5;
+export const STEM_TERM_PREFIX = '~';
+
+export const INDEX_FOLD_OPTIONS = { ignoreDiacritics: true };
+export const MAX_TERM_LENGTH = 64;         // Firestore doküman ID sınırının çok altında kal
+export const POSTINGS_PAGE_SIZE = 1000;    // posting'ler sayfa sayfa okunur, sonuç kesilmez
+export const IN_QUERY_CHUNK = 30;          // Firestore "in" sorgusu sınırı
+export const MAX_VOCABULARY_LOOKUP = 3000;
+
+export const GRAM_SIZE = 3;
+const MAX_GRAM_TERMS = 5000;      // en nadir üçlüyü içeren terim sayısı bunu aşarsa kelime daraltmaz
+const MAX_SUBSTRING_TERMS = 600;  // parçayı içeren terim sayısı ("in" sorgusu başına 30)
+
+// searchTerms.df bu sürümden itibaren sayılıyor; daha eski kayıtların terimleri sayıma hiç girmemiştir
+export const DF_COUNTED_SINCE_VERSION = 3;
+
+export const INDEXED_FIELDS = ['content', 'fileName', 'title', 'author'];
+
+const MAX_POSITIONS = 200;        // terim başına saklanan konum sayısı (alan bazında)
+
+function fieldText(docData, field) {
+  if (field === 'content') return docData.textContent || '';
+  return docData[field] || '';
+}
+
+/** Dokümandan indeks kayıtlarını üretir (Firestore'a dokunmaz); doküman textContent içermelidir */
+export function buildIndexEntries(docData) {
+  const postings = new Map();
+  const lengths = {};
+  for (const field of INDEXED_FIELDS) {
+    const tokens = tokenizeWithOffsets(fieldText(docData, field), INDEX_FOLD_OPTIONS);
+    lengths[field] = tokens.length;
+    const addOccurrence = (term, position) => {
+      let posting = postings.get(term);
+      if (!posting) {
+        posting = { term, display: null, fields: [], positions: {}, tf: {} };
+        postings.set(term, posting);
+      }
+      if (!posting.positions[field]) {
+        posting.fields.push(field);
+        posting.positions[field] = [];
+        posting.tf[field] = 0;
+      }
+      posting.tf[field] += 1;
+      if (posting.positions[field].length < MAX_POSITIONS) posting.positions[field].push(position);
+    };
+    tokens.forEach((token, position) => {
+      if (token.lower.length > MAX_TERM_LENGTH) return;
+      addOccurrence(token.lower, position);
+      // öneri listesinde katlanmamış (Türkçe karakterli) ilk yazım gösterilir
+      const posting = postings.get(token.lower);
+      if (!posting.display) posting.display = token.word.toLocaleLowerCase('tr-TR');
+      addOccurrence(`${STEM_TERM_PREFIX}${stemWord(token.word, INDEX_FOLD_OPTIONS)}`, position);
+    });
+  }
+  return { postings: [...postings.values()], lengths };
+}
+
+/** Terimin benzersiz üçlüleri (kök terimleri ve kısa terimler için boş) */
+export function termGrams(term) {
+  if (term.startsWith(STEM_TERM_PREFIX)) return [];
+  const grams = new Set();
+  for (let i = 0; i + GRAM_SIZE <= term.length; i += 1) grams.add(term.slice(i, i + GRAM_SIZE));
+  return [...grams];
+}
+
+/**
+ * Doküman güncel indeks sürümüyle ve metninin şimdiki sürümüyle indekslenmiş mi?
+ * Yeniden işlenen dokümanın metin sürümü değişir, indeks yenilenir.
+ */
+export function isDocumentIndexed(docData) {
+  return Boolean(docData?.searchIndexedAt)
+    && docData.searchIndexVersion === SEARCH_INDEX_VERSION
+    && docData.searchIndexedTextVersion === textVersion(docData);
+}
+
+/** Sorgu kelimelerinin indeks terimleri (kök aramasında "~kök") */
+export function lookupTerms(searchQuery, stem) {
+  return [...new Set(tokenizeWithOffsets(searchQuery, INDEX_FOLD_OPTIONS).map((t) => (
+    stem ? `${STEM_TERM_PREFIX}${stemWord(t.word, INDEX_FOLD_OPTIONS)}` : t.lower
+  )))].filter((t) => t.length <= MAX_TERM_LENGTH);
+}
+
+// Kelimeyi içeren (herhangi bir konumda) doküman ID'leri; daraltamıyorsa null
+async function substringDocumentIds(reader, token, field) {
+  if (token.length < GRAM_SIZE) return null;
+  const grams = termGrams(token);
+  const counts = await Promise.all(grams.map((gram) => reader.countTermsWithGram(gram)));
+  const rarest = counts.indexOf(Math.min(...counts));
+  if (counts[rarest] > MAX_GRAM_TERMS) return null;
+  const terms = (await reader.termsWithGram(grams[rarest])).filter((term) => term.includes(token));
+  if (terms.length > MAX_SUBSTRING_TERMS) return null;
+  return terms.length ? reader.postingDocIds({ terms }, field) : new Set();
+}
+
+/**
+ * Sorgudaki her kelimeyi indekste arar ve tüm kelimeleri içeren doküman ID'lerini döndürür.
+ * İndeks yalnızca aday kümesini daraltır; kesin eşleşme yüklenen dokümanlarda yapılır, bu yüzden
+ * sonuç eşleşen dokümanların tamamını içermelidir. Daraltamadığında (kelime ortası parçası çok kısa
+ * ya da çok yaygın) null döner: çağıran tüm koleksiyonu taramalıdır.
+ *
+ * Eşleşme biçimleri: `stem` → kök terimi birebir, `substring` → kelimenin herhangi bir yerinde
+ * (contains, endsWith; sözlük terimlerinin üçlüleriyle), diğerleri → kelime başında (önek).
+ *
+ * reader (Firestore'a erişen taraf):
+ *  - postingDocIds({ prefix } | { term } | { terms }, field) → Promise<Set<docId>> (sayfalanmış, kesilmez)
+ *  - countTermsWithGram(gram) → Promise<number>
+ *  - termsWithGram(gram) → Promise<string[]>
+ * @returns {Promise<string[]|null>}
+ */
+export async function lookupDocumentIdsWith(reader, searchQuery, { field = 'all', stem = false, substring = false } = {}) {
+  const tokens = lookupTerms(searchQuery, stem);
+  let ids = null;
+  for (const token of tokens) {
+    let found;
+    if (stem) found = await reader.postingDocIds({ term: token }, field);
+    else if (substring) found = await substringDocumentIds(reader, token, field);
+    else found = await reader.postingDocIds({ prefix: token }, field);
+    if (found === null) continue;
+    ids = ids ? new Set([...ids].filter((id) => found.has(id))) : found;
+    if (!ids.size) break;
+  }
+  return ids ? [...ids] : null;
+}
+
+export function toMillis(value) {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return new Date(value).getTime() || 0;
+}
+
+/** Metnin sürüm anahtarı: güncellenme (yoksa işlenme/yükleme) zamanı ve Storage yolu */
+export function textVersion(docData = {}) {
+  return `${toMillis(docData.updatedAt || docData.processedAt || docData.uploadedAt)}:${docData.textContentStoragePath || ''}`;
+}
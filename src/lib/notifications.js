@@ -0,0 +1,87 @@
+/**
+ * Kayıtlı arama bildirimleri (tarayıcı, Firebase JS SDK)
+ *
+ * Firestore yerleşimi (yazan: server/alerts):
+ *  - users/{userId}/notifications/{id} → { savedSearchName, docId, fileName, matchCount, snippet, read, emailedAt, createdAt }
+ *  - users/{userId}                    → { alertEmail, emailDigest } e-posta özeti ayarları
+ */
+import {
+  collection,
+  doc,
+  getDoc,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  setDoc,
+  updateDoc,
+  writeBatch
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { getCurrentUserId } from './currentUser';
+import { toMillis } from './indexTerms';
+
+const MAX_NOTIFICATIONS = 50;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+async function notificationsCollection() {
+  return collection(db, 'users', await getCurrentUserId(), 'notifications');
+}
+
+/**
+ * Son bildirimleri canlı izler (yeniden eskiye).
+ * @param {(notifications: Array<object & { id: string, createdAt: number }>) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} aboneliği sonlandırır
+ */
+export function subscribeNotifications(onChange, onError) {
+  const handleError = (error) => {
+    console.warn('Notifications subscription error:', error);
+    onError?.(error);
+  };
+  let unsubscribe = null;
+  let cancelled = false;
+  // Oturum hazır olunca abone olunur; o zamana kadar sonlandırılırsa hiç abone olunmaz
+  notificationsCollection().then((notifications) => {
+    if (cancelled) return;
+    const q = query(notifications, orderBy('createdAt', 'desc'), limit(MAX_NOTIFICATIONS));
+    unsubscribe = onSnapshot(
+      q,
+      (snap) => onChange(snap.docs.map((d) => ({
+        id: d.id,
+        ...d.data(),
+        createdAt: toMillis(d.data().createdAt) || Date.now()
+      }))),
+      handleError
+    );
+  }, handleError);
+  return () => {
+    cancelled = true;
+    unsubscribe?.();
+  };
+}
+
+export async function markNotificationRead(id) {
+  await updateDoc(doc(await notificationsCollection(), id), { read: true });
+}
+
+export async function markAllNotificationsRead(ids) {
+  if (!ids.length) return;
+  const notifications = await notificationsCollection();
+  const batch = writeBatch(db);
+  ids.forEach((id) => batch.update(doc(notifications, id), { read: true }));
+  await batch.commit();
+}
+
+/** @returns {Promise<{ alertEmail: string, emailDigest: boolean }>} */
+export async function getAlertSettings() {
+  const snap = await getDoc(doc(db, 'users', await getCurrentUserId()));
+  const data = snap.exists() ? snap.data() : {};
+  return { alertEmail: data.alertEmail || '', emailDigest: Boolean(data.emailDigest) };
+}
+
+export async function saveAlertSettings({ alertEmail = '', emailDigest = false }) {
+  const email = String(alertEmail).trim();
+  if (emailDigest && !EMAIL_PATTERN.test(email)) throw new Error('E-posta özeti için geçerli bir adres girin');
+  await setDoc(doc(db, 'users', await getCurrentUserId()), { alertEmail: email, emailDigest: Boolean(emailDigest) }, { merge: true });
+}
@@ -0,0 +1,255 @@
+/**
+ * Arama sorgu dili ayrıştırıcısı
+ *
+ * Desteklenenler: AND / OR / NOT (VE / VEYA / DEĞİL), "-terim", "tırnaklı ifade", parantez,
+ * alan önekleri (author:ayşe, fileName:rapor, content:"teklif mektubu", title:...),
+ * yakınlık: "ceza NEAR/5 gecikme" (sırasız), "ceza ONEAR/5 gecikme" (sıralı; YAKIN/n, SIRALI/n).
+ * Yan yana yazılan terimler AND ile bağlanır. Hiç sözdizimi içermeyen sorgular
+ * eskisi gibi tek bir ifade olarak aranır.
+ *
+ * Düğümler: { type: 'and' | 'or', children } · { type: 'not', child } · { type: 'term', value, field, phrase }
+ *           { type: 'near', children, distance, ordered } (children yalnızca terim düğümleri)
+ */
+
+export class QuerySyntaxError extends Error {
+  constructor(message, position = null) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+const FIELD_ALIASES = {
+  author: 'author',
+  yazar: 'author',
+  filename: 'fileName',
+  ad: 'fileName',
+  content: 'content',
+  icerik: 'content',
+  'içerik': 'content',
+  title: 'title',
+  baslik: 'title',
+  'başlık': 'title'
+};
+
+const OPERATORS = {
+  AND: 'and',
+  VE: 'and',
+  OR: 'or',
+  VEYA: 'or',
+  NOT: 'not',
+  'DEĞİL': 'not',
+  'DEGIL': 'not'
+};
+
+const OPERATOR_LABELS = { and: 'AND', or: 'OR', not: 'NOT', near: 'NEAR' };
+
+export const DEFAULT_NEAR_DISTANCE = 10;
+const MAX_NEAR_OPERANDS = 5;
+const NEAR_RE = /^(NEAR|ONEAR|YAKIN|SIRALI)(?:\/(\d+))?$/;
+const ORDERED_NEAR = new Set(['ONEAR', 'SIRALI']);
+
+function resolveField(name) {
+  return FIELD_ALIASES[name.toLocaleLowerCase('tr-TR')] || FIELD_ALIASES[name.toLowerCase()] || null;
+}
+
+function isBreak(ch) {
+  return /\s/.test(ch) || ch === '(' || ch === ')' || ch === '"';
+}
+
+function lex(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch === '(' ? 'lparen' : 'rparen', pos: i });
+      i += 1;
+      continue;
+    }
+    if (ch === '"') {
+      const close = input.indexOf('"', i + 1);
+      if (close < 0) throw new QuerySyntaxError(`Kapanmamış tırnak işareti (${i + 1}. karakter)`, i);
+      const value = input.slice(i + 1, close).trim();
+      if (!value) throw new QuerySyntaxError(`Boş tırnak ifadesi (${i + 1}. karakter)`, i);
+      tokens.push({ type: 'phrase', value, pos: i });
+      i = close + 1;
+      continue;
+    }
+    if (ch === '-' && i + 1 < input.length && !isBreak(input[i + 1]) && (i === 0 || /[\s(]/.test(input[i - 1]))) {
+      tokens.push({ type: 'not', pos: i });
+      i += 1;
+      continue;
+    }
+    let end = i;
+    while (end < input.length && !isBreak(input[end])) end += 1;
+    const word = input.slice(i, end);
+    const colon = word.indexOf(':');
+    const field = colon > 0 ? resolveField(word.slice(0, colon)) : null;
+    if (field) {
+      tokens.push({ type: 'field', field, name: word.slice(0, colon), pos: i });
+      const rest = word.slice(colon + 1);
+      if (rest) tokens.push({ type: 'word', value: rest, pos: i + colon + 1 });
+    } else if (OPERATORS[word]) {
+      tokens.push({ type: OPERATORS[word], pos: i });
+    } else if (NEAR_RE.test(word)) {
+      const [, name, distance] = word.match(NEAR_RE);
+      tokens.push({
+        type: 'near',
+        name: word,
+        ordered: ORDERED_NEAR.has(name),
+        distance: distance === undefined ? DEFAULT_NEAR_DISTANCE : Number(distance),
+        pos: i
+      });
+    } else {
+      tokens.push({ type: 'word', value: word, pos: i });
+    }
+    i = end;
+  }
+  return tokens;
+}
+
+function applyField(node, field) {
+  if (node.type === 'term') return node.field ? node : { ...node, field };
+  if (node.type === 'not') return { ...node, child: applyField(node.child, field) };
+  return { ...node, children: node.children.map((c) => applyField(c, field)) };
+}
+
+function makeGroup(type, children) {
+  return children.length === 1 ? children[0] : { type, children };
+}
+
+function parseTokens(tokens) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  const expectOperand = (after) => {
+    const token = peek();
+    if (!token || ['rparen', 'and', 'or', 'near'].includes(token.type)) {
+      throw new QuerySyntaxError(`'${after}' sonrasında bir terim bekleniyor`, token?.pos ?? null);
+    }
+  };
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      next();
+      expectOperand(OPERATOR_LABELS.or);
+      children.push(parseAnd());
+    }
+    return makeGroup('or', children);
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    for (;;) {
+      const token = peek();
+      if (!token || token.type === 'or' || token.type === 'rparen') break;
+      if (token.type === 'and') {
+        next();
+        expectOperand(OPERATOR_LABELS.and);
+      }
+      children.push(parseUnary());
+    }
+    return makeGroup('and', children);
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token?.type === 'not') {
+      next();
+      expectOperand(OPERATOR_LABELS.not);
+      return { type: 'not', child: parseUnary() };
+    }
+    return parseNear();
+  }
+
+  function parseNear() {
+    const first = parsePrimary();
+    if (peek()?.type !== 'near') return first;
+    const operator = peek();
+    const children = [first];
+    while (peek()?.type === 'near') {
+      const token = next();
+      if (token.ordered !== operator.ordered || token.distance !== operator.distance) {
+        throw new QuerySyntaxError(`Aynı zincirde farklı yakınlık operatörleri kullanılamaz ('${operator.name}' ve '${token.name}')`, token.pos);
+      }
+      expectOperand(token.name);
+      children.push(parsePrimary());
+    }
+    if (children.some((c) => c.type !== 'term')) {
+      throw new QuerySyntaxError(`'${operator.name}' yalnızca kelime ya da tırnaklı ifadelerle kullanılabilir`, operator.pos);
+    }
+    if (children.length > MAX_NEAR_OPERANDS) {
+      throw new QuerySyntaxError(`'${operator.name}' en fazla ${MAX_NEAR_OPERANDS} terimi bağlayabilir`, operator.pos);
+    }
+    return { type: 'near', children, distance: operator.distance, ordered: operator.ordered };
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) throw new QuerySyntaxError('Sorgu beklenmedik şekilde bitti');
+    if (token.type === 'lparen') {
+      if (peek()?.type === 'rparen') throw new QuerySyntaxError(`Boş parantez (${token.pos + 1}. karakter)`, token.pos);
+      const inner = parseOr();
+      if (peek()?.type !== 'rparen') throw new QuerySyntaxError(`Kapanmamış parantez (${token.pos + 1}. karakter)`, token.pos);
+      next();
+      return inner;
+    }
+    if (token.type === 'field') {
+      const value = peek();
+      if (!value || !['word', 'phrase', 'lparen'].includes(value.type)) {
+        throw new QuerySyntaxError(`'${token.name}:' alanından sonra bir değer bekleniyor`, token.pos);
+      }
+      return applyField(parsePrimary(), token.field);
+    }
+    if (token.type === 'phrase') return { type: 'term', value: token.value, field: null, phrase: true };
+    if (token.type === 'word') return { type: 'term', value: token.value, field: null, phrase: false };
+    if (token.type === 'rparen') throw new QuerySyntaxError(`Fazladan ')' karakteri (${token.pos + 1}. karakter)`, token.pos);
+    throw new QuerySyntaxError(`'${token.name || OPERATOR_LABELS[token.type]}' operatörü bu konumda kullanılamaz`, token.pos);
+  }
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    const token = tokens[index];
+    if (token.type === 'rparen') throw new QuerySyntaxError(`Fazladan ')' karakteri (${token.pos + 1}. karakter)`, token.pos);
+    throw new QuerySyntaxError(`Beklenmeyen ifade (${token.pos + 1}. karakter)`, token.pos);
+  }
+  return ast;
+}
+
+/** Sorgu operatör, tırnak, parantez ya da alan öneki içeriyor mu? */
+export function hasQuerySyntax(input = '') {
+  return lex(String(input)).some((t) => t.type !== 'word');
+}
+
+/**
+ * Sorguyu ağaca çevirir. Hatalı sorgularda Türkçe mesajlı QuerySyntaxError fırlatır.
+ */
+export function parseSearchQuery(input = '') {
+  const text = String(input || '').trim();
+  if (!text) throw new QuerySyntaxError('Arama sorgusu boş');
+  const tokens = lex(text);
+  if (!tokens.some((t) => t.type !== 'word')) {
+    return { type: 'term', value: text, field: null, phrase: false };
+  }
+  return parseTokens(tokens);
+}
+
+/** NOT altında kalmayan (olumlu) terim düğümleri */
+export function collectPositiveTerms(node, negated = false, out = []) {
+  if (!node) return out;
+  if (node.type === 'term') {
+    if (!negated) out.push(node);
+  } else if (node.type === 'not') {
+    collectPositiveTerms(node.child, !negated, out);
+  } else {
+    node.children.forEach((c) => collectPositiveTerms(c, negated, out));
+  }
+  return out;
+}
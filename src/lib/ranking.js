@@ -0,0 +1,69 @@
+/**
+ * BM25F benzeri alaka puanlama
+ *
+ * Her terim için alan bazında terim frekansı, alan uzunluğu (kelime sayısı) ve alan ağırlığı
+ * kullanılır; terimler IDF ile ağırlıklandırılıp toplanır. Sonuçlar en yüksek puana göre
+ * 0–1 aralığına ölçeklenir.
+ */
+
+export const FIELD_WEIGHTS = { title: 3, fileName: 2.5, author: 1.5, content: 1 };
+
+const K1 = 1.2;
+const B = 0.75;
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+export function countWords(text = '') {
+  let count = 0;
+  const re = new RegExp(WORD_RE.source, WORD_RE.flags);
+  while (re.exec(String(text || '')) !== null) count += 1;
+  return count;
+}
+
+export function inverseDocumentFrequency(documentFrequency, documentCount) {
+  const n = Math.max(documentCount, documentFrequency, 1);
+  return Math.log(1 + (n - documentFrequency + 0.5) / (documentFrequency + 0.5));
+}
+
+/** Alanların ortalama kelime uzunlukları */
+export function averageLengths(lengthList = []) {
+  const totals = {};
+  for (const lengths of lengthList) {
+    for (const [field, length] of Object.entries(lengths)) totals[field] = (totals[field] || 0) + length;
+  }
+  const count = Math.max(lengthList.length, 1);
+  return Object.fromEntries(Object.entries(totals).map(([field, total]) => [field, total / count]));
+}
+
+/**
+ * Terim × alan bazında BM25 katkıları (puanın dökümü; bkz. arama açıklaması).
+ * @param {{ hits: Record<string, Record<string, number>>, lengths: Record<string, number> }} entry
+ *   hits: terim anahtarı → alan → eşleşme sayısı
+ * @param {{ idf: Record<string, number>, avgLengths: Record<string, number> }} stats
+ * @returns {Array<{ term: string, field: string, tf: number, idf: number, weight: number, length: number, avgLength: number, score: number }>}
+ */
+export function bm25Contributions({ hits = {}, lengths = {} }, { idf = {}, avgLengths = {} }) {
+  const out = [];
+  for (const [term, fields] of Object.entries(hits)) {
+    const termIdf = idf[term] ?? 0;
+    for (const [field, tf] of Object.entries(fields)) {
+      if (!tf) continue;
+      const weight = FIELD_WEIGHTS[field] ?? 1;
+      const avg = avgLengths[field] || 1;
+      const length = lengths[field] || 0;
+      const norm = 1 - B + B * (length / avg);
+      out.push({ term, field, tf, idf: termIdf, weight, length, avgLength: avg, score: termIdf * weight * ((tf * (K1 + 1)) / (tf + K1 * norm)) });
+    }
+  }
+  return out;
+}
+
+/** Katkıların toplamı (bkz. bm25Contributions) */
+export function bm25Score(entry, stats) {
+  return bm25Contributions(entry, stats).reduce((sum, contribution) => sum + contribution.score, 0);
+}
+
+/** En yüksek puana göre 0–1 aralığına ölçekle */
+export function normalizeScores(scores = []) {
+  const max = Math.max(0, ...scores);
+  return scores.map((s) => (max > 0 ? s / max : 0));
+}
@@ -0,0 +1,73 @@
+/**
+ * Kullanıcı düzenli ifadeleri için zaman sınırlı çalıştırma.
+ * Felaket geri izlemeli (catastrophic backtracking) bir desen tek bir exec çağrısında
+ * iş parçacığını kilitleyebilir; bu yüzden desen sunucuda süre sınırlı bir vm bağlamında çalıştırılır
+ * (bkz. server/search).
+ */
+import { QuerySyntaxError } from './queryParser';
+
+export const REGEX_TIME_LIMIT_MS = 1500;
+const WATCHDOG_MS_PER_DOCUMENT = 5;   // regex dışındaki eşleştirme/sıralama işi için pay
+const MAX_MATCHES_PER_TEXT = 5000;
+const REGEX_FLAGS = 'giu';
+
+export function regexTimeoutError() {
+  return new QuerySyntaxError(`Düzenli ifade ${REGEX_TIME_LIMIT_MS / 1000} saniyelik süre sınırını aştı; daha basit bir desen deneyin`);
+}
+
+/** Deseni derler; geçersizse Türkçe mesajlı QuerySyntaxError fırlatır */
+export function compileUserRegex(pattern) {
+  try {
+    return new RegExp(pattern, REGEX_FLAGS);
+  } catch (error) {
+    throw new QuerySyntaxError(`Geçersiz düzenli ifade: ${error.message}`);
+  }
+}
+
+function collectRegexRanges(text, regex, deadline) {
+  const ranges = [];
+  regex.lastIndex = 0;
+  let m;
+  while ((m = regex.exec(text)) !== null) {
+    if (m[0].length === 0) {
+      regex.lastIndex += 1; // boş eşleşmede ilerle
+    } else {
+      ranges.push({ start: m.index, end: m.index + m[0].length });
+      if (ranges.length >= MAX_MATCHES_PER_TEXT) break;
+    }
+    if (deadline && Date.now() > deadline) throw regexTimeoutError();
+  }
+  return ranges;
+}
+
+/**
+ * Bir arama boyunca düzenli ifade çalıştırmaya harcanabilecek toplam süre. Yalnızca desenin
+ * çalıştığı süre düşülür; metin aktarımı ve sıralama hesapları bütçeden yemez.
+ */
+export function createRegexBudget(timeLimitMs = REGEX_TIME_LIMIT_MS) {
+  return { remainingMs: timeLimitMs };
+}
+
+/**
+ * Senkron eşleştirme (vurgulama yardımcıları için). Harcanan süre `budget`tan düşülür ve
+ * eşleşmeler arasında kontrol edilir; tek bir exec içindeki geri izlemeyi durduramaz, o koruma
+ * vm bağlamının süre sınırıdır.
+ */
+export function findRegexRanges(text = '', pattern = '', budget = createRegexBudget()) {
+  if (!text || !pattern) return [];
+  if (budget.remainingMs <= 0) throw regexTimeoutError();
+  const started = Date.now();
+  try {
+    return collectRegexRanges(String(text), compileUserRegex(pattern), started + budget.remainingMs);
+  } finally {
+    budget.remainingMs -= Date.now() - started;
+  }
+}
+
+/**
+ * Regex sıralama işinin sürebileceği en uzun süre: desen bütçesi iş içinde ayrıca tutulur
+ * (createRegexBudget); bu sınır tek bir exec'te takılan deseni durdurur.
+ */
+export function regexWatchdogMs(documentCount) {
+  return REGEX_TIME_LIMIT_MS + documentCount * WATCHDOG_MS_PER_DOCUMENT;
+}
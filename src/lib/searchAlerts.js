@@ -0,0 +1,81 @@
+/**
+ * Kayıtlı arama uyarıları: yeni işlenen tek bir dokümanın kayıtlı aramaya uyup uymadığı
+ *
+ * Arama panelindeki kurallar aynen uygulanır (sorgu dili, eş anlamlılar, tarih ifadeleri,
+ * aralık ve faset süzgeçleri); anlamsal kayıtlı aramalarda doküman parçalarının sorguya
+ * benzerliğine bakılır. Yalnızca süzgeçten oluşan (sorgusuz) ve regex aramaları uyarı üretmez.
+ * Modül Firebase'e bağımlı değildir (bkz. server/alerts).
+ */
+import { parseSearchQuery } from './queryParser';
+import { expandWithSynonyms } from './synonymExpansion';
+import { enrichResult, rankCandidates } from './searchEngine';
+import { applyDateFilters, extractDateFilters } from './dateQueryParser';
+import { matchesRangeFilters, normalizeRangeFilters, rangeInputsToFilters } from './searchFilters';
+import { applyFacetFilters, normalizeFacetFilters } from './searchFacets';
+import { dotProduct, getEmbeddingProvider } from './embeddings';
+import { MIN_SEMANTIC_SIMILARITY, semanticQueryText } from './searchPipeline';
+
+const MAX_SNIPPET_LENGTH = 300;
+
+export function isAlertableSpec(spec) {
+  return Boolean(spec?.query?.trim()) && spec.type !== 'regex';
+}
+
+function shorten(text = '') {
+  return text.length > MAX_SNIPPET_LENGTH ? `${text.slice(0, MAX_SNIPPET_LENGTH)}…` : text;
+}
+
+function lexicalMatch(doc, query, spec, synonymGroups) {
+  const parsed = parseSearchQuery(query);
+  const ast = spec.type === 'wildcard' ? parsed : expandWithSynonyms(parsed, synonymGroups);
+  const [ranked] = rankCandidates({
+    ast,
+    docs: [doc],
+    searchType: spec.type,
+    searchField: spec.field,
+    matchOptions: { ignoreDiacritics: Boolean(spec.ignoreDiacritics) }
+  });
+  if (!ranked) return null;
+  const result = enrichResult({ doc, ...ranked });
+  return { matchCount: result.matchCount || 1, snippet: shorten(result.snippet?.text || '') || null };
+}
+
+async function semanticMatch(doc, query, getChunks) {
+  const [queryVector] = await getEmbeddingProvider().embed([semanticQueryText(query)]);
+  let best = null;
+  for (const chunk of await getChunks()) {
+    const similarity = dotProduct(queryVector, chunk.vector);
+    if (similarity >= MIN_SEMANTIC_SIMILARITY && similarity > (best?.similarity ?? -Infinity)) best = { ...chunk, similarity };
+  }
+  if (!best) return null;
+  return { matchCount: 1, snippet: shorten(String(doc.textContent || '').slice(best.start, best.end).trim()) || null };
+}
+
+/**
+ * Doküman kayıtlı aramaya uyuyor mu? Doküman textContent içermelidir.
+ * Hatalı sorgularda QuerySyntaxError fırlatır.
+ * @param {object} doc
+ * @param {object} spec kayıtlı arama tanımı (bkz. searchSpec)
+ * @param {object} [options]
+ * @param {Array} [options.synonymGroups] eş anlamlı sözlüğü
+ * @param {() => Promise<Array<{ start: number, end: number, vector: number[] }>>} [options.getChunks]
+ *   dokümanın parça vektörleri (anlamsal aramalar için; bir kez hesaplanıp paylaşılmalı)
+ * @param {Date} [options.now] göreli tarih ifadelerinin referansı
+ * @returns {Promise<{ matchCount: number, snippet: string|null } | null>} uymuyorsa null
+ */
+export async function matchSavedSearch(doc, spec, { synonymGroups = [], getChunks = async () => [], now = new Date() } = {}) {
+  if (!isAlertableSpec(spec)) return null;
+  const { query, dateFilters } = extractDateFilters(spec.query, { now });
+  if (!/[\p{L}\p{N}]/u.test(query)) return null;
+
+  const ranges = normalizeRangeFilters(applyDateFilters(rangeInputsToFilters({ ...spec.rangeInputs }), dateFilters));
+  if (!matchesRangeFilters(doc, ranges)) return null;
+  if (!applyFacetFilters([doc], normalizeFacetFilters(spec.filters)).length) return null;
+
+  const mode = spec.mode || 'lexical';
+  if (mode !== 'semantic') {
+    const match = lexicalMatch(doc, query, spec, synonymGroups);
+    if (match || mode === 'lexical') return match;
+  }
+  return semanticMatch(doc, query, getChunks);
+}
@@ -0,0 +1,159 @@
+/**
+ * Arama analitiği (Firestore)
+ *
+ * Firestore: searchEvents/{id}
+ *  - { kind: 'search', searchId, userId, query, queryKey, type, field, mode, resultCount, latencyMs, refined, parentSearchId,
+ *      error, createdAt }
+ *  - { kind: 'click',  searchId, userId, query, queryKey, docId, position, action: 'open' | 'download', createdAt }
+ * Tıklamalar aramaya searchId ile bağlanır; faset daraltmasındaki (refined) tıklamalar parentSearchId ile
+ * asıl aramaya sayılır. Tıklama oranı = en az bir tıklama alan arama / arama.
+ * Yazmalar arayüzü bekletmez, hata olursa yalnızca uyarı yazılır.
+ */
+import {
+  Timestamp,
+  addDoc,
+  collection,
+  getDocs,
+  limit,
+  orderBy,
+  query,
+  serverTimestamp,
+  where
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { getCurrentUserId } from './currentUser';
+import { toMillis } from './indexTerms';
+
+const EVENTS_COLLECTION = 'searchEvents';
+const MAX_EVENTS = 5000;
+const MAX_QUERY_LENGTH = 200;
+const TOP_QUERY_LIMIT = 20;
+
+// Aynı sorgunun yazım farklarını birleştir: "  Teklif  Mektubu" → "teklif mektubu"
+export function queryKeyOf(text = '') {
+  return String(text).trim().replace(/\s+/g, ' ').toLocaleLowerCase('tr-TR').slice(0, MAX_QUERY_LENGTH);
+}
+
+function newSearchId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  return `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function writeEvent(event) {
+  getCurrentUserId()
+    .then((userId) => addDoc(collection(db, EVENTS_COLLECTION), { ...event, userId, createdAt: serverTimestamp() }))
+    .catch((error) => console.warn('Search analytics write failed:', error));
+}
+
+/**
+ * Yapılan aramayı kaydeder.
+ * @param {{ query: string, type: string, field: string, mode?: string, resultCount: number, latencyMs: number, refined?: boolean, parentSearchId?: string|null, error?: string|null }} search
+ *   refined: yalnızca faset süzgeçleri değişti (sorgu sayımına katılmaz); parentSearchId: daraltılan asıl
+ *   aramanın searchId'si; error: başarısız aramada hata adı
+ * @returns {string} tıklamaları bu aramaya bağlamak için searchId
+ */
+export function logSearch({
+  query: text = '', type, field, mode = 'lexical', resultCount, latencyMs, refined = false, parentSearchId = null, error = null
+}) {
+  const searchId = newSearchId();
+  writeEvent({
+    kind: 'search',
+    searchId,
+    query: String(text).trim().slice(0, MAX_QUERY_LENGTH),
+    queryKey: queryKeyOf(text),
+    type,
+    field,
+    mode,
+    resultCount,
+    latencyMs: Math.round(latencyMs),
+    refined: Boolean(refined),
+    parentSearchId: refined ? parentSearchId : null,
+    error
+  });
+  return searchId;
+}
+
+/**
+ * Sonuç açma / indirme tıklamasını kaydeder.
+ * @param {{ searchId: string, query: string, docId: string, position: number, action: 'open'|'download' }} click
+ */
+export function logResultClick({ searchId, query: text = '', docId, position, action }) {
+  if (!searchId) return;
+  writeEvent({ kind: 'click', searchId, query: String(text).trim().slice(0, MAX_QUERY_LENGTH), queryKey: queryKeyOf(text), docId, position, action });
+}
+
+/**
+ * Olaylardan özet: en sık sorgular (tıklama oranıyla), sonuçsuz sorgular, ortalama gecikme.
+ * Daraltmalar ve hatalı aramalar sayılmaz; daraltmadaki tıklamalar asıl aramaya yazılır.
+ * @param {Array<object>} events searchEvents kayıtları (createdAt milisaniye)
+ */
+export function summarizeSearchEvents(events = []) {
+  const searches = events.filter((e) => e.kind === 'search');
+  const clicks = events.filter((e) => e.kind === 'click');
+  const parentOf = new Map(searches.filter((e) => e.refined && e.parentSearchId).map((e) => [e.searchId, e.parentSearchId]));
+  const clickedSearches = new Set(clicks.map((e) => parentOf.get(e.searchId) || e.searchId));
+  const counted = searches.filter((e) => !e.refined && !e.error);
+
+  const byQuery = new Map();
+  for (const search of counted) {
+    if (!search.queryKey) continue;
+    const entry = byQuery.get(search.queryKey) || {
+      query: search.query,
+      searches: 0,
+      zeroResults: 0,
+      clickedSearches: 0,
+      clicks: 0,
+      totalLatencyMs: 0,
+      totalResults: 0,
+      lastSearchedAt: 0
+    };
+    entry.searches += 1;
+    entry.totalLatencyMs += search.latencyMs || 0;
+    entry.totalResults += search.resultCount || 0;
+    if (!search.resultCount) entry.zeroResults += 1;
+    if (clickedSearches.has(search.searchId)) entry.clickedSearches += 1;
+    entry.lastSearchedAt = Math.max(entry.lastSearchedAt, search.createdAt || 0);
+    byQuery.set(search.queryKey, entry);
+  }
+  for (const click of clicks) {
+    const entry = byQuery.get(click.queryKey);
+    if (entry) entry.clicks += 1;
+  }
+
+  const queries = [...byQuery.values()].map(({ totalLatencyMs, totalResults, ...entry }) => ({
+    ...entry,
+    averageLatencyMs: entry.searches ? totalLatencyMs / entry.searches : 0,
+    averageResults: entry.searches ? totalResults / entry.searches : 0,
+    clickThroughRate: entry.searches ? entry.clickedSearches / entry.searches : 0
+  }));
+  const totalLatency = counted.reduce((sum, e) => sum + (e.latencyMs || 0), 0);
+
+  return {
+    searchCount: counted.length,
+    clickCount: clicks.length,
+    averageLatencyMs: counted.length ? totalLatency / counted.length : 0,
+    zeroResultRate: counted.length ? counted.filter((e) => !e.resultCount).length / counted.length : 0,
+    clickThroughRate: counted.length ? counted.filter((e) => clickedSearches.has(e.searchId)).length / counted.length : 0,
+    topQueries: [...queries].sort((a, b) => b.searches - a.searches || b.lastSearchedAt - a.lastSearchedAt).slice(0, TOP_QUERY_LIMIT),
+    zeroResultQueries: queries
+      .filter((q) => q.zeroResults > 0)
+      .sort((a, b) => b.zeroResults - a.zeroResults || b.lastSearchedAt - a.lastSearchedAt)
+      .slice(0, TOP_QUERY_LIMIT)
+  };
+}
+
+/**
+ * Yönetim paneli için son `days` günün özeti (en fazla MAX_EVENTS olay).
+ * @returns {Promise<ReturnType<typeof summarizeSearchEvents> & { since: number, truncated: boolean }>}
+ */
+export async function loadSearchAnalytics({ days = 30 } = {}) {
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  const snap = await getDocs(query(
+    collection(db, EVENTS_COLLECTION),
+    where('createdAt', '>=', Timestamp.fromMillis(since)),
+    orderBy('createdAt', 'desc'),
+    limit(MAX_EVENTS)
+  ));
+  const events = snap.docs.map((d) => ({ ...d.data(), createdAt: toMillis(d.data().createdAt) }));
+  return { ...summarizeSearchEvents(events), since, truncated: snap.size >= MAX_EVENTS };
+}
@@ -0,0 +1,84 @@
+/**
+ * Sunucu arama uç noktası (/api/search) istemcisi
+ *
+ * Arama (regex dahil), öneriler ve yazım düzeltmesi sunucuda Admin SDK ile yapılır; tarayıcıya
+ * yalnızca istenen sayfanın vurgulanmış sonuçları (metadata, kesit, vurgulama aralıkları) iner,
+ * tam metin istenince ayrıca yüklenir. İstekler oturum belirteciyle gider (bkz. auth).
+ */
+import { authHeaders } from './auth';
+import { QuerySyntaxError } from './queryParser';
+import { normalizeRangeFilters } from './searchFilters';
+
+const SEARCH_ENDPOINT = '/api/search';
+
+async function postSearch(params, path = '') {
+  const res = await fetch(`${SEARCH_ENDPOINT}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+    // tarih sınırları kullanıcının saat diliminde milisaniyeye çevrilir ("YYYY-AA-GG" sunucuda kaymasın)
+    body: JSON.stringify({ ...params, ranges: normalizeRangeFilters(params.ranges) })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    if (data.code === 'QUERY_SYNTAX') throw new QuerySyntaxError(data.error, data.position ?? null);
+    throw new Error(data.error || `Arama yapılamadı (HTTP ${res.status})`);
+  }
+  return data;
+}
+
+async function getJson(path, params, fallbackError) {
+  const res = await fetch(`${SEARCH_ENDPOINT}${path}?${new URLSearchParams(params)}`, { headers: await authHeaders() });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `${fallbackError} (HTTP ${res.status})`);
+  return data;
+}
+
+/**
+ * advancedSearch ile aynı parametreler ve sonuç biçimi: { results, total, nextCursor, facets }.
+ * Tarihler sonuçta ISO metin olarak gelir.
+ */
+export function searchRemote(params = {}) {
+  return postSearch(params);
+}
+
+/**
+ * Aramadaki tek sonucun puan dökümü ("Neden bu sonuç?" paneli açılınca); `params` searchRemote'a
+ * verilenlerle aynıdır.
+ * @returns {Promise<object>} explanation (bkz. SearchExplanation)
+ */
+export async function explainRemote(params, docId) {
+  return (await postSearch({ ...params, docId }, '/explain')).explanation;
+}
+
+/**
+ * İçerikçe benzer dokümanlar (sunucuda TF-IDF + kosinüs).
+ * @returns {Promise<Array<object & { similarity: number, sharedTerms: string[] }>>}
+ */
+export async function findSimilarRemote(docId, { limit } = {}) {
+  const params = { docId, ...(limit ? { limit: String(limit) } : {}) };
+  return (await getJson('/similar', params, 'Benzer dokümanlar alınamadı')).results;
+}
+
+/**
+ * Son kelime için tamamlama önerileri (bkz. searchSuggestions.getSearchSuggestions).
+ * @returns {Promise<Array<{ suggestion: string, term?: string, count?: number }>>}
+ */
+export async function fetchSearchSuggestions(partial) {
+  return (await getJson('/suggest', { q: partial }, 'Öneriler alınamadı')).suggestions;
+}
+
+/**
+ * "Bunu mu demek istediniz" önerisi (bkz. searchSuggestions.getSpellingSuggestion).
+ * @returns {Promise<{ query: string, corrections: Array<{ from: string, to: string }> } | null>}
+ */
+export async function fetchSpellingSuggestion(searchQuery) {
+  return (await getJson('/spelling', { q: searchQuery }, 'Yazım önerisi alınamadı')).suggestion;
+}
+
+/**
+ * Dokümanın tam metni (tam içerik görünümü için); arama sonuçları metni taşımaz.
+ * @returns {Promise<string>}
+ */
+export async function fetchDocumentText(docId) {
+  return (await getJson('/text', { docId }, 'Doküman metni alınamadı')).textContent;
+}
@@ -0,0 +1,560 @@
+/**
+ * Arama motoru çekirdeği: eşleştirme, BM25 sıralama, vurgulama ve kesitler.
+ *
+ * Firebase'e ve DOM'a dokunmaz; sunucuda (bkz. server/search) ve testlerde aynı şekilde çalışır.
+ * Girdi/çıktılar düz nesnelerdir.
+ */
+import { foldText, foldForCompare, toOriginalRange, tokenizeWithOffsets } from './turkishText';
+import { collectPositiveTerms } from './queryParser';
+import { createRegexBudget, findRegexRanges } from './regexGuard';
+import { distinctRanges } from './highlight';
+import { stemWord } from './turkishStemmer';
+import { locateOffset } from './textLocation';
+import { averageLengths, bm25Contributions, bm25Score, countWords, inverseDocumentFrequency, normalizeScores } from './ranking';
+
+const SEARCHABLE_FIELDS = ['content', 'fileName', 'author', 'title'];
+
+function fieldValue(doc, field) {
+  return String((field === 'content' ? doc.textContent : doc[field]) || '');
+}
+
+function termFields(node, searchField) {
+  if (node.type === 'near') {
+    // yakınlık tüm terimlerin aynı alanda geçmesini gerektirir
+    return node.children
+      .map((child) => termFields(child, searchField))
+      .reduce((acc, fields) => acc.filter((f) => fields.includes(f)));
+  }
+  if (node.field) return [node.field];
+  return searchField === 'all' ? SEARCHABLE_FIELDS : [searchField];
+}
+
+export function normalize(str = '', options = {}) {
+  return foldForCompare(str, options);
+}
+
+function escapeRegExp(str = '') {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const WORD_CHAR_RE = /[\p{L}\p{N}]/u;
+export const WILDCARD_CHARS_RE = /[*?]/;
+
+function isWordBoundary(text, index) {
+  return index < 0 || index >= text.length || !WORD_CHAR_RE.test(text[index]);
+}
+
+function wildcardBody(pattern) {
+  return Array.from(pattern)
+    .map((ch) => (ch === '*' ? '[\\p{L}\\p{N}]*' : ch === '?' ? '[\\p{L}\\p{N}]' : escapeRegExp(ch)))
+    .join('');
+}
+
+// "rap*r" → kelime sınırlarına bağlı desen; * kelime içinde 0+ karakter, ? tek karakter
+function wildcardToRegExp(pattern) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${wildcardBody(pattern)}(?![\\p{L}\\p{N}])`, 'gu');
+}
+
+// Cümle başlangıcı/sonu kontrolü için gerekli yardımcılar
+const TRIM_START_PUNCT_RE = /^[\p{P}\s]+/u; // baştaki noktalama/boşlukları sil
+const TRIM_END_PUNCT_RE = /[\p{P}\s]+$/u;   // sondaki noktalama/boşlukları sil
+
+function splitIntoSentences(text = '') {
+  const input = String(text || '');
+  const out = [];
+  // Basit cümle ayırma: cümle gövdesi + son işaret(ler)i (isteğe bağlı)
+  const re = /([^.!?\n]+[.!?]*)(\s+|$)/g;
+  let m;
+  while ((m = re.exec(input)) !== null) {
+    const sentence = m[1];
+    const start = m.index;
+    const end = start + sentence.length;
+    if (sentence.trim().length === 0) continue;
+    out.push({ text: sentence, start, end });
+  }
+  if (!out.length && input) out.push({ text: input, start: 0, end: input.length });
+  return out;
+}
+
+function shiftRange(range, offset) {
+  return range ? { start: range.start + offset, end: range.end + offset } : null;
+}
+
+/**
+ * Metindeki eşleşmeleri orijinal metin ofsetleriyle döndürür.
+ * Karşılaştırma katlanmış (Türkçe küçük harf, isteğe bağlı aksansız) metin üzerinde yapılır;
+ * aralıklar yine kaynak metindeki karakterleri gösterir.
+ */
+export function findMatchRanges(text = '', query = '', type = 'contains', options = {}, limit = Infinity, regexBudget = undefined) {
+  const hay = String(text || '');
+  // regex kaynak metinde (büyük/küçük harf duyarsız) çalışır; katlama uygulanmaz
+  if (type === 'regex') return findRegexRanges(hay, query, regexBudget).slice(0, limit);
+
+  const n = normalize(query, options);
+  const ranges = [];
+  if (!hay || !n) return ranges;
+
+  if (type === 'contains' || type === 'wholeWord') {
+    const folded = foldText(hay, options);
+    let idx = folded.folded.indexOf(n);
+    while (idx >= 0 && ranges.length < limit) {
+      const end = idx + n.length;
+      if (type === 'contains' || (isWordBoundary(folded.folded, idx - 1) && isWordBoundary(folded.folded, end))) {
+        ranges.push(toOriginalRange(folded, idx, end));
+        idx = folded.folded.indexOf(n, end);
+      } else {
+        idx = folded.folded.indexOf(n, idx + 1);
+      }
+    }
+    return ranges;
+  }
+
+  if (type === 'stem') {
+    // Kök eşleşmesi: vurgulama çekimli yüzey biçiminin tamamını kapsar (sözleşmesinin)
+    const stems = tokenizeWithOffsets(query, options).map((t) => stemWord(t.word, options));
+    const tokens = tokenizeWithOffsets(hay, options);
+    const cache = new Map();
+    const stemOf = (token) => {
+      if (!cache.has(token.lower)) cache.set(token.lower, stemWord(token.lower, options));
+      return cache.get(token.lower);
+    };
+    for (let i = 0; stems.length && i + stems.length <= tokens.length && ranges.length < limit; i += 1) {
+      if (stems.every((stem, k) => stemOf(tokens[i + k]) === stem)) {
+        ranges.push({ start: tokens[i].start, end: tokens[i + stems.length - 1].end });
+        i += stems.length - 1;
+      }
+    }
+    return ranges;
+  }
+
+  if (type === 'wildcard') {
+    const folded = foldText(hay, options);
+    const re = wildcardToRegExp(n);
+    let m;
+    while ((m = re.exec(folded.folded)) !== null && ranges.length < limit) {
+      if (m[0].length === 0) {
+        re.lastIndex += 1;
+        continue;
+      }
+      ranges.push(toOriginalRange(folded, m.index, m.index + m[0].length));
+    }
+    return ranges;
+  }
+
+  // cümle bazlı: satır/cümle başı ve sonu
+  for (const s of splitIntoSentences(hay)) {
+    if (ranges.length >= limit) break;
+    if (type === 'startsWith') {
+      const leftTrim = s.text.replace(TRIM_START_PUNCT_RE, '');
+      const folded = foldText(leftTrim, options);
+      if (folded.folded.startsWith(n)) {
+        const removed = s.text.length - leftTrim.length;
+        ranges.push(shiftRange(toOriginalRange(folded, 0, n.length), s.start + removed));
+      }
+    } else if (type === 'endsWith') {
+      const rightTrim = s.text.replace(TRIM_END_PUNCT_RE, '');
+      const folded = foldText(rightTrim, options);
+      if (folded.folded.endsWith(n)) {
+        const len = folded.folded.length;
+        ranges.push(shiftRange(toOriginalRange(folded, len - n.length, len), s.start));
+      }
+    }
+  }
+  return ranges;
+}
+
+// Yakınlık araması kelime bazlıdır: arama tipi tek bir kelimeye uygulanır
+function tokenMatcher(word, type, options) {
+  if (type === 'stem') {
+    const target = stemWord(word, options);
+    return (token) => stemWord(token, options) === target;
+  }
+  if (type === 'wildcard') {
+    const re = new RegExp(`^${wildcardBody(word)}$`, 'u');
+    return (token) => re.test(token);
+  }
+  if (type === 'wholeWord') return (token) => token === word;
+  if (type === 'startsWith') return (token) => token.startsWith(word);
+  if (type === 'endsWith') return (token) => token.endsWith(word);
+  return (token) => token.includes(word);
+}
+
+// Terimin (tek kelime ya da ifade) token dizisindeki geçişleri: { first, last } token indeksleri
+function termOccurrences(tokens, term, type, options) {
+  const matchers = tokenizeWithOffsets(term.value, options).map((t) => tokenMatcher(t.lower, type, options));
+  const out = [];
+  if (!matchers.length) return out;
+  for (let i = 0; i + matchers.length <= tokens.length; i += 1) {
+    if (matchers.every((matches, k) => matches(tokens[i + k].lower))) out.push({ first: i, last: i + matchers.length - 1 });
+  }
+  return out;
+}
+
+// Sıralı listede `position`dan sonra başlayan ilk geçiş (ikili arama)
+function firstOccurrenceAfter(list, position) {
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].first > position) hi = mid;
+    else lo = mid + 1;
+  }
+  return list[lo] || null;
+}
+
+// Verilen sırayla her terimin bir geçişini açgözlü seçer; aradaki kelime sayısı ≤ distance olan pencereler
+function orderedWindows(lists, distance) {
+  const windows = [];
+  for (const start of lists[0]) {
+    let previous = start;
+    let covered = start.last - start.first + 1;
+    for (let k = 1; k < lists.length && previous; k += 1) {
+      previous = firstOccurrenceAfter(lists[k], previous.last);
+      if (previous) covered += previous.last - previous.first + 1;
+    }
+    if (!previous) break; // daha sonraki başlangıçlar da tamamlanamaz
+    const intervening = previous.last - start.first + 1 - covered;
+    if (intervening <= distance) windows.push({ first: start.first, last: previous.last });
+  }
+  return windows;
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map((rest) => [item, ...rest]));
+}
+
+/**
+ * NEAR/n (sırasız) ve ONEAR/n (sıralı) yakınlık eşleşmeleri.
+ * Terimler arasında en fazla `distance` kelime olan pencerelerin tamamı tek aralık olarak döner.
+ */
+export function findProximityRanges(text = '', node, type = 'contains', options = {}) {
+  const tokens = tokenizeWithOffsets(text, options);
+  if (!tokens.length) return [];
+  const lists = node.children.map((term) => termOccurrences(tokens, term, type, options));
+  if (lists.some((list) => !list.length)) return [];
+
+  const orders = node.ordered ? [lists] : permutations(lists);
+  const windows = orders.flatMap((order) => orderedWindows(order, node.distance)).sort((a, b) => a.first - b.first || a.last - b.last);
+  const ranges = [];
+  let lastToken = -1;
+  for (const w of windows) {
+    if (w.first <= lastToken) continue; // çakışan pencereleri atla
+    ranges.push({ start: tokens[w.first].start, end: tokens[w.last].end });
+    lastToken = w.last;
+  }
+  return ranges;
+}
+
+export function matchByType(haystack, needle, type, options = {}) {
+  return findMatchRanges(haystack, needle, type, options, 1).length > 0;
+}
+
+const SNIPPET_RADIUS = 220;
+const MATCH_SNIPPET_RADIUS = 80;
+const MAX_MATCHES_PER_DOCUMENT = 200;
+const MAX_EXPLAIN_OFFSETS = 10;
+
+/**
+ * Verilen aralık etrafında kesit: { text, ranges }. Pencereye düşen tüm aralıklar
+ * kesit metnine göre (baştaki "…" dahil) kaydırılmış olarak döner.
+ */
+function snippetAround(hay, range, sorted, radius) {
+  const start = Math.max(0, range.start - radius);
+  const end = Math.min(hay.length, range.end + radius);
+  const before = start > 0 ? '…' : '';
+  const after = end < hay.length ? '…' : '';
+  const shift = before.length - start;
+  return {
+    text: `${before}${hay.slice(start, end)}${after}`,
+    ranges: sorted
+      .filter((r) => r.start >= start && r.end <= end)
+      .map((r) => ({ ...r, start: r.start + shift, end: r.end + shift }))
+  };
+}
+
+function percentOf(hay, offset) {
+  return hay.length > 0 ? Math.round((offset / hay.length) * 100) : 0;
+}
+
+// İlk eşleşme etrafında kesit
+function snippetForRanges(text = '', ranges = []) {
+  const hay = String(text || '');
+  const sorted = distinctRanges(ranges);
+  const [first] = sorted;
+  if (!hay || !first) return null;
+  return {
+    index: first.start,
+    length: first.end - first.start,
+    matchPercent: percentOf(hay, first.start),
+    snippet: snippetAround(hay, first, sorted, SNIPPET_RADIUS)
+  };
+}
+
+/**
+ * Metindeki her eşleşme için konum, kısa kesit ve sayfa (ya da bölüm/çalışma sayfası).
+ * Çok sık geçen terimlerde ilk MAX_MATCHES_PER_DOCUMENT eşleşme döner; `total` hepsini sayar.
+ */
+function collectMatches(doc, ranges = []) {
+  const hay = String(doc.textContent || '');
+  const sorted = distinctRanges(ranges);
+  const matches = sorted.slice(0, MAX_MATCHES_PER_DOCUMENT).map((range) => {
+    const location = locateOffset(doc, range.start, hay.length);
+    return {
+      offset: range.start,
+      length: range.end - range.start,
+      matchPercent: percentOf(hay, range.start),
+      location,
+      page: location?.kind === 'page' ? location.number : null,
+      synonymOf: range.synonymOf || null,
+      snippet: snippetAround(hay, range, sorted, MATCH_SNIPPET_RADIUS)
+    };
+  });
+  return { matches, total: sorted.length };
+}
+
+// Sıralamada aynı terimi (alan öneki + değer) tek sayar
+export function termKey(node) {
+  return `${node.field || '*'}|${node.value}`;
+}
+
+function mergeResult(target, source) {
+  for (const [field, ranges] of Object.entries(source.ranges)) {
+    target.ranges[field] = [...(target.ranges[field] || []), ...ranges];
+  }
+  for (const [key, fields] of Object.entries(source.terms)) {
+    target.terms[key] = { ...(target.terms[key] || {}) };
+    for (const [field, ranges] of Object.entries(fields)) target.terms[key][field] = [...(target.terms[key][field] || []), ...ranges];
+  }
+  for (const [key, fields] of Object.entries(source.hits)) {
+    target.hits[key] = { ...(target.hits[key] || {}) };
+    for (const [field, count] of Object.entries(fields)) target.hits[key][field] = (target.hits[key][field] || 0) + count;
+  }
+  return target;
+}
+
+// Aynı sıralama içinde (eşleştirme ve idf istatistikleri) her terim/alan/doküman bir kez aranır
+function termRangesInField(node, doc, field, ctx) {
+  const key = `${termKey(node)}\u0000${field}\u0000${doc.id}`;
+  if (ctx.rangeCache?.has(key)) return ctx.rangeCache.get(key);
+  const found = findMatchRanges(fieldValue(doc, field), node.value, ctx.searchType, ctx.matchOptions, Infinity, ctx.regexBudget);
+  ctx.rangeCache?.set(key, found);
+  return found;
+}
+
+const NO_MATCH = Object.freeze({ matched: false, ranges: {}, hits: {}, terms: {} });
+
+/**
+ * Sorgu ağacını dokümana uygular. Yalnızca eşleşen olumlu dallardaki terimlerin
+ * aralıkları (alan bazında) vurgulama için, eşleşme sayıları (terim → alan → adet) sıralama için,
+ * terim bazında aralıklar (terim → alan → aralıklar) sıralama açıklaması için döner.
+ * @returns {{ matched: boolean, ranges: Record<string, Array<{start:number,end:number}>>, hits: Record<string, Record<string, number>>, terms: Record<string, Record<string, Array<{start:number,end:number}>>> }}
+ */
+function evaluateQuery(node, doc, ctx) {
+  if (node.type === 'term') {
+    const result = { matched: false, ranges: {}, hits: {}, terms: {} };
+    for (const field of termFields(node, ctx.searchField)) {
+      const found = termRangesInField(node, doc, field, ctx);
+      if (!found.length) continue;
+      result.ranges[field] = node.synonymOf ? found.map((r) => ({ ...r, synonymOf: node.synonymOf })) : found;
+      result.hits[termKey(node)] = { ...result.hits[termKey(node)], [field]: found.length };
+      result.terms[termKey(node)] = { ...result.terms[termKey(node)], [field]: found };
+    }
+    result.matched = Object.keys(result.ranges).length > 0;
+    return result;
+  }
+  if (node.type === 'not') {
+    return { ...NO_MATCH, matched: !evaluateQuery(node.child, doc, ctx).matched };
+  }
+  if (node.type === 'near') {
+    // her pencere, içindeki her terim için bir eşleşme sayılır
+    const result = { matched: false, ranges: {}, hits: {}, terms: {} };
+    for (const field of termFields(node, ctx.searchField)) {
+      const found = findProximityRanges(fieldValue(doc, field), node, ctx.searchType, ctx.matchOptions);
+      if (!found.length) continue;
+      result.ranges[field] = found;
+      node.children.forEach((child) => {
+        result.hits[termKey(child)] = { ...result.hits[termKey(child)], [field]: found.length };
+        result.terms[termKey(child)] = { ...result.terms[termKey(child)], [field]: found };
+      });
+    }
+    result.matched = Object.keys(result.ranges).length > 0;
+    return result;
+  }
+  const result = { matched: node.type === 'and', ranges: {}, hits: {}, terms: {} };
+  if (node.type === 'and') {
+    for (const child of node.children) {
+      const childResult = evaluateQuery(child, doc, ctx);
+      if (!childResult.matched) return NO_MATCH;
+      mergeResult(result, childResult);
+    }
+    return result;
+  }
+  for (const child of node.children) {
+    const childResult = evaluateQuery(child, doc, ctx);
+    if (!childResult.matched) continue;
+    result.matched = true;
+    mergeResult(result, childResult);
+  }
+  return result;
+}
+
+function fieldLengths(doc) {
+  return Object.fromEntries(SEARCHABLE_FIELDS.map((field) => [field, countWords(fieldValue(doc, field))]));
+}
+
+/**
+ * BM25 istatistikleri: idf indeksten gelindiyse indeks sayımlarından (tüm koleksiyon, arama akışında
+ * hesaplanıp `indexIdf` olarak verilir), tam taramada ve indeksin daraltamadığı terimlerde yüklenen
+ * dokümanlardan hesaplanır.
+ */
+function collectRankingStats(ast, docs, ctx, indexIdf) {
+  const lengths = new Map(docs.map((doc) => [doc.id, fieldLengths(doc)]));
+  const avgLengths = averageLengths([...lengths.values()]);
+
+  const idf = { ...indexIdf };
+  for (const node of new Map(collectPositiveTerms(ast).map((term) => [termKey(term), term])).values()) {
+    if (idf[termKey(node)] !== undefined) continue;
+    const df = docs.filter((doc) => termFields(node, ctx.searchField).some((field) => termRangesInField(node, doc, field, ctx).length)).length;
+    idf[termKey(node)] = inverseDocumentFrequency(df, docs.length);
+  }
+  return { idf, avgLengths, lengths };
+}
+
+/**
+ * Sıralama açıklaması: eşleşen alanlar, terimlerin alan bazında konumları ve BM25 katkıları
+ * (en büyük katkı önce). Çok geçen terimlerde ilk MAX_EXPLAIN_OFFSETS konum döner.
+ */
+function explainRanking(evaluation, lengths, stats, termNodes) {
+  const fieldScores = {};
+  const terms = bm25Contributions({ hits: evaluation.hits, lengths }, stats).map(({ term, field, ...contribution }) => {
+    const node = termNodes.get(term);
+    const offsets = distinctRanges(evaluation.terms[term]?.[field]);
+    fieldScores[field] = (fieldScores[field] || 0) + contribution.score;
+    return {
+      term: node?.value ?? term,
+      prefix: node?.field || null,
+      synonymOf: node?.synonymOf || null,
+      field,
+      ...contribution,
+      offsets: offsets.slice(0, MAX_EXPLAIN_OFFSETS).map(({ start, end }) => ({ start, end })),
+      offsetCount: offsets.length
+    };
+  });
+  return { matchedFields: Object.keys(evaluation.ranges), terms: terms.sort((a, b) => b.score - a.score), fieldScores };
+}
+
+/** `explain` seçeneği: true (tüm kayıtlar) ya da dökümü istenen doküman ID'leri */
+export function shouldExplain(explain, docId) {
+  return Array.isArray(explain) ? explain.includes(docId) : Boolean(explain);
+}
+
+/**
+ * Sorgu ağacını aday dokümanlara uygular ve eşleşenleri BM25 puanına göre sıralar
+ * (eşitlikte verilen sıra, yani yeni yüklenen önce korunur). Dokümanlar textContent içermelidir.
+ * @param {object} params
+ * @param {object} params.ast genişletilmiş sorgu ağacı
+ * @param {object[]} params.docs aday dokümanlar
+ * @param {Record<string, number>|null} [params.indexIdf] indeks sayımlarından idf (terimKey → idf)
+ * @param {boolean|string[]} [params.explain] kayıtlara puanın dökümünü (`explanation`) ekle (bkz. shouldExplain)
+ * @returns {Array<{ id: string, i: number, score: number, rawScore: number, ranges: object, explanation?: object }>}
+ */
+export function rankCandidates({ ast, docs, searchType = 'contains', searchField = 'all', matchOptions = {}, indexIdf = null, explain = false }) {
+  const ctx = {
+    searchType,
+    searchField,
+    matchOptions,
+    rangeCache: new Map(),
+    regexBudget: searchType === 'regex' ? createRegexBudget() : undefined
+  };
+  const evaluations = new Map();
+  const candidates = docs.filter((doc) => {
+    const result = evaluateQuery(ast, doc, ctx);
+    if (result.matched) evaluations.set(doc.id, result);
+    return result.matched;
+  });
+
+  // BM25: terim frekansı, alan uzunluğu ve alan ağırlıkları
+  const stats = collectRankingStats(ast, docs, ctx, indexIdf);
+  const rawScores = candidates.map((doc) => bm25Score({ hits: evaluations.get(doc.id).hits, lengths: stats.lengths.get(doc.id) }, stats));
+  const scores = normalizeScores(rawScores);
+  const termNodes = explain ? new Map(collectPositiveTerms(ast).map((term) => [termKey(term), term])) : null;
+  const maxRawScore = Math.max(0, ...rawScores);
+  return candidates
+    .map((doc, i) => {
+      const entry = { id: doc.id, i, score: scores[i], rawScore: rawScores[i], ranges: evaluations.get(doc.id).ranges };
+      if (!shouldExplain(explain, doc.id)) return entry;
+      const explanation = explainRanking(evaluations.get(doc.id), stats.lengths.get(doc.id), stats, termNodes);
+      return { ...entry, explanation: { mode: 'lexical', ...explanation, rawScore: rawScores[i], maxRawScore, idfSource: indexIdf ? 'index' : 'local' } };
+    })
+    .sort((a, b) => b.score - a.score || a.i - b.i);
+}
+
+// Eş anlamlı üzerinden eşleşen metinler: [{ text, synonymOf }] (tekil)
+function synonymMatchesOf(doc, ranges) {
+  const seen = new Map();
+  for (const [field, list] of Object.entries(ranges)) {
+    const text = fieldValue(doc, field);
+    for (const r of list) {
+      if (!r.synonymOf) continue;
+      const matched = text.slice(r.start, r.end);
+      const key = `${foldForCompare(matched)}|${r.synonymOf}`;
+      if (!seen.has(key)) seen.set(key, { text: matched, synonymOf: r.synonymOf });
+    }
+  }
+  return [...seen.values()];
+}
+
+// Anlamsal eşleşmede en benzer parçanın başı (kesit uzunluğunda) ve konumu
+function semanticMatchOf(doc, semantic) {
+  const hay = String(doc.textContent || '');
+  const end = Math.min(semantic.end, semantic.start + 2 * SNIPPET_RADIUS);
+  return {
+    similarity: semantic.similarity,
+    offset: semantic.start,
+    location: locateOffset(doc, semantic.start, hay.length),
+    passage: `${semantic.start > 0 ? '…' : ''}${hay.slice(semantic.start, end).trim()}${end < hay.length ? '…' : ''}`
+  };
+}
+
+/**
+ * Sonuca eklenen alanlar: vurgulamalar, kesit, eşleşme listesi ve puan. Eşleşme bilgisi ve
+ * vurgulamalar sorgu ağacındaki eşleşen terimlerden gelir.
+ *
+ * Tam metin sonuca eklenmez (istemci gerekince ayrıca yükler).
+ * Vurgulamalar HTML değil, alan metnine göre aralıklardır:
+ * `highlights: { fileName, author, content }` → [{ start, end, synonymOf? }].
+ * Anlamsal aramada `semanticMatch` en benzer metin parçasını ({ similarity, offset, location, passage }) taşır.
+ * Açıklama istendiyse `explanation` olduğu gibi eklenir (bkz. rankCandidates).
+ */
+export function resultDetails({ doc, score, rawScore, ranges, semantic = null, explanation = null }) {
+  const details = {
+    highlights: {
+      fileName: distinctRanges(ranges.fileName),
+      author: distinctRanges(ranges.author),
+      content: distinctRanges(ranges.content)
+    },
+    score,
+    rawScore
+  };
+  const info = snippetForRanges(doc.textContent || '', ranges.content || []);
+  const { matches, total } = collectMatches(doc, ranges.content || []);
+  Object.assign(details, { matches, matchCount: total, synonymMatches: synonymMatchesOf(doc, ranges) });
+  if (semantic) details.semanticMatch = semanticMatchOf(doc, semantic);
+  if (explanation) details.explanation = explanation;
+  if (!info) return details;
+  return {
+    ...details,
+    snippet: info.snippet,
+    matchIndex: info.index,
+    matchPercent: info.matchPercent,
+    location: matches[0].location,
+    page: matches[0].page
+  };
+}
+
+/** Sonuç: doküman alanları (tam metin hariç; vurgulamalar ona göredir) + resultDetails */
+export function enrichResult(entry) {
+  const { textContent, ...doc } = entry.doc;
+  return { ...doc, ...resultDetails(entry) };
+}
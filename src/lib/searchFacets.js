@@ -0,0 +1,103 @@
+/**
+ * Arama sonuçları için fasetler (dosya tipi, yazar, sahip, yükleme ayı, işlem durumu)
+ *
+ * Aynı faset içindeki seçimler VEYA, farklı fasetler VE ile birleşir. Her fasetin sayıları
+ * diğer fasetlerin seçimleri uygulanmış sonuçlardan hesaplanır; böylece bir faset içinde
+ * seçim yapmak o fasetin diğer seçeneklerini sıfırlamaz.
+ */
+import { toDate } from './searchFilters';
+
+const MAX_FACET_VALUES = 12;
+
+const CONTENT_TYPE_EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.ms-excel': 'xls',
+  'text/plain': 'txt'
+};
+
+const STATUS_LABELS = {
+  uploading: 'Yükleniyor',
+  uploaded: 'Yüklendi',
+  processing: 'İşleniyor',
+  completed: 'Tamamlandı',
+  failed: 'Hata'
+};
+
+function fileTypeOf(doc) {
+  const ext = doc.fileExtension || (doc.fileName || '').split('.').slice(1).pop() || '';
+  return ext.replace(/^\./, '').toLowerCase() || CONTENT_TYPE_EXTENSIONS[doc.contentType] || null;
+}
+
+function monthOf(doc) {
+  const date = toDate(doc.uploadedAt);
+  return date ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}` : null;
+}
+
+/** Faset tanımları: alan adı, başlık, değer ve etiket üretimi */
+export const FACETS = [
+  { key: 'fileType', label: 'Dosya Tipi', value: fileTypeOf, format: (v) => v.toUpperCase() },
+  { key: 'author', label: 'Yazar', value: (doc) => doc.author || null },
+  { key: 'owner', label: 'Sahip', value: (doc) => doc.ownerName || null },
+  {
+    key: 'month',
+    label: 'Yükleme Ayı',
+    value: monthOf,
+    format: (v) => {
+      const [year, month] = v.split('-').map(Number);
+      return new Date(year, month - 1, 1).toLocaleDateString('tr-TR', { year: 'numeric', month: 'long' });
+    },
+    // aylar en yeniden eskiye
+    sort: (a, b) => b.value.localeCompare(a.value)
+  },
+  { key: 'status', label: 'Durum', value: (doc) => doc.processingStatus || null, format: (v) => STATUS_LABELS[v] || v }
+];
+
+const FACETS_BY_KEY = Object.fromEntries(FACETS.map((facet) => [facet.key, facet]));
+
+/** Boş seçimleri atar; { fileType: ['pdf'], author: ['Ayşe'] } */
+export function normalizeFacetFilters(filters = {}) {
+  const out = {};
+  for (const [key, values] of Object.entries(filters || {})) {
+    if (FACETS_BY_KEY[key] && Array.isArray(values) && values.length) out[key] = [...new Set(values)].sort();
+  }
+  return out;
+}
+
+function matchesFilters(doc, filters, skipKey = null) {
+  return Object.entries(filters).every(([key, values]) => key === skipKey || values.includes(FACETS_BY_KEY[key].value(doc)));
+}
+
+/** Seçili fasetlere uyan dokümanlar */
+export function applyFacetFilters(docs = [], filters = {}, getDoc = (d) => d) {
+  const active = normalizeFacetFilters(filters);
+  if (!Object.keys(active).length) return docs;
+  return docs.filter((item) => matchesFilters(getDoc(item), active));
+}
+
+/**
+ * Faset sayıları.
+ * @returns {Array<{ key: string, label: string, values: Array<{ value: string, label: string, count: number, selected: boolean }> }>}
+ */
+export function computeFacets(docs = [], filters = {}, getDoc = (d) => d) {
+  const active = normalizeFacetFilters(filters);
+  return FACETS.map((facet) => {
+    const counts = new Map();
+    for (const item of docs) {
+      const doc = getDoc(item);
+      if (!matchesFilters(doc, active, facet.key)) continue;
+      const value = facet.value(doc);
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    const selected = active[facet.key] || [];
+    // seçili değerler sonuç kalmasa da listede kalır (kaldırılabilsin)
+    selected.forEach((value) => counts.has(value) || counts.set(value, 0));
+    const values = [...counts.entries()]
+      .map(([value, count]) => ({ value, label: facet.format ? facet.format(value) : value, count, selected: selected.includes(value) }))
+      .sort(facet.sort || ((a, b) => b.count - a.count || a.label.localeCompare(b.label, 'tr')));
+    const top = values.slice(0, MAX_FACET_VALUES);
+    values.slice(MAX_FACET_VALUES).forEach((v) => v.selected && top.push(v));
+    return { key: facet.key, label: facet.label, values: top };
+  }).filter((facet) => facet.values.length > 0);
+}
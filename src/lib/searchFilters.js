@@ -0,0 +1,95 @@
+/**
+ * Aralık süzgeçleri: oluşturma/yükleme tarihi, boyut (bayt) ve sayfa sayısı
+ *
+ * { createdAt: { from, to }, uploadedAt: { from, to }, size: { min, max }, pageCount: { min, max } }
+ * Tarih sınırları Date, zaman damgası ya da "YYYY-AA-GG" olabilir; gün biçiminde `to` günün
+ * sonuna kadar kapsar. Süzgeç verilen alanı olmayan dokümanlar elenir.
+ */
+
+export const DATE_RANGE_FIELDS = ['createdAt', 'uploadedAt'];
+export const NUMBER_RANGE_FIELDS = ['size', 'pageCount'];
+
+const DAY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/** Firestore Timestamp, Date, sayı ya da metinden Date (geçersizse null) */
+export function toDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function boundary(value, endOfDay) {
+  if (typeof value === 'string' && DAY_RE.test(value)) {
+    const [, year, month, day] = value.match(DAY_RE).map(Number);
+    return endOfDay ? new Date(year, month - 1, day + 1).getTime() - 1 : new Date(year, month - 1, day).getTime();
+  }
+  return toDate(value)?.getTime() ?? null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+const MB = 1024 * 1024;
+
+/** Arama panelindeki aralık formunun boş hâli (kayıtlı aramalarda `rangeInputs` olarak saklanır) */
+export const EMPTY_RANGE_INPUTS = {
+  createdFrom: '',
+  createdTo: '',
+  uploadedFrom: '',
+  uploadedTo: '',
+  minSizeMb: '',
+  maxSizeMb: '',
+  minPages: '',
+  maxPages: ''
+};
+
+function megabytes(value) {
+  return value === '' || value === null || value === undefined ? null : Math.round(Number(value) * MB);
+}
+
+/** Form alanlarını advancedSearch `ranges` parametresine çevirir (boyut MB → bayt) */
+export function rangeInputsToFilters(inputs = EMPTY_RANGE_INPUTS) {
+  return {
+    createdAt: { from: inputs.createdFrom, to: inputs.createdTo },
+    uploadedAt: { from: inputs.uploadedFrom, to: inputs.uploadedTo },
+    size: { min: megabytes(inputs.minSizeMb), max: megabytes(inputs.maxSizeMb) },
+    pageCount: { min: inputs.minPages, max: inputs.maxPages }
+  };
+}
+
+/** Boş sınırları atar; tarihleri milisaniyeye çevirir. Hiç sınır yoksa {} */
+export function normalizeRangeFilters(ranges = {}) {
+  const out = {};
+  for (const field of DATE_RANGE_FIELDS) {
+    const from = boundary(ranges?.[field]?.from, false);
+    const to = boundary(ranges?.[field]?.to, true);
+    if (from !== null || to !== null) out[field] = { from, to };
+  }
+  for (const field of NUMBER_RANGE_FIELDS) {
+    const min = toNumber(ranges?.[field]?.min);
+    const max = toNumber(ranges?.[field]?.max);
+    if (min !== null || max !== null) out[field] = { min, max };
+  }
+  return out;
+}
+
+export function hasRangeFilters(ranges = {}) {
+  return Object.keys(normalizeRangeFilters(ranges)).length > 0;
+}
+
+function inRange(value, low, high) {
+  if (value === null || value === undefined) return false;
+  return (low === null || value >= low) && (high === null || value <= high);
+}
+
+/** Doküman tüm aralıklara uyuyor mu? `ranges` normalizeRangeFilters çıktısı olmalı */
+export function matchesRangeFilters(doc, ranges) {
+  return Object.entries(ranges).every(([field, range]) => (
+    DATE_RANGE_FIELDS.includes(field)
+      ? inRange(toDate(doc[field])?.getTime(), range.from, range.to)
+      : inRange(toNumber(doc[field]), range.min, range.max)
+  ));
+}
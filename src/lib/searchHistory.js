@@ -0,0 +1,181 @@
+/**
+ * Kullanıcı bazında arama geçmişi ve kayıtlı aramalar
+ *
+ * Firestore yerleşimi:
+ *  - users/{userId}/searchHistory/{key}  → { key, spec, resultCount, searchedAt }
+ *  - users/{userId}/savedSearches/{id}   → { name, spec, createdAt, updatedAt }
+ *
+ * spec aramayı yeniden çalıştırmak için gereken her şeydir (bkz. searchSpec).
+ * Her yazma localStorage'a da yansıtılır; Firestore'a ulaşılamazsa okumalar oradan yapılır.
+ */
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDocs,
+  limit,
+  orderBy,
+  query,
+  serverTimestamp,
+  setDoc,
+  writeBatch
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { getCurrentUserId } from './currentUser';
+import { toMillis } from './indexTerms';
+import { normalizeSearchSpec } from './searchSpec';
+
+export { normalizeSearchSpec };
+
+const MAX_HISTORY = 50;
+const MAX_SAVED_SEARCHES = 100;
+const MAX_NAME_LENGTH = 100;
+const LOCAL_PREFIX = 'akilli-dokuman';
+
+// Aynı arama geçmişte tek kayıt olsun: spec'ten türetilen kararlı anahtar (FNV-1a)
+function historyKey(spec) {
+  const text = JSON.stringify(spec);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `h${(hash >>> 0).toString(36)}${text.length.toString(36)}`;
+}
+
+async function userCollection(name) {
+  return collection(db, 'users', await getCurrentUserId(), name);
+}
+
+async function localKey(name) {
+  return `${LOCAL_PREFIX}:${name}:${await getCurrentUserId()}`;
+}
+
+async function readLocal(name) {
+  try {
+    return JSON.parse(window.localStorage.getItem(await localKey(name)) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+async function writeLocal(name, items) {
+  try {
+    window.localStorage.setItem(await localKey(name), JSON.stringify(items));
+  } catch {
+    // depolama dolu ya da kapalı: yalnızca Firestore kullanılır
+  }
+}
+
+/**
+ * Son aramalar (yeniden eskiye).
+ * @returns {Promise<Array<{ id: string, spec: object, resultCount: number|null, searchedAt: number }>>}
+ */
+export async function listSearchHistory() {
+  try {
+    const snap = await getDocs(query(await userCollection('searchHistory'), orderBy('searchedAt', 'desc'), limit(MAX_HISTORY)));
+    return snap.docs.map((d) => ({
+      id: d.id,
+      spec: normalizeSearchSpec(d.data().spec),
+      resultCount: d.data().resultCount ?? null,
+      searchedAt: toMillis(d.data().searchedAt) || Date.now() // yerel yazımda sunucu zamanı henüz yok
+    }));
+  } catch (error) {
+    console.warn('Search history unavailable, using local copy:', error);
+    return readLocal('searchHistory');
+  }
+}
+
+// MAX_HISTORY'yi aşan en eski kayıtları sil
+async function pruneHistory() {
+  const snap = await getDocs(query(await userCollection('searchHistory'), orderBy('searchedAt', 'desc')));
+  if (snap.size <= MAX_HISTORY) return;
+  const batch = writeBatch(db);
+  snap.docs.slice(MAX_HISTORY).forEach((d) => batch.delete(d.ref));
+  await batch.commit();
+}
+
+/** Aramayı geçmişe ekler; aynı arama varsa yalnızca zamanı ve sonuç sayısı güncellenir */
+export async function recordSearch(spec, { resultCount = null } = {}) {
+  const normalized = normalizeSearchSpec(spec);
+  const id = historyKey(normalized);
+  const entry = { id, spec: normalized, resultCount, searchedAt: Date.now() };
+  await writeLocal('searchHistory', [entry, ...(await readLocal('searchHistory')).filter((e) => e.id !== id)].slice(0, MAX_HISTORY));
+  try {
+    await setDoc(doc(await userCollection('searchHistory'), id), { key: id, spec: normalized, resultCount, searchedAt: serverTimestamp() });
+    await pruneHistory();
+  } catch (error) {
+    console.warn('Search history write failed, kept locally:', error);
+  }
+  return entry;
+}
+
+export async function clearSearchHistory() {
+  await writeLocal('searchHistory', []);
+  try {
+    const snap = await getDocs(await userCollection('searchHistory'));
+    const batch = writeBatch(db);
+    snap.docs.forEach((d) => batch.delete(d.ref));
+    await batch.commit();
+  } catch (error) {
+    console.warn('Search history clear failed:', error);
+  }
+}
+
+/**
+ * Kayıtlı aramalar (ada göre).
+ * @returns {Promise<Array<{ id: string, name: string, spec: object, createdAt: number, updatedAt: number }>>}
+ */
+export async function listSavedSearches() {
+  try {
+    const snap = await getDocs(query(await userCollection('savedSearches'), orderBy('name'), limit(MAX_SAVED_SEARCHES)));
+    return snap.docs.map((d) => ({
+      id: d.id,
+      name: d.data().name,
+      spec: normalizeSearchSpec(d.data().spec),
+      createdAt: toMillis(d.data().createdAt),
+      updatedAt: toMillis(d.data().updatedAt)
+    }));
+  } catch (error) {
+    console.warn('Saved searches unavailable, using local copy:', error);
+    return readLocal('savedSearches');
+  }
+}
+
+/**
+ * Aramayı adıyla kaydeder; `id` verilirse o kayıt güncellenir.
+ * @returns {Promise<{ id: string, name: string, spec: object }>}
+ */
+export async function saveSearch({ id = null, name, spec }) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('Kayıtlı arama için bir ad girin');
+  if (trimmed.length > MAX_NAME_LENGTH) throw new Error(`Ad en fazla ${MAX_NAME_LENGTH} karakter olabilir`);
+  const savedSearches = await userCollection('savedSearches');
+  const ref = id ? doc(savedSearches, id) : doc(savedSearches);
+  const now = Date.now();
+  const local = await readLocal('savedSearches');
+  const existing = local.find((s) => s.id === ref.id);
+  const saved = { id: ref.id, name: trimmed, spec: normalizeSearchSpec(spec), createdAt: existing?.createdAt ?? now, updatedAt: now };
+  await writeLocal('savedSearches', [...local.filter((s) => s.id !== ref.id), saved]
+    .sort((a, b) => a.name.localeCompare(b.name, 'tr')));
+  try {
+    await setDoc(ref, {
+      name: saved.name,
+      spec: saved.spec,
+      updatedAt: serverTimestamp(),
+      ...(id ? {} : { createdAt: serverTimestamp() })
+    }, { merge: true });
+  } catch (error) {
+    console.warn('Saved search write failed, kept locally:', error);
+  }
+  return saved;
+}
+
+export async function deleteSavedSearch(id) {
+  await writeLocal('savedSearches', (await readLocal('savedSearches')).filter((s) => s.id !== id));
+  try {
+    await deleteDoc(doc(await userCollection('savedSearches'), id));
+  } catch (error) {
+    console.warn('Saved search delete failed:', error);
+  }
+}
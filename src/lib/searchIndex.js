@@ -0,0 +1,23 @@
+/**
+ * Arama indeksinin tarayıcı tarafı
+ *
+ * İndeks (searchTerms, searchIndexDocs, …) ve vektörler yalnızca sunucuda yazılır, okunur ve
+ * silinir (bkz. server/searchIndex, server/search); tarayıcı yalnızca silinen dokümanın
+ * kayıtlarının kaldırılmasını ister.
+ */
+import { authHeaders } from './auth';
+
+/**
+ * Silinen dokümanın indeks kayıtlarını ve vektörlerini sunucuya kaldırtır (bkz. app/api/documents/removed);
+ * Firestore dokümanı silindikten sonra çağrılmalıdır.
+ */
+export async function removeDocumentFromIndex(docId) {
+  const res = await fetch('/api/documents/removed', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+    body: JSON.stringify({ docId })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Doküman indeksten çıkarılamadı (HTTP ${res.status})`);
+  return data;
+}
@@ -0,0 +1,436 @@
+/**
+ * Arama akışı: sorgu ayrıştırma, eş anlamlı genişletme, indeksten aday seçimi, sıralama ve sayfalama.
+ *
+ * Veri erişimi ve sıralama dışarıdan verilir (sunucu uyarlaması: server/search, Admin SDK); böylece
+ * akış Firebase'e bağımlı olmadan test edilebilir.
+ *
+ * store: { isSearchIndexReady, lookupDocumentIds (null → tam tarama), fetchDocumentsByIds, fetchAllDocuments,
+ *          getIndexedDocumentCount, estimateDocumentFrequency, loadSynonymGroups, loadTextContent,
+ *          loadChunkEmbeddings(providerId, queryVector) }
+ * rank(params) → searchEngine.rankCandidates girdisiyle sıralı kayıtlar ({ doc, score, rawScore, ranges })
+ * enrich(entries) → vurgulanmış sonuçlar
+ */
+import { parseSearchQuery, collectPositiveTerms } from './queryParser';
+import { dotProduct, getEmbeddingProvider } from './embeddings';
+import { WILDCARD_CHARS_RE, normalize, shouldExplain, termKey } from './searchEngine';
+import { applyFacetFilters, computeFacets, normalizeFacetFilters } from './searchFacets';
+import { matchesRangeFilters, normalizeRangeFilters } from './searchFilters';
+import { expandWithSynonyms } from './synonymExpansion';
+import { inverseDocumentFrequency } from './ranking';
+import { frequentTerms, idfFromFrequencies, rankBySimilarity, termFrequencies } from './similarity';
+
+// İndekste aranabilecek kısım: regex hiç, joker desen yalnızca ilk jokere kadar (kelime başı)
+function indexLookupText(value, searchType) {
+  if (searchType === 'regex') return '';
+  if (searchType === 'wildcard') return value.split(WILDCARD_CHARS_RE)[0];
+  return value;
+}
+
+// Kelimenin ortasında ya da sonunda eşleşebilen arama tipleri: indekste parça araması gerekir
+const SUBSTRING_SEARCH_TYPES = new Set(['contains', 'endsWith']);
+
+/** Bozuk ya da başka bir aramaya ait sayfalama imleci */
+export class CursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CursorError';
+  }
+}
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const RESULT_CACHE_SIZE = 5;
+const RESULT_CACHE_TTL_MS = 2 * 60 * 1000;
+
+function encodeCursor(cursor) {
+  const bytes = new TextEncoder().encode(JSON.stringify(cursor));
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function decodeCursor(cursor) {
+  try {
+    const bytes = Uint8Array.from(atob(cursor), (c) => c.charCodeAt(0));
+    const decoded = JSON.parse(new TextDecoder().decode(bytes));
+    if (typeof decoded?.key !== 'string' || !Number.isInteger(decoded.offset) || decoded.offset < 0) throw new Error();
+    return decoded;
+  } catch {
+    throw new CursorError('Geçersiz sayfalama imleci');
+  }
+}
+
+function clampPageSize(pageSize) {
+  const size = Number(pageSize) || DEFAULT_PAGE_SIZE;
+  return Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(size)));
+}
+
+const SIMILAR_KEY_TERMS = 25;        // vektör uzayı: hedefin en sık kök terimleri
+const SIMILAR_LOOKUP_TERMS = 8;      // aday toplamak için indekste aranan en ayırt edici terimler
+const MAX_SIMILAR_CANDIDATES = 100;
+const DEFAULT_SIMILAR_LIMIT = 5;
+const MAX_SIMILAR_LIMIT = 20;
+
+export const SEARCH_MODES = ['lexical', 'semantic', 'hybrid'];
+const MAX_SEMANTIC_RESULTS = 200;
+export const MIN_SEMANTIC_SIMILARITY = 0.15;
+const HYBRID_LEXICAL_WEIGHT = 0.5;
+
+// Anlamsal sorgu metni: sorgu dilindeki olumlu terimler (operatörler, önekler ve NOT dalları hariç)
+export function semanticQueryText(q) {
+  try {
+    return collectPositiveTerms(parseSearchQuery(q)).map((term) => term.value).join(' ');
+  } catch {
+    return q;
+  }
+}
+
+// Açıklamaya uygulanan süzgeçleri ekler; açıklama istenmemişse kayıtlar olduğu gibi kalır
+function withAppliedFilters(entries, filters) {
+  return entries.map((entry) => (entry.explanation
+    ? { ...entry, explanation: { ...entry.explanation, filters: { ...entry.explanation.filters, ...filters } } }
+    : entry));
+}
+
+export function createSearchPipeline({ store, rank, enrich }) {
+  /**
+   * Sorgu ağacından indeks aday kümesi: AND/NEAR kesişim, OR birleşim.
+   * NOT tek başına aday kümesini daraltamaz; `null` "tüm dokümanlar" demektir. İndeksin döndürdüğü
+   * küme boyutları terim başına doküman frekansı (df) olarak `frequencies`e yazılır.
+   */
+  async function collectCandidateIds(node, searchField, searchType, frequencies) {
+    if (node.type === 'term') {
+      const lookupText = indexLookupText(node.value, searchType);
+      if (!/[\p{L}\p{N}]/u.test(lookupText)) return null;
+      const ids = await store.lookupDocumentIds(lookupText, {
+        field: node.field || searchField,
+        stem: searchType === 'stem',
+        substring: SUBSTRING_SEARCH_TYPES.has(searchType)
+      });
+      if (ids === null) return null;
+      frequencies.set(termKey(node), ids.length);
+      return new Set(ids);
+    }
+    if (node.type === 'not') return null;
+    const sets = [];
+    for (const child of node.children) sets.push(await collectCandidateIds(child, searchField, searchType, frequencies));
+    if (node.type === 'or') {
+      if (sets.some((set) => set === null)) return null;
+      return new Set(sets.flatMap((set) => [...set]));
+    }
+    const known = sets.filter((set) => set !== null);
+    if (!known.length) return null;
+    return known.reduce((acc, set) => new Set([...acc].filter((id) => set.has(id))));
+  }
+
+  /**
+   * Aday dokümanları getir: indeks hazırsa yalnızca eşleşen dokümanlar yüklenir,
+   * değilse (geri doldurma yapılmamış) ya da indeks sorguyu daraltamıyorsa (salt NOT, kısa/yaygın
+   * kelime parçası, baştan joker) tüm koleksiyon taranır.
+   * `fromIndex` false ise `docs` tüm koleksiyondur (sıralama istatistikleri yerelden hesaplanabilir);
+   * true ise `frequencies` indeksten bulunan terimlerin df değerleridir (termKey → df).
+   */
+  async function fetchCandidateDocuments(ast, searchField = 'all', searchType = 'contains') {
+    const frequencies = new Map();
+    if (!(await store.isSearchIndexReady())) return { docs: await store.fetchAllDocuments(), fromIndex: false, frequencies };
+    const ids = await collectCandidateIds(ast, searchField, searchType, frequencies);
+    if (ids === null) return { docs: await store.fetchAllDocuments(), fromIndex: false, frequencies };
+    return { docs: ids.size ? await store.fetchDocumentsByIds([...ids]) : [], fromIndex: true, frequencies };
+  }
+
+  /**
+   * BM25 idf değerleri indeks sayımlarından (tüm koleksiyon); indeks bir terimi daraltamadıysa o
+   * terim yer almaz, okunamazsa null döner. Eksik terimlerin idf'i arama motorunda yüklenen
+   * dokümanlardan hesaplanır.
+   */
+  async function indexInverseDocumentFrequencies(frequencies) {
+    try {
+      const documentCount = await store.getIndexedDocumentCount();
+      return Object.fromEntries([...frequencies].map(([key, df]) => [
+        key,
+        inverseDocumentFrequency(Math.min(df, documentCount), documentCount)
+      ]));
+    } catch (error) {
+      console.warn('Index statistics unavailable, using local statistics:', error);
+      return null;
+    }
+  }
+
+  // Sıralanmış sonuç listeleri; sonraki sayfalar aynı anlık görüntüden kesilir
+  const resultCache = new Map();
+
+  // Eş anlamlı sözlüğüyle genişletme; desen aramalarında (regex, joker) anlamsız olduğundan yapılmaz
+  async function expandQuery(ast, searchType) {
+    if (searchType === 'regex' || searchType === 'wildcard') return ast;
+    try {
+      return expandWithSynonyms(ast, await store.loadSynonymGroups());
+    } catch (error) {
+      console.warn('Synonym dictionary unavailable, searching without expansion:', error);
+      return ast;
+    }
+  }
+
+  /**
+   * Sorguyu çalıştırır ve eşleşen dokümanları BM25 puanına göre sıralı döndürür (zenginleştirmeden).
+   * @returns {Promise<Array<{ doc: object, score: number, rawScore: number, ranges: object }>>}
+   */
+  async function rankDocuments(searchQuery, searchType = 'contains', searchField = 'all', options = {}) {
+    const matchOptions = { ignoreDiacritics: Boolean(options.ignoreDiacritics) };
+    const q = (searchQuery || '').trim();
+    if (!q) return [];
+    // Sadece noktalama/boşluk içeren sorgularda sonuç getirme (liste kaybolmasın)
+    const hasAlphaNum = /[\p{L}\p{N}]/u.test(q);
+    if (!hasAlphaNum && searchType !== 'regex') return [];
+    // regex desenindeki parantez/| işaretleri sorgu dili olarak yorumlanmaz
+    const parsed = searchType === 'regex' ? { type: 'term', value: q, field: null, phrase: false } : parseSearchQuery(q);
+    const ast = await expandQuery(parsed, searchType);
+    const { docs, fromIndex, frequencies } = await fetchCandidateDocuments(ast, searchField, searchType);
+    const indexIdf = fromIndex ? await indexInverseDocumentFrequencies(frequencies) : null;
+
+    const ranked = await rank({ ast, docs, searchType, searchField, matchOptions, indexIdf, explain: options.explain || false });
+    return withAppliedFilters(ranked, { searchType, searchField, ignoreDiacritics: matchOptions.ignoreDiacritics });
+  }
+
+  /**
+   * Sorgu dili: AND/OR/NOT, -terim, "ifade", parantez, author:/fileName:/content:/title: önekleri,
+   * yakınlık: "ceza NEAR/5 gecikme", sıralı "ceza ONEAR/5 gecikme".
+   * Arama tipleri: contains, startsWith, endsWith, wholeWord, wildcard (rap*r, ?), regex,
+   * stem (Türkçe kök: "sözleşme" → sözleşmeler, sözleşmede, sözleşmesinin).
+   * Tırnaksız terimler eş anlamlı sözlüğüyle genişletilir (KDV ↔ katma değer vergisi); bu eşleşmeler
+   * vurgulamada ayrı sınıfla ve sonuçta `synonymMatches` ile işaretlenir.
+   * Hatalı sorgularda ve süre sınırını aşan düzenli ifadelerde QuerySyntaxError (Türkçe mesaj) fırlatır.
+   * @param {object} [options]
+   * @param {boolean} [options.ignoreDiacritics] ş/s, ğ/g, ç/c, ö/o, ü/u, ı/i farkını yok say
+   * @param {boolean} [options.explain] her sonuca "neden bu sonuç" dökümü ekle: `explanation` =
+   *   { mode, matchedFields, terms: [{ term, field, tf, idf, weight, score, offsets }], fieldScores,
+   *     rawScore, maxRawScore, idfSource, filters }; puan = rawScore / maxRawScore
+   * @returns tüm sonuçlar (sınırsız); arayüz için searchDocumentsPage kullanılmalı
+   */
+  async function searchDocuments(searchQuery, searchType = 'contains', searchField = 'all', options = {}) {
+    const ranked = await rankDocuments(searchQuery, searchType, searchField, options);
+    return enrich(ranked);
+  }
+
+  /**
+   * Anlamsal sıralama: sorgu vektörü özeti en yakın dokümanların parça vektörleriyle karşılaştırılır
+   * (store.loadChunkEmbeddings ön seçimi yapar), her dokümanın
+   * en benzer parçası dokümanın puanıdır. Kayıtların `semantic` alanı { similarity, start, end }
+   * en benzer parçanın textContent içindeki yeridir.
+   */
+  async function rankSemantic(searchQuery, { explain = false } = {}) {
+    const text = semanticQueryText(searchQuery.trim());
+    if (!/[\p{L}\p{N}]/u.test(text)) return [];
+    const provider = getEmbeddingProvider();
+    const [queryVector] = await provider.embed([text]);
+    const best = new Map();
+    for (const chunk of await store.loadChunkEmbeddings(provider.id, queryVector)) {
+      const similarity = dotProduct(queryVector, chunk.vector);
+      if (similarity >= MIN_SEMANTIC_SIMILARITY && similarity > (best.get(chunk.docId)?.similarity ?? -Infinity)) {
+        best.set(chunk.docId, { similarity, start: chunk.start, end: chunk.end });
+      }
+    }
+    const ids = [...best.keys()].sort((a, b) => best.get(b).similarity - best.get(a).similarity).slice(0, MAX_SEMANTIC_RESULTS);
+    const docs = ids.length ? await store.fetchDocumentsByIds(ids) : [];
+    return docs
+      .map((doc) => {
+        const semantic = best.get(doc.id);
+        const entry = { doc, score: semantic.similarity, rawScore: semantic.similarity, ranges: {}, semantic };
+        return shouldExplain(explain, doc.id) ? { ...entry, explanation: { mode: 'semantic', semantic: { similarity: semantic.similarity, offset: semantic.start } } } : entry;
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Sözcüksel ve anlamsal sonuçların birleşimi; puan iki puanın ağırlıklı toplamıdır
+   * (sözcüksel puan en iyi sonuca göre 0–1, anlamsal puan kosinüs benzerliği).
+   */
+  async function rankHybrid(searchQuery, searchType, searchField, options) {
+    const [lexical, semantic] = await Promise.all([
+      rankDocuments(searchQuery, searchType, searchField, options),
+      rankSemantic(searchQuery, options)
+    ]);
+    const merged = new Map(lexical.map((entry) => [entry.doc.id, { ...entry, lexicalScore: entry.score, semanticScore: 0 }]));
+    for (const entry of semantic) {
+      const existing = merged.get(entry.doc.id);
+      if (existing) Object.assign(existing, { semantic: entry.semantic, semanticScore: entry.score });
+      else merged.set(entry.doc.id, { ...entry, lexicalScore: 0, semanticScore: entry.score });
+    }
+    return [...merged.values()]
+      .map(({ lexicalScore, semanticScore, ...entry }) => {
+        const score = HYBRID_LEXICAL_WEIGHT * lexicalScore + (1 - HYBRID_LEXICAL_WEIGHT) * semanticScore;
+        if (!shouldExplain(options.explain, entry.doc.id)) return { ...entry, score, rawScore: score };
+        const explanation = {
+          ...entry.explanation,
+          mode: 'hybrid',
+          semantic: entry.semantic ? { similarity: entry.semantic.similarity, offset: entry.semantic.start } : null,
+          hybrid: { lexicalWeight: HYBRID_LEXICAL_WEIGHT, lexicalScore, semanticScore }
+        };
+        return { ...entry, score, rawScore: score, explanation };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Sıralı listeyi faset süzgeçleriyle daraltıp sayfalar. İlk sayfa yeniden hesaplanır;
+   * imleçli istekler ve `reuse` (yalnızca faset değişikliği) önbellekteki aynı listeyi kullanır
+   * (süre dolduysa liste yeniden hesaplanır).
+   */
+  async function paginate(key, compute, { pageSize, cursor, filters, reuse = false } = {}) {
+    const size = clampPageSize(pageSize);
+    const activeFilters = normalizeFacetFilters(filters);
+    const cursorKey = JSON.stringify([key, activeFilters]);
+    let offset = 0;
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (decoded.key !== cursorKey) throw new CursorError('Sayfalama imleci bu aramaya ait değil');
+      offset = decoded.offset;
+    }
+    let cached = cursor || reuse ? resultCache.get(key) : null;
+    if (cached && Date.now() - cached.at > RESULT_CACHE_TTL_MS) cached = null;
+    if (!cached) {
+      cached = { at: Date.now(), entries: await compute() };
+      resultCache.delete(key);
+      resultCache.set(key, cached);
+      if (resultCache.size > RESULT_CACHE_SIZE) resultCache.delete(resultCache.keys().next().value);
+    }
+    const entries = applyFacetFilters(cached.entries, activeFilters, (entry) => entry.doc);
+    const nextOffset = offset + size;
+    return {
+      results: await enrich(withAppliedFilters(entries.slice(offset, nextOffset), { facets: activeFilters })),
+      total: entries.length,
+      nextCursor: nextOffset < entries.length ? encodeCursor({ key: cursorKey, offset: nextOffset }) : null,
+      facets: computeFacets(cached.entries, activeFilters, (entry) => entry.doc)
+    };
+  }
+
+  /**
+   * searchDocuments'ın sayfalı hâli.
+   * @param {object} [options] searchDocuments seçenekleri ve
+   * @param {number} [options.pageSize] sayfa boyutu (1–100, varsayılan 20)
+   * @param {string|null} [options.cursor] önceki sayfanın nextCursor değeri
+   * @param {Record<string, string[]>} [options.filters] faset seçimleri ({ fileType: ['pdf'], owner: [...] })
+   * @param {boolean} [options.reuse] yalnızca fasetler değiştiyse sorguyu yeniden çalıştırma
+   * @returns {Promise<{ results: object[], total: number, nextCursor: string|null, facets: object[] }>}
+   */
+  async function searchDocumentsPage(searchQuery, searchType = 'contains', searchField = 'all', options = {}) {
+    const { pageSize, cursor, filters, reuse, ...searchOptions } = options;
+    const key = JSON.stringify(['search', (searchQuery || '').trim(), searchType, searchField, Boolean(searchOptions.ignoreDiacritics), Boolean(searchOptions.explain)]);
+    return paginate(key, () => rankDocuments(searchQuery, searchType, searchField, searchOptions), { pageSize, cursor, filters, reuse });
+  }
+
+  /**
+   * Sorgu + dosya tipi/yazar süzgeçleri, aralıklar ve fasetler; sonuç searchDocumentsPage ile aynı biçimde sayfalıdır.
+   * Sorgu boşsa süzgeçlere uyan tüm dokümanlar yeniden eskiye sıralı döner.
+   * @param {object} [params.ranges] { createdAt: { from, to }, uploadedAt: { from, to }, size: { min, max }, pageCount: { min, max } }
+   * @param {'lexical'|'semantic'|'hybrid'} [params.mode] sözcüksel (varsayılan), anlamsal (parça vektörleri)
+   *   ya da ikisinin birleşimi; regex aramaları her zaman sözcükseldir
+   * @param {boolean} [params.explain] sonuçlara puan dökümü ve uygulanan süzgeçler (bkz. searchDocuments);
+   *   arayüz bunun yerine tek sonucun dökümünü explainAdvancedResult ile ister
+   */
+  async function advancedSearch({ pageSize, cursor, filters, reuse, ...params } = {}) {
+    const { query: q = '', fileType = '', author = '', type = 'contains', field = 'all', ignoreDiacritics = false, ranges, explain = false } = params;
+    const key = JSON.stringify(['advanced', q.trim(), fileType, author, type, field, Boolean(ignoreDiacritics), advancedSearchMode(params), normalizeRangeFilters(ranges), Boolean(explain)]);
+    return paginate(key, () => rankAdvanced({ ...params, explain: Boolean(explain) }), { pageSize, cursor, filters, reuse });
+  }
+
+  function advancedSearchMode({ type = 'contains', mode = 'lexical' }) {
+    return type !== 'regex' && SEARCH_MODES.includes(mode) ? mode : 'lexical';
+  }
+
+  // advancedSearch'ün sayfalanmamış, faset süzgeci uygulanmamış sıralı listesi
+  async function rankAdvanced(params) {
+    const { query: q = '', fileType = '', author = '', type = 'contains', field = 'all', ignoreDiacritics = false, ranges, explain } = params;
+    const matchOptions = { ignoreDiacritics };
+    const activeRanges = normalizeRangeFilters(ranges);
+    const searchMode = advancedSearchMode(params);
+    const rankQuery = () => {
+      if (searchMode === 'semantic') return rankSemantic(q, { explain });
+      if (searchMode === 'hybrid') return rankHybrid(q, type, field, { ...matchOptions, explain });
+      return rankDocuments(q, type, field, { ...matchOptions, explain });
+    };
+    let entries = q.trim()
+      ? await rankQuery()
+      : (await store.fetchAllDocuments()).map((doc) => ({
+        doc, score: 0, rawScore: 0, ranges: {}, ...(shouldExplain(explain, doc.id) ? { explanation: { mode: 'filters' } } : {})
+      }));
+    if (fileType) entries = entries.filter(({ doc }) => normalize(doc.fileExtension).includes(normalize(fileType)));
+    if (author) entries = entries.filter(({ doc }) => normalize(doc.author, matchOptions).includes(normalize(author, matchOptions)));
+    if (Object.keys(activeRanges).length) entries = entries.filter(({ doc }) => matchesRangeFilters(doc, activeRanges));
+    return withAppliedFilters(entries, {
+      searchType: type,
+      searchField: field,
+      ignoreDiacritics: Boolean(ignoreDiacritics),
+      mode: searchMode,
+      fileType: fileType || null,
+      author: author || null,
+      ranges: activeRanges
+    });
+  }
+
+  /**
+   * advancedSearch sonucundaki tek dokümanın puan dökümü ("Neden bu sonuç?" paneli açılınca istenir);
+   * sorgu aynı parametrelerle yeniden çalışır, döküm yalnızca bu doküman için hesaplanır.
+   * @returns {Promise<object|null>} explanation; doküman artık sonuçlarda değilse null
+   */
+  async function explainAdvancedResult({ filters, ...params } = {}, docId) {
+    const entries = await rankAdvanced({ ...params, explain: [docId] });
+    const [entry] = withAppliedFilters(entries.filter((e) => e.doc.id === docId), { facets: normalizeFacetFilters(filters) });
+    return entry?.explanation || null;
+  }
+
+  /**
+   * İndeks hazırsa adaylar hedefin en ayırt edici terimlerini içeren dokümanlardır (ortak terim
+   * sayısına göre ilk MAX_SIMILAR_CANDIDATES), idf indeks sayımlarından gelir. Değilse tüm
+   * koleksiyon taranır ve idf yüklenen dokümanlardan hesaplanır.
+   */
+  async function similarityCandidates(docId, keyTerms) {
+    if (await store.isSearchIndexReady()) {
+      const documentCount = await store.getIndexedDocumentCount();
+      const documentFrequencies = {};
+      await Promise.all(keyTerms.map(async ({ stem, word }) => {
+        documentFrequencies[stem] = await store.estimateDocumentFrequency(word, { field: 'content', stem: true });
+      }));
+      const idf = idfFromFrequencies(documentFrequencies, documentCount);
+      const lookupTerms = [...keyTerms].sort((a, b) => b.tf * idf[b.stem] - a.tf * idf[a.stem]).slice(0, SIMILAR_LOOKUP_TERMS);
+      const hits = new Map();
+      for (const { word } of lookupTerms) {
+        for (const id of (await store.lookupDocumentIds(word, { field: 'content', stem: true })) || []) {
+          if (id !== docId) hits.set(id, (hits.get(id) || 0) + 1);
+        }
+      }
+      const ids = [...hits.keys()].sort((a, b) => hits.get(b) - hits.get(a)).slice(0, MAX_SIMILAR_CANDIDATES);
+      const docs = ids.length ? await store.fetchDocumentsByIds(ids) : [];
+      return { idf, candidates: await withFrequencies(docs) };
+    }
+
+    // tüm koleksiyon yüklendiğinden idf rankBySimilarity'de dokümanlardan kesin hesaplanır
+    const candidates = await withFrequencies((await store.fetchAllDocuments()).filter((doc) => doc.id !== docId));
+    return { idf: {}, candidates };
+  }
+
+  function withFrequencies(docs) {
+    return Promise.all(docs.map(async (doc) => ({ doc, frequencies: termFrequencies(await store.loadTextContent(doc)) })));
+  }
+
+  /**
+   * Dokümana içerikçe en çok benzeyen dokümanlar ("bunun gibi"): TF-IDF terim vektörleri ve
+   * kosinüs benzerliği (bkz. similarity). Sonuçlar metin içermez.
+   * @param {string} docId
+   * @param {object} [options]
+   * @param {number} [options.limit] en fazla kaç sonuç (1–20, varsayılan 5)
+   * @returns {Promise<Array<object & { similarity: number, sharedTerms: string[] }>|null>} benzerlik 0–1;
+   *   doküman yoksa null
+   */
+  async function findSimilarDocuments(docId, { limit = DEFAULT_SIMILAR_LIMIT } = {}) {
+    const [target] = docId ? await store.fetchDocumentsByIds([docId]) : [];
+    if (!target) return null;
+    const frequencies = termFrequencies(await store.loadTextContent(target));
+    const keyTerms = frequentTerms(frequencies, SIMILAR_KEY_TERMS);
+    if (!keyTerms.length) return [];
+
+    const { idf, candidates } = await similarityCandidates(docId, keyTerms);
+    const size = Math.min(MAX_SIMILAR_LIMIT, Math.max(1, Math.floor(Number(limit) || DEFAULT_SIMILAR_LIMIT)));
+    const ranked = rankBySimilarity({ target: frequencies, idf, candidates, limit: size });
+    return ranked.map(({ doc: { textContent, ...doc }, similarity, sharedTerms }) => ({ ...doc, similarity, sharedTerms }));
+  }
+
+  return { fetchCandidateDocuments, rankDocuments, searchDocuments, searchDocumentsPage, advancedSearch, explainAdvancedResult, findSimilarDocuments };
+}
@@ -0,0 +1,23 @@
+/**
+ * Kayıtlı / geçmiş arama tanımı (spec)
+ *
+ * spec aramayı yeniden çalıştırmak için gereken her şeydir:
+ *   { query, type, field, ignoreDiacritics, mode, rangeInputs, filters, pageSize }
+ * Sorgudaki tarih ifadeleri ("son 30 gün") metin olarak saklanır ve her çalıştırmada yeniden çözülür.
+ * Modül Firebase'e bağımlı değildir; hem tarayıcıda hem sunucuda kullanılır.
+ */
+const DEFAULT_SPEC = {
+  query: '',
+  type: 'contains',
+  field: 'all',
+  ignoreDiacritics: true,
+  mode: 'lexical',
+  rangeInputs: {},
+  filters: {},
+  pageSize: 20
+};
+
+/** Eksik alanları varsayılanlarla doldurur, bilinmeyen alanları atar */
+export function normalizeSearchSpec(spec = {}) {
+  return Object.fromEntries(Object.entries(DEFAULT_SPEC).map(([key, fallback]) => [key, spec[key] ?? fallback]));
+}
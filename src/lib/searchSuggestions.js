@@ -0,0 +1,86 @@
+/**
+ * Otomatik tamamlama ve yazım önerisi ("Bunu mu demek istediniz")
+ *
+ * Arama akışı gibi veri erişimi dışarıdan verilir; arayüz önerileri sunucudan alır
+ * (bkz. server/search, app/api/search/suggest ve spelling), aynı kod tarayıcıda da çalışabilir.
+ *
+ * store: { isSearchIndexReady (yalnızca yazım önerisi), lookupVocabulary }
+ * pipeline: createSearchPipeline sonucu (dosya adı önerileri için fetchCandidateDocuments)
+ */
+import { foldForCompare, tokenizeWithOffsets } from './turkishText';
+import { matchByType } from './searchEngine';
+import { bestCorrection } from './spelling';
+
+const MAX_SUGGESTIONS = 5;
+const SUGGESTION_VOCABULARY_LIMIT = 200;
+const SPELLING_CACHE_TTL_MS = 10 * 60 * 1000;
+const QUERY_KEYWORD_RE = /^(AND|OR|NOT|VE|VEYA|DEĞİL|DEGIL|NEAR|ONEAR|YAKIN|SIRALI)$/;
+
+export function createSearchSuggestions({ store, pipeline }) {
+  // Baş harfe göre sözlük dilimleri (yazım önerisi için)
+  const vocabularyBuckets = new Map();
+
+  /**
+   * Yazılmakta olan son kelimeyi indeks sözlüğünden (içerik, başlık, ad, yazar) tamamlar;
+   * öneriler terimi içeren doküman sayısına göre sıralıdır. Sözlük her doküman indekslendiğinde
+   * büyür, geri doldurmanın bitmesini beklemez; tamamlama yoksa dosya adlarından önerir.
+   * @returns {Promise<Array<{ suggestion: string, term?: string, count?: number }>>}
+   */
+  async function getSearchSuggestions(partial) {
+    const q = (partial || '').trim();
+    if (!q) return [];
+    const words = tokenizeWithOffsets(q);
+    const last = words[words.length - 1];
+    // kelime yazılırken (sonunda boşluk/tırnak yokken) tamamla
+    if (last && last.end === q.length && !QUERY_KEYWORD_RE.test(last.word)) {
+      const vocabulary = await store.lookupVocabulary(last.word, { max: SUGGESTION_VOCABULARY_LIMIT });
+      const completions = vocabulary
+        .slice(0, MAX_SUGGESTIONS)
+        .map((entry) => ({ suggestion: `${q.slice(0, last.start)}${entry.display}`, term: entry.display, count: entry.df }));
+      if (completions.length) return completions;
+    }
+    const { docs } = await pipeline.fetchCandidateDocuments({ type: 'term', value: q, field: 'fileName', phrase: false }, 'fileName');
+    return docs
+      .filter((d) => matchByType(d.fileName, q, 'contains'))
+      .slice(0, MAX_SUGGESTIONS)
+      .map((d) => ({ suggestion: d.fileName }));
+  }
+
+  async function vocabularyBucket(initial) {
+    const cached = vocabularyBuckets.get(initial);
+    if (cached && Date.now() - cached.at < SPELLING_CACHE_TTL_MS) return cached.entries;
+    const entries = await store.lookupVocabulary(initial);
+    vocabularyBuckets.set(initial, { at: Date.now(), entries });
+    return entries;
+  }
+
+  /**
+   * Az sonuç veren sorgular için "Bunu mu demek istediniz" önerisi: sözlükte olmayan kelimeler
+   * düzenleme uzaklığı en küçük (eşitlikte en yaygın) terimle değiştirilir.
+   * Operatörler, alan önekleri, sayılar ve kısa kelimeler olduğu gibi kalır. Sözlük eksikken doğru
+   * kelimeler "düzeltilmesin" diye indeks hazır olmalıdır (geri doldurma: npm run search:reindex).
+   * @returns {Promise<{ query: string, corrections: Array<{ from: string, to: string }> } | null>}
+   */
+  async function getSpellingSuggestion(searchQuery) {
+    const q = (searchQuery || '').trim();
+    if (!q || !(await store.isSearchIndexReady())) return null;
+
+    const corrections = [];
+    for (const word of tokenizeWithOffsets(q)) {
+      if (QUERY_KEYWORD_RE.test(word.word) || q[word.end] === ':' || /\p{N}/u.test(word.word)) continue;
+      const folded = foldForCompare(word.word, { ignoreDiacritics: true });
+      // kelime sözlükte varsa dokunma (dilim sınırına takılmasın diye doğrudan bakılır)
+      const [exact] = await store.lookupVocabulary(folded, { max: 1 });
+      if (exact?.term === folded) continue;
+      const best = bestCorrection(folded, await vocabularyBucket(folded[0]));
+      if (best) corrections.push({ start: word.start, end: word.end, from: word.word, to: best.display });
+    }
+    if (!corrections.length) return null;
+
+    let corrected = q;
+    for (const c of [...corrections].reverse()) corrected = `${corrected.slice(0, c.start)}${c.to}${corrected.slice(c.end)}`;
+    return { query: corrected, corrections: corrections.map(({ from, to }) => ({ from, to })) };
+  }
+
+  return { getSearchSuggestions, getSpellingSuggestion };
+}
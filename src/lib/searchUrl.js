@@ -0,0 +1,90 @@
+/**
+ * Arama tanımı (spec) ↔ URL sorgu parametreleri
+ *
+ * Paylaşılabilir arama bağlantıları için: ?q=teklif&field=content&f.author=Ayşe&page=2
+ *  - q, type, field, mode, size      → sorgu ve ayarlar (varsayılan değerler yazılmaz)
+ *  - diacritics=0                    → aksan duyarlı arama
+ *  - createdFrom … maxPages          → aralık süzgeçleri (bkz. searchFilters.EMPTY_RANGE_INPUTS)
+ *  - f.<faset>=<değer> (tekrarlanır) → faset süzgeçleri
+ *  - page                            → yüklenmiş sonuç sayfası sayısı
+ * Tarih çipleri sorgu metninde kalır ("teklif son 30 gün"); açılışta yeniden çözülür.
+ */
+import { EMPTY_RANGE_INPUTS } from './searchFilters';
+import { normalizeFacetFilters } from './searchFacets';
+import { SEARCH_MODES } from './searchPipeline';
+import { normalizeSearchSpec } from './searchSpec';
+
+export const SEARCH_TYPES = ['contains', 'startsWith', 'endsWith', 'wholeWord', 'stem', 'wildcard', 'regex'];
+export const SEARCH_FIELDS = ['all', 'content', 'fileName', 'author'];
+export const MAX_URL_PAGES = 10;
+
+const DEFAULTS = normalizeSearchSpec();
+const MAX_PAGE_SIZE = 100;
+const FACET_PREFIX = 'f.';
+
+function oneOf(value, allowed, fallback) {
+  return allowed.includes(value) ? value : fallback;
+}
+
+function positiveInt(value, max, fallback) {
+  const number = Number.parseInt(value, 10);
+  return Number.isFinite(number) && number >= 1 ? Math.min(number, max) : fallback;
+}
+
+/**
+ * Aramayı URL sorgu metnine çevirir; parametre sırası sabittir (aynı arama → aynı metin).
+ * @param {object} spec bkz. searchSpec
+ * @param {object} [options]
+ * @param {number} [options.pages=1] yüklenmiş sayfa sayısı
+ * @returns {string} başında "?" olmadan; boş arama için ''
+ */
+export function searchSpecToQueryString(spec, { pages = 1 } = {}) {
+  const s = normalizeSearchSpec(spec);
+  const params = new URLSearchParams();
+  if (s.query.trim()) params.set('q', s.query.trim());
+  if (s.type !== DEFAULTS.type) params.set('type', s.type);
+  if (s.field !== DEFAULTS.field) params.set('field', s.field);
+  if (s.mode !== DEFAULTS.mode) params.set('mode', s.mode);
+  if (!s.ignoreDiacritics) params.set('diacritics', '0');
+  for (const key of Object.keys(EMPTY_RANGE_INPUTS)) {
+    const value = String(s.rangeInputs[key] ?? '').trim();
+    if (value) params.set(key, value);
+  }
+  const facetFilters = normalizeFacetFilters(s.filters);
+  for (const key of Object.keys(facetFilters).sort()) {
+    facetFilters[key].forEach((value) => params.append(`${FACET_PREFIX}${key}`, value));
+  }
+  if (!params.toString()) return '';
+  if (s.pageSize !== DEFAULTS.pageSize) params.set('size', String(s.pageSize));
+  if (pages > 1) params.set('page', String(Math.min(pages, MAX_URL_PAGES)));
+  return params.toString();
+}
+
+/**
+ * URL sorgu parametrelerinden aramayı okur; bilinmeyen ya da geçersiz değerler varsayılana döner.
+ * @param {URLSearchParams|string} searchParams
+ * @returns {{ spec: object, pages: number } | null} arama içermiyorsa null
+ */
+export function parseSearchParams(searchParams) {
+  const params = new URLSearchParams(searchParams);
+  const rangeInputs = Object.fromEntries(Object.keys(EMPTY_RANGE_INPUTS).map((key) => [key, params.get(key) || '']));
+  const filters = {};
+  for (const [name, value] of params) {
+    if (!name.startsWith(FACET_PREFIX) || !value) continue;
+    const key = name.slice(FACET_PREFIX.length);
+    filters[key] = [...(filters[key] || []), value];
+  }
+
+  const spec = normalizeSearchSpec({
+    query: params.get('q') || '',
+    type: oneOf(params.get('type'), SEARCH_TYPES, DEFAULTS.type),
+    field: oneOf(params.get('field'), SEARCH_FIELDS, DEFAULTS.field),
+    mode: oneOf(params.get('mode'), SEARCH_MODES, DEFAULTS.mode),
+    ignoreDiacritics: params.get('diacritics') !== '0',
+    rangeInputs,
+    filters: normalizeFacetFilters(filters),
+    pageSize: positiveInt(params.get('size'), MAX_PAGE_SIZE, DEFAULTS.pageSize)
+  });
+  if (!spec.query.trim() && !Object.values(rangeInputs).some(Boolean) && !Object.keys(spec.filters).length) return null;
+  return { spec, pages: positiveInt(params.get('page'), MAX_URL_PAGES, 1) };
+}
@@ -0,0 +1,174 @@
+/**
+ * Kayıtlı arama uyarıları (Admin SDK)
+ *
+ * İşlenmesi tamamlanan her doküman bir kez tüm kullanıcıların kayıtlı aramalarıyla karşılaştırılır;
+ * uyan her arama için bildirim yazılır:
+ *  - users/{userId}/notifications/{savedSearchId}_{docId}
+ *      → { type, savedSearchId, savedSearchName, docId, fileName, matchCount, snippet, read, emailedAt, createdAt }
+ *  - users/{userId} → { alertEmail, emailDigest } e-posta özeti ayarları (bkz. lib/notifications)
+ * Kontrol süresince doküman alertsClaimUntil kilidiyle tutulur; alertsCheckedAt bildirimlerin son
+ * yazma grubuyla birlikte yazılır ve ikinci kontrolü engeller. Kontrol başarısız olursa kilit kaldırılır,
+ * doküman yeniden denenebilir. Arama kaydedilmeden önce işlenmiş dokümanlar için uyarı üretilmez.
+ */
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAdminDb } from './firebaseAdmin';
+import { loadSynonymGroupsOnServer, loadTextContent } from './search';
+import { getMailer } from './mailer';
+import { toMillis } from '../indexTerms';
+import { embedText } from '../embeddings';
+import { isAlertableSpec, matchSavedSearch } from '../searchAlerts';
+import { normalizeSearchSpec } from '../searchSpec';
+
+const MAX_BATCH_WRITES = 450;
+const MAX_DIGEST_ITEMS = 50;
+const CLAIM_MS = 5 * 60 * 1000;
+
+async function commitInChunks(operations) {
+  const db = getAdminDb();
+  for (let i = 0; i < operations.length; i += MAX_BATCH_WRITES) {
+    const batch = db.batch();
+    operations.slice(i, i + MAX_BATCH_WRITES).forEach((op) => op(batch));
+    await batch.commit();
+  }
+}
+
+// Dokümanı kontrol için kilitle; tamamlanmamış, yok, zaten kontrol edilmiş ya da başka bir istek
+// kontrol ediyorsa null
+function claimDocument(docId) {
+  const db = getAdminDb();
+  const ref = db.collection('documents').doc(docId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    const data = snap.data();
+    if (data.processingStatus !== 'completed' || data.alertsCheckedAt) return null;
+    if (data.alertsClaimUntil && data.alertsClaimUntil > Date.now()) return null;
+    tx.update(ref, { alertsClaimUntil: Date.now() + CLAIM_MS });
+    return { id: snap.id, ...data };
+  });
+}
+
+async function releaseClaim(docId) {
+  try {
+    await getAdminDb().collection('documents').doc(docId).update({ alertsClaimUntil: FieldValue.delete() });
+  } catch (error) {
+    console.warn('Alert claim release failed:', docId, error.message);
+  }
+}
+
+// Kilitli dokümanı kayıtlı aramalarla karşılaştırır; bildirimler ve alertsCheckedAt birlikte yazılır
+async function notifyMatches(claimed) {
+  const db = getAdminDb();
+  const doc = { ...claimed, textContent: await loadTextContent(claimed) };
+  const processedAt = toMillis(doc.processedAt || doc.updatedAt || doc.uploadedAt) || Date.now();
+  const [savedSnap, synonymGroups] = await Promise.all([
+    db.collectionGroup('savedSearches').get(),
+    loadSynonymGroupsOnServer().catch(() => [])
+  ]);
+
+  // Parça vektörleri yalnızca anlamsal bir kayıtlı arama gerektirirse ve bir kez hesaplanır
+  let chunks = null;
+  const getChunks = () => (chunks ||= embedText(doc.textContent));
+
+  const operations = [];
+  for (const saved of savedSnap.docs) {
+    const data = saved.data();
+    const spec = normalizeSearchSpec(data.spec);
+    if (!isAlertableSpec(spec) || toMillis(data.createdAt) > processedAt) continue;
+
+    let match;
+    try {
+      match = await matchSavedSearch(doc, spec, { synonymGroups, getChunks });
+    } catch (error) {
+      console.warn('Saved search skipped:', saved.ref.path, error.message);
+      continue;
+    }
+    if (!match) continue;
+
+    const userId = saved.ref.parent.parent.id;
+    const ref = db.collection('users').doc(userId).collection('notifications').doc(`${saved.id}_${doc.id}`);
+    operations.push((batch) => batch.set(ref, {
+      type: 'savedSearchMatch',
+      savedSearchId: saved.id,
+      savedSearchName: data.name || '',
+      docId: doc.id,
+      fileName: doc.fileName || '',
+      matchCount: match.matchCount,
+      snippet: match.snippet,
+      read: false,
+      emailedAt: null,
+      createdAt: FieldValue.serverTimestamp()
+    }));
+  }
+  const notified = operations.length;
+  // Son yazma grubu: bildirimlerin bir kısmı yazılıp gerisi başarısız olursa doküman kontrol
+  // edilmemiş kalır; tekrar denemede aynı bildirim kimlikleri üzerine yazılır
+  operations.push((batch) => batch.update(db.collection('documents').doc(doc.id), {
+    alertsCheckedAt: FieldValue.serverTimestamp(),
+    alertsClaimUntil: FieldValue.delete()
+  }));
+  await commitInChunks(operations);
+  return { checked: true, notified };
+}
+
+/**
+ * Dokümanı kayıtlı aramalarla karşılaştırıp bildirimleri yazar. Tekrar çağrılması güvenlidir.
+ * @returns {Promise<{ checked: boolean, notified: number }>}
+ */
+export async function checkDocumentAlerts(docId) {
+  if (!docId) throw new Error('Kontrol edilecek doküman ID içermiyor');
+  const claimed = await claimDocument(docId);
+  if (!claimed) return { checked: false, notified: 0 };
+  try {
+    return await notifyMatches(claimed);
+  } catch (error) {
+    await releaseClaim(docId);
+    throw error;
+  }
+}
+
+function digestText(notifications) {
+  const lines = notifications.map(({ savedSearchName, fileName, snippet }) => (
+    `• ${savedSearchName}: ${fileName}${snippet ? `\n  ${snippet.replace(/\s+/g, ' ')}` : ''}`
+  ));
+  return `Kayıtlı aramalarınıza uyan ${notifications.length} yeni doküman var:\n\n${lines.join('\n\n')}\n`;
+}
+
+/**
+ * E-posta özeti açık kullanıcılara gönderilmemiş bildirimlerini tek e-postada yollar.
+ * @param {object} [options]
+ * @param {object} [options.mailer] varsayılan: getMailer()
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+export async function sendNotificationDigests({ mailer = getMailer() } = {}) {
+  const db = getAdminDb();
+  const users = await db.collection('users').where('emailDigest', '==', true).get();
+  let sent = 0;
+  let failed = 0;
+
+  for (const user of users.docs) {
+    const { alertEmail } = user.data();
+    if (!alertEmail) continue;
+    const pending = await user.ref.collection('notifications')
+      .where('emailedAt', '==', null)
+      .orderBy('createdAt', 'desc')
+      .limit(MAX_DIGEST_ITEMS)
+      .get();
+    if (pending.empty) continue;
+
+    try {
+      const notifications = pending.docs.map((d) => d.data());
+      await mailer.send({
+        to: alertEmail,
+        subject: `Kayıtlı aramalarınız: ${notifications.length} yeni doküman`,
+        text: digestText(notifications)
+      });
+      await commitInChunks(pending.docs.map((d) => (batch) => batch.update(d.ref, { emailedAt: FieldValue.serverTimestamp() })));
+      sent += 1;
+    } catch (error) {
+      console.error('Notification digest failed:', user.id, error);
+      failed += 1;
+    }
+  }
+  return { sent, failed };
+}
@@ -0,0 +1,23 @@
+/**
+ * İşlemesi tamamlanan dokümanın sunucu tarafı son adımları (Admin SDK)
+ *
+ * Metni çıkaran işleme fonksiyonu processingStatus'u 'completed' yaptıktan sonra
+ * POST /api/documents/processed ile burayı çağırır. Adımlar tekrar çağrılmaya dayanıklıdır;
+ * kaçan dokümanların indeksi ve vektörleri geri doldurmada, uyarıları /api/alerts/check ile tamamlanır.
+ */
+import { checkDocumentAlerts } from './alerts';
+import { embedDocumentOnServer } from './embeddingIndex';
+import { indexDocumentOnServer } from './searchIndex';
+
+/**
+ * Arama indeksini ve anlamsal arama vektörlerini yazar, ardından dokümanı kayıtlı aramalarla
+ * karşılaştırıp bildirimleri üretir.
+ * @returns {Promise<{ indexed: boolean, embedded: boolean, notified: number }>}
+ */
+export async function processCompletedDocument(docId) {
+  if (!docId) throw new Error('İşlenecek doküman ID içermiyor');
+  const { indexed } = await indexDocumentOnServer(docId);
+  const { embedded } = await embedDocumentOnServer(docId);
+  const { notified } = await checkDocumentAlerts(docId);
+  return { indexed, embedded, notified };
+}
@@ -0,0 +1,167 @@
+/**
+ * Anlamsal arama parça vektörlerinin yazımı (Admin SDK)
+ *
+ * Firestore yerleşimi:
+ *  - documentEmbeddings/{docId}                       → { docId, providerId, dimensions, version, format,
+ *                                                        chunkCount, centroid, indexedAt, leaseUntil }
+ *  - documentEmbeddings/{docId}/embeddingChunks/{i}   → { docId, providerId, index, start, end, vector }
+ *
+ * `start`/`end` parçanın textContent içindeki konumudur. `centroid` parçaların ortalamasıdır; sorgu
+ * önce özetlerle karşılaştırılır, yalnızca en yakın dokümanların parçaları okunur (bkz. server/search).
+ * Vektörler sağlayıcı kimliğiyle saklanır; sağlayıcı değiştiğinde eski vektörler sorgularda
+ * kullanılmaz ve doküman yeniden vektörlenir.
+ *
+ * Vektörler yalnızca burada yazılır (bkz. server/documentProcessing, geri doldurma); aynı dokümanın
+ * eşzamanlı vektörlenmesini ve silinmesini documentEmbeddings/{docId}.leaseUntil kilidi engeller.
+ */
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAdminDb } from './firebaseAdmin';
+import { loadTextContent } from './search';
+import { centroidVector, embedText, getEmbeddingProvider } from '../embeddings';
+import { textVersion } from '../indexTerms';
+
+export const EMBEDDING_RECORD_FORMAT = 2;  // 2: kayıtta centroid var
+const LEASE_MS = 5 * 60 * 1000;
+const MAX_BATCH_WRITES = 450;
+const VECTOR_PRECISION = 1e4;     // 4 ondalık basamak yeterli, doküman boyutunu küçültür
+
+const roundVector = (vector) => vector.map((value) => Math.round(value * VECTOR_PRECISION) / VECTOR_PRECISION);
+
+function recordRef(docId) {
+  return getAdminDb().collection('documentEmbeddings').doc(docId);
+}
+
+async function commitInChunks(operations) {
+  const db = getAdminDb();
+  for (let i = 0; i < operations.length; i += MAX_BATCH_WRITES) {
+    const batch = db.batch();
+    operations.slice(i, i + MAX_BATCH_WRITES).forEach((op) => op(batch));
+    await batch.commit();
+  }
+}
+
+/** Doküman güncel sağlayıcıyla ve metninin şimdiki sürümüyle vektörlenmiş mi? */
+export function isDocumentEmbedded(docData) {
+  return Boolean(docData?.embeddingsIndexedAt)
+    && docData.embeddingProviderId === getEmbeddingProvider().id
+    && (docData.embeddingFormat || 1) >= EMBEDDING_RECORD_FORMAT
+    && docData.embeddingTextVersion === textVersion(docData);
+}
+
+// Kaydı kilitler; `accept(docSnap)` false dönerse ya da başka bir işlem kilitliyse null
+function acquireLease(docId, accept) {
+  const db = getAdminDb();
+  return db.runTransaction(async (tx) => {
+    const [docSnap, recordSnap] = await Promise.all([tx.get(db.collection('documents').doc(docId)), tx.get(recordRef(docId))]);
+    if (!accept(docSnap)) return null;
+    const record = recordSnap.exists ? recordSnap.data() : null;
+    if (record?.leaseUntil && record.leaseUntil > Date.now()) return null;
+    tx.set(recordRef(docId), { docId, leaseUntil: Date.now() + LEASE_MS }, { merge: true });
+    return { doc: docSnap.exists ? { id: docSnap.id, ...docSnap.data() } : null, chunkCount: record?.chunkCount || 0 };
+  });
+}
+
+async function releaseLease(docId) {
+  try {
+    await recordRef(docId).update({ leaseUntil: FieldValue.delete() });
+  } catch (error) {
+    console.warn('Embedding lease release failed:', docId, error.message);
+  }
+}
+
+/**
+ * İşlemesi tamamlanan dokümanın metnini parçalayıp vektörlerini yazar; güncel sağlayıcı ve metin
+ * sürümüyle vektörlenmişse (force yoksa) atlar. Önceki kayıttan artan parçalar silinir.
+ * @returns {Promise<{ embedded: boolean, chunkCount: number }>}
+ */
+export async function embedDocumentOnServer(docId, { force = false } = {}) {
+  if (!docId) throw new Error('Vektörlenecek doküman ID içermiyor');
+  const lease = await acquireLease(docId, (docSnap) => (
+    docSnap.exists && docSnap.data().processingStatus === 'completed' && (force || !isDocumentEmbedded(docSnap.data()))
+  ));
+  if (!lease) return { embedded: false, chunkCount: 0 };
+
+  try {
+    const provider = getEmbeddingProvider();
+    const chunks = await embedText(await loadTextContent(lease.doc), provider);
+    const db = getAdminDb();
+    const chunkRef = (index) => recordRef(docId).collection('embeddingChunks').doc(String(index));
+    await commitInChunks([
+      ...chunks.map((chunk, index) => (batch) => batch.set(chunkRef(index), {
+        docId,
+        providerId: provider.id,
+        index,
+        start: chunk.start,
+        end: chunk.end,
+        vector: roundVector(chunk.vector)
+      })),
+      ...Array.from({ length: Math.max(0, lease.chunkCount - chunks.length) }, (_, k) => (batch) => (
+        batch.delete(chunkRef(chunks.length + k))
+      ))
+    ]);
+    const batch = db.batch();
+    batch.set(recordRef(docId), {
+      docId,
+      providerId: provider.id,
+      dimensions: provider.dimensions,
+      version: textVersion(lease.doc),
+      format: EMBEDDING_RECORD_FORMAT,
+      chunkCount: chunks.length,
+      centroid: roundVector(centroidVector(chunks.map((chunk) => chunk.vector))),
+      indexedAt: FieldValue.serverTimestamp()
+    });
+    batch.update(db.collection('documents').doc(docId), {
+      embeddingsIndexedAt: FieldValue.serverTimestamp(),
+      embeddingProviderId: provider.id,
+      embeddingFormat: EMBEDDING_RECORD_FORMAT,
+      embeddingTextVersion: textVersion(lease.doc)
+    });
+    await batch.commit();
+    return { embedded: true, chunkCount: chunks.length };
+  } catch (error) {
+    await releaseLease(docId);
+    await removeIfDeleted(docId);
+    throw error;
+  }
+}
+
+// Kaydın parçalarını ve kendisini siler
+async function removeEmbeddingEntries(docId) {
+  const chunks = await recordRef(docId).collection('embeddingChunks').listDocuments();
+  await commitInChunks([
+    ...chunks.map((ref) => (batch) => batch.delete(ref)),
+    (batch) => batch.delete(recordRef(docId))
+  ]);
+  return { removed: chunks.length };
+}
+
+// Vektörleme yarıda kaldıysa ve doküman bu sırada silindiyse yazılan parçaları temizler
+async function removeIfDeleted(docId) {
+  try {
+    if (!(await getAdminDb().collection('documents').doc(docId).get()).exists) await removeEmbeddingEntries(docId);
+  } catch (error) {
+    console.warn('Embedding clean-up failed:', docId, error.message);
+  }
+}
+
+/**
+ * Silinen dokümanın vektörlerini kaldırır. Doküman hâlâ varsa `deleted: false` döner; o anda
+ * vektörleniyorsa parçaları vektörleme kendisi temizler.
+ * @returns {Promise<{ deleted: boolean, removed: number }>}
+ */
+export async function removeDocumentEmbeddingsOnServer(docId) {
+  if (!docId) throw new Error('Vektörleri silinecek doküman ID içermiyor');
+  let deleted = false;
+  const lease = await acquireLease(docId, (docSnap) => {
+    deleted = !docSnap.exists;
+    return deleted;
+  });
+  if (!lease) return { deleted, removed: 0 };
+  try {
+    const { removed } = await removeEmbeddingEntries(docId);
+    return { deleted: true, removed };
+  } catch (error) {
+    await releaseLease(docId);
+    throw error;
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Firebase Admin SDK (yalnızca sunucu: route handler'lar)
+ *
+ * Kimlik bilgisi FIREBASE_SERVICE_ACCOUNT_KEY (servis hesabı JSON'u) ortam değişkeninden,
+ * yoksa uygulama varsayılan kimlik bilgilerinden (GOOGLE_APPLICATION_CREDENTIALS) alınır.
+ * Proje ve bucket istemci yapılandırmasıyla aynı NEXT_PUBLIC_FIREBASE_* değişkenlerinden gelir.
+ */
+import { applicationDefault, cert, getApps, initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+
+function credential() {
+  const key = process.env.FIREBASE_SERVICE_ACCOUNT_KEY;
+  if (!key) return applicationDefault();
+  try {
+    return cert(JSON.parse(key));
+  } catch (error) {
+    throw new Error(`FIREBASE_SERVICE_ACCOUNT_KEY okunamadı: ${error.message}`);
+  }
+}
+
+// İlk kullanımda başlatılır (derleme sırasında kimlik bilgisi gerekmez)
+function getAdminApp() {
+  return getApps()[0] || initializeApp({
+    credential: credential(),
+    projectId: process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID,
+    storageBucket: process.env.NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET
+  });
+}
+
+export function getAdminDb() {
+  return getFirestore(getAdminApp());
+}
+
+export function getAdminBucket() {
+  return getStorage(getAdminApp()).bucket();
+}
+
+export function getAdminAuth() {
+  return getAuth(getAdminApp());
+}
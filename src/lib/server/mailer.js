@@ -0,0 +1,59 @@
+/**
+ * E-posta gönderimi (yalnızca sunucu), takılabilir
+ *
+ * Mailer arayüzü: { id, send({ to, subject, text }) → Promise }
+ * MAILER ortam değişkeni seçer:
+ *  - 'console' (varsayılan): e-postalar sunucu günlüğüne yazılır
+ *  - 'smtp': SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS ile gönderilir
+ * Gönderen adresi MAIL_FROM. Yerel deneme için `npm run smtp:local` ile yerel SMTP
+ * (scripts/local-smtp.mjs, localhost:1025) başlatılıp MAILER=smtp kullanılabilir.
+ */
+import nodemailer from 'nodemailer';
+
+const DEFAULT_FROM = 'Akıllı Doküman <no-reply@localhost>';
+
+let mailer = null;
+
+export function createConsoleMailer() {
+  return {
+    id: 'console',
+    async send({ to, subject, text }) {
+      console.info(`[mail] ${to} — ${subject}\n${text}`);
+      return { accepted: [to] };
+    }
+  };
+}
+
+export function createSmtpMailer({
+  host = process.env.SMTP_HOST || 'localhost',
+  port = Number(process.env.SMTP_PORT) || 1025,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  from = process.env.MAIL_FROM || DEFAULT_FROM
+} = {}) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user ? { auth: { user, pass } } : {})
+  });
+  return {
+    id: 'smtp',
+    async send({ to, subject, text }) {
+      const info = await transport.sendMail({ from, to, subject, text });
+      return { accepted: info.accepted };
+    }
+  };
+}
+
+/** Varsayılan mailer'ı değiştirir (ör. başka bir e-posta servisi için) */
+export function setMailer(next) {
+  if (!next || typeof next.send !== 'function') throw new Error('Mailer send({ to, subject, text }) fonksiyonu içermeli');
+  mailer = next;
+}
+
+export function getMailer() {
+  if (!mailer) mailer = process.env.MAILER === 'smtp' ? createSmtpMailer() : createConsoleMailer();
+  return mailer;
+}
@@ -0,0 +1,34 @@
+/**
+ * Kullanıcı başına istek sınırı (sabit pencere, süreç belleğinde)
+ *
+ * Her sunucu örneği kendi sayacını tutar; birden çok örnekte sınır örnek sayısıyla çarpılır. Amaç
+ * paylaşılan bir kota değil, tek bir belirteçle uç noktaların döngüye sokulmasını frenlemektir.
+ */
+
+const MAX_TRACKED_KEYS = 10000;
+
+/**
+ * @param {{ limit: number, windowMs: number }} options pencere başına izin verilen istek sayısı
+ * @returns {(key: string, now?: number) => number} istek sınırdaysa 0, aşıldıysa yeniden denemeye kalan saniye
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map(); // key → { start, count }
+
+  // süresi dolan pencereleri bırakır; bellek anahtar sayısıyla sınırlı kalsın
+  const prune = (now) => {
+    for (const [key, entry] of windows) {
+      if (now - entry.start >= windowMs) windows.delete(key);
+    }
+  };
+
+  return (key, now = Date.now()) => {
+    let entry = windows.get(key);
+    if (!entry || now - entry.start >= windowMs) {
+      if (windows.size >= MAX_TRACKED_KEYS) prune(now);
+      entry = { start: now, count: 0 };
+      windows.set(key, entry);
+    }
+    entry.count += 1;
+    return entry.count <= limit ? 0 : Math.ceil((entry.start + windowMs - now) / 1000);
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Route handler'lar için istek doğrulama
+ *  - sunucudan sunucuya çağrılar (cron, işleme kancası): paylaşılan sır
+ *  - tarayıcıdan çağrılar: Firebase Authentication kimlik belirteci
+ *
+ * Tarayıcı anonim oturum açtığından (bkz. lib/auth) geçerli belirteç kimlik kanıtı değildir: uygulamayı
+ * açabilen herkes belirteç alabilir. userAuthError bu yüzden yalnızca istemcinin uygulama üzerinden
+ * geldiğini gösterir; pahalı ya da tam metin döndüren uç noktalar ayrıca istek sınırı uygular.
+ * Üretimde dışa açık kurulumlarda App Check ya da anonim olmayan bir sağlayıcı eklenmelidir.
+ */
+import { NextResponse } from 'next/server';
+import { getAdminAuth } from './firebaseAdmin';
+
+/**
+ * Zamanlanmış görev / işleme kancası gibi sunucudan sunucuya çağrılar için paylaşılan sır kontrolü.
+ * Ortam değişkeni tanımlıysa `Authorization: Bearer <secret>` gerekir; üretimde tanımlı olmalıdır.
+ * @returns {NextResponse|null} hata yanıtı ya da istek geçerliyse null
+ */
+export function sharedSecretError(request, envName) {
+  const secret = process.env[envName];
+  if (!secret && process.env.NODE_ENV === 'production') {
+    return NextResponse.json({ error: `${envName} tanımlı değil` }, { status: 503 });
+  }
+  if (secret && request.headers.get('authorization') !== `Bearer ${secret}`) {
+    return NextResponse.json({ error: 'Yetkisiz' }, { status: 401 });
+  }
+  return null;
+}
+
+// `Authorization: Bearer <idToken>` başlığındaki belirteci doğrular; geçersizse hata yanıtı döner
+async function verifyRequestToken(request) {
+  const match = /^Bearer (.+)$/.exec(request.headers.get('authorization') || '');
+  if (!match) return { error: NextResponse.json({ error: 'Oturum gerekli' }, { status: 401 }) };
+  try {
+    return { token: await getAdminAuth().verifyIdToken(match[1]) };
+  } catch {
+    return { error: NextResponse.json({ error: 'Oturum geçersiz ya da süresi dolmuş' }, { status: 401 }) };
+  }
+}
+
+/**
+ * Tarayıcıdan gelen çağrılar için Firebase kimlik belirteci kontrolü (`Authorization: Bearer <idToken>`,
+ * bkz. lib/auth). Anonim oturum belirteçleri de kabul edilir. Uygulamada doküman bazında yetki yok;
+ * oturumu olan her kullanıcı tüm dokümanları görür. `rateLimit` verilirse (bkz. rateLimit) istekler
+ * kullanıcı kimliğine göre sayılır, sınır aşılınca 429 döner.
+ * @param {{ rateLimit?: ReturnType<typeof import('./rateLimit').createRateLimiter> }} [options]
+ * @returns {Promise<NextResponse|null>} hata yanıtı ya da istek geçerliyse null
+ */
+export async function userAuthError(request, { rateLimit } = {}) {
+  const { token, error } = await verifyRequestToken(request);
+  if (error) return error;
+  const retryAfter = rateLimit ? rateLimit(token.uid) : 0;
+  if (retryAfter > 0) {
+    return NextResponse.json(
+      { error: `Çok fazla istek; ${retryAfter} saniye sonra yeniden deneyin` },
+      { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+    );
+  }
+  return null;
+}
+
+/**
+ * Yönetim ekranları için kontrol: belirteçte `admin: true` özel talebi (custom claim) olmalı. Talep
+ * Admin SDK ile verilir (`getAuth().setCustomUserClaims(uid, { admin: true })`); tarayıcıdaki belirteç
+ * yenilenince (en geç bir saat) geçerli olur. Firestore kurallarındaki isAdmin() ile aynı koşul.
+ * @returns {Promise<NextResponse|null>} hata yanıtı ya da istek geçerliyse null
+ */
+export async function adminAuthError(request) {
+  const { token, error } = await verifyRequestToken(request);
+  if (error) return error;
+  if (token.admin !== true) return NextResponse.json({ error: 'Yönetici yetkisi gerekli' }, { status: 403 });
+  return null;
+}
@@ -0,0 +1,334 @@
+/**
+ * Sunucu tarafı arama (Admin SDK)
+ *
+ * searchPipeline'ın sunucu uyarlaması: indeks, dokümanlar ve metinler Admin SDK ile okunur,
+ * eşleştirme/sıralama doğrudan searchEngine ile yapılır. İstemciye yalnızca istenen sayfanın
+ * vurgulanmış sonuçları gider, tam metin değil (bkz. app/api/search/route.js, text/route.js).
+ */
+import vm from 'node:vm';
+import { FieldPath } from 'firebase-admin/firestore';
+import { getAdminBucket, getAdminDb } from './firebaseAdmin';
+import {
+  IN_QUERY_CHUNK,
+  MAX_VOCABULARY_LOOKUP,
+  POSTINGS_PAGE_SIZE,
+  STEM_TERM_PREFIX,
+  SEARCH_INDEX_VERSION,
+  lookupDocumentIdsWith,
+  lookupTerms,
+  textVersion,
+  toMillis
+} from '../indexTerms';
+import { preselectEmbeddedDocuments } from '../embeddings';
+import { regexTimeoutError, regexWatchdogMs } from '../regexGuard';
+import { enrichResult, rankCandidates } from '../searchEngine';
+import { createSearchPipeline } from '../searchPipeline';
+import { createSearchSuggestions } from '../searchSuggestions';
+
+export const MAX_QUERY_LENGTH = 1000;
+const SYNONYM_CACHE_TTL_MS = 5 * 60 * 1000;
+const EMBEDDING_RECORD_CACHE_TTL_MS = 5 * 60 * 1000;
+const EMBEDDING_RECORD_PAGE_SIZE = 500;
+const MAX_CACHED_TEXTS = 500;
+const MAX_CACHED_CHUNK_DOCUMENTS = 500;
+
+let synonymCache = null;
+let embeddingRecordCache = null;
+const chunkCache = new Map(); // doküman ID → { indexedAt, chunks } (eklenme sırasıyla, LRU)
+const textCache = new Map(); // doküman ID → { version, text } (eklenme sırasıyla, LRU)
+
+function postingsQuery({ prefix, term }, field = 'all') {
+  let q = getAdminDb().collectionGroup('termPostings');
+  q = term !== undefined
+    ? q.where('term', '==', term)
+    : q.where('term', '>=', prefix).where('term', '<=', `${prefix}\uf8ff`);
+  return field !== 'all' ? q.where('fields', 'array-contains', field) : q;
+}
+
+// Sorgunun tüm sonuçlarını sayfa sayfa okur
+async function readAllPages(baseQuery, collect) {
+  let last = null;
+  for (;;) {
+    const snap = await (last ? baseQuery.startAfter(last) : baseQuery).limit(POSTINGS_PAGE_SIZE).get();
+    snap.docs.forEach(collect);
+    if (snap.size < POSTINGS_PAGE_SIZE) return;
+    last = snap.docs[snap.size - 1];
+  }
+}
+
+const termsWithGramQuery = (gram) => getAdminDb().collection('searchTerms').where('grams', 'array-contains', gram);
+
+// lookupDocumentIdsWith için Admin SDK okuyucusu (bkz. indexTerms)
+const indexReader = {
+  async postingDocIds(spec, field) {
+    const ids = new Set();
+    if (!spec.terms) {
+      await readAllPages(postingsQuery(spec, field).select('docId'), (d) => ids.add(d.get('docId')));
+      return ids;
+    }
+    for (let i = 0; i < spec.terms.length; i += IN_QUERY_CHUNK) {
+      const chunk = spec.terms.slice(i, i + IN_QUERY_CHUNK);
+      const q = getAdminDb().collectionGroup('termPostings').where('term', 'in', chunk).select('docId', 'fields');
+      await readAllPages(q, (d) => {
+        if (field === 'all' || d.get('fields')?.includes(field)) ids.add(d.get('docId'));
+      });
+    }
+    return ids;
+  },
+
+  async countTermsWithGram(gram) {
+    return (await termsWithGramQuery(gram).count().get()).data().count;
+  },
+
+  async termsWithGram(gram) {
+    const terms = [];
+    await readAllPages(termsWithGramQuery(gram).select('term'), (d) => terms.push(d.get('term')));
+    return terms;
+  }
+};
+
+// Sağlayıcının doküman kayıtları (özetler); sayfa sayfa okunur, sunucu belleğinde kısa süre tutulur
+async function loadEmbeddingRecords(providerId) {
+  if (embeddingRecordCache?.providerId === providerId && Date.now() - embeddingRecordCache.at < EMBEDDING_RECORD_CACHE_TTL_MS) {
+    return embeddingRecordCache.records;
+  }
+  const records = [];
+  const baseQuery = getAdminDb().collection('documentEmbeddings')
+    .where('providerId', '==', providerId)
+    .orderBy(FieldPath.documentId())
+    .select('docId', 'centroid', 'indexedAt');
+  let last = null;
+  for (;;) {
+    const snap = await (last ? baseQuery.startAfter(last) : baseQuery).limit(EMBEDDING_RECORD_PAGE_SIZE).get();
+    snap.docs.forEach((d) => records.push({ docId: d.get('docId'), centroid: d.get('centroid'), indexedAt: toMillis(d.get('indexedAt')) }));
+    if (snap.size < EMBEDDING_RECORD_PAGE_SIZE) break;
+    last = snap.docs[snap.size - 1];
+  }
+  embeddingRecordCache = { providerId, at: Date.now(), records };
+  return records;
+}
+
+// Dokümanın parça vektörleri; kayıt yeniden yazılana (indexedAt değişene) kadar bellekte
+async function loadDocumentChunks({ docId, indexedAt }, providerId) {
+  const cached = chunkCache.get(docId);
+  if (cached?.indexedAt === indexedAt) {
+    chunkCache.delete(docId);
+    chunkCache.set(docId, cached);
+    return cached.chunks;
+  }
+  const snap = await getAdminDb().collection('documentEmbeddings').doc(docId).collection('embeddingChunks')
+    .where('providerId', '==', providerId)
+    .get();
+  const chunks = snap.docs.map((d) => {
+    const { start, end, vector } = d.data();
+    return { docId, start, end, vector };
+  });
+  chunkCache.set(docId, { indexedAt, chunks });
+  if (chunkCache.size > MAX_CACHED_CHUNK_DOCUMENTS) chunkCache.delete(chunkCache.keys().next().value);
+  return chunks;
+}
+
+const store = {
+  async isSearchIndexReady() {
+    try {
+      const status = await getAdminDb().collection('searchIndexMeta').doc('status').get();
+      return status.exists && status.data().ready === true && status.data().version === SEARCH_INDEX_VERSION;
+    } catch {
+      return false;
+    }
+  },
+
+  lookupDocumentIds(searchQuery, options = {}) {
+    return lookupDocumentIdsWith(indexReader, searchQuery, options);
+  },
+
+  async lookupVocabulary(prefix, { max = MAX_VOCABULARY_LOOKUP } = {}) {
+    const [token] = lookupTerms(prefix, false);
+    if (!token || token.startsWith(STEM_TERM_PREFIX)) return [];
+    const snap = await getAdminDb().collection('searchTerms')
+      .where('term', '>=', token)
+      .where('term', '<=', `${token}\uf8ff`)
+      .orderBy('term')
+      .limit(Math.min(max, MAX_VOCABULARY_LOOKUP))
+      .select('term', 'display', 'df')
+      .get();
+    return snap.docs
+      .map((d) => ({ term: d.get('term'), display: d.get('display') || d.get('term'), df: d.get('df') || 0 }))
+      .filter((entry) => entry.df > 0)
+      .sort((a, b) => b.df - a.df || a.term.localeCompare(b.term));
+  },
+
+  async fetchDocumentsByIds(ids = []) {
+    const docs = [];
+    for (let i = 0; i < ids.length; i += IN_QUERY_CHUNK) {
+      const chunk = ids.slice(i, i + IN_QUERY_CHUNK);
+      const snap = await getAdminDb().collection('documents').where(FieldPath.documentId(), 'in', chunk).get();
+      snap.docs.forEach((d) => docs.push({ id: d.id, ...d.data() }));
+    }
+    return docs.sort((a, b) => toMillis(b.uploadedAt) - toMillis(a.uploadedAt));
+  },
+
+  async fetchAllDocuments() {
+    const snap = await getAdminDb().collection('documents').orderBy('uploadedAt', 'desc').get();
+    return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  },
+
+  async getIndexedDocumentCount() {
+    const snap = await getAdminDb().collection('searchIndexDocs').count().get();
+    return snap.data().count;
+  },
+
+  async estimateDocumentFrequency(searchQuery, { field = 'all', stem = false } = {}) {
+    const tokens = lookupTerms(searchQuery, stem);
+    if (!tokens.length) return 0;
+    const counts = await Promise.all(
+      tokens.map(async (token) => (await postingsQuery(stem ? { term: token } : { prefix: token }, field).count().get()).data().count)
+    );
+    return Math.min(...counts);
+  },
+
+  async loadSynonymGroups() {
+    if (synonymCache && Date.now() - synonymCache.at < SYNONYM_CACHE_TTL_MS) return synonymCache.groups;
+    const snap = await getAdminDb().collection('searchSynonyms').get();
+    const groups = snap.docs.map((d) => ({ id: d.id, terms: d.data().terms || [] }));
+    synonymCache = { at: Date.now(), groups };
+    return groups;
+  },
+
+  // Özeti sorguya en yakın dokümanların parça vektörleri (bkz. embeddingIndex)
+  async loadChunkEmbeddings(providerId, queryVector) {
+    const records = await loadEmbeddingRecords(providerId);
+    const selected = new Set(preselectEmbeddedDocuments(records, queryVector));
+    const chunks = await Promise.all(
+      records.filter((record) => selected.has(record.docId)).map((record) => loadDocumentChunks(record, providerId))
+    );
+    return chunks.flat();
+  },
+
+  loadTextContent
+};
+
+/** Metni Storage'tan indir; sunucu belleğinde doküman sürümüyle saklanır */
+export async function loadTextContent(docData) {
+  if (docData.textContent || !docData.textContentStoragePath) return docData.textContent || '';
+  const version = textVersion(docData);
+  const cached = textCache.get(docData.id);
+  if (cached?.version === version) {
+    textCache.delete(docData.id);
+    textCache.set(docData.id, cached);
+    return cached.text;
+  }
+  try {
+    const [buffer] = await getAdminBucket().file(docData.textContentStoragePath).download();
+    const text = buffer.toString('utf8');
+    textCache.delete(docData.id);
+    textCache.set(docData.id, { version, text });
+    if (textCache.size > MAX_CACHED_TEXTS) textCache.delete(textCache.keys().next().value);
+    return text;
+  } catch (error) {
+    console.warn('Text download failed:', docData.id, error);
+    return '';
+  }
+}
+
+// regex sıralaması bu bağlamda süre sınırıyla çalışır: tek bir exec'te takılan desen de kesilir
+const regexContext = vm.createContext({});
+
+function runWithTimeLimit(job, timeLimitMs) {
+  regexContext.job = job;
+  try {
+    return vm.runInContext('job()', regexContext, { timeout: timeLimitMs });
+  } catch (error) {
+    if (error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw regexTimeoutError();
+    throw error;
+  } finally {
+    delete regexContext.job;
+  }
+}
+
+async function rank({ docs, ...params }) {
+  await Promise.all(docs.map(async (doc) => {
+    doc.textContent = await loadTextContent(doc);
+  }));
+  const byId = new Map(docs.map((doc) => [doc.id, doc]));
+  // süre metinler yüklendikten sonra başlar
+  const job = () => rankCandidates({ ...params, docs });
+  const ranked = params.searchType === 'regex' ? runWithTimeLimit(job, regexWatchdogMs(docs.length)) : job();
+  return ranked.map(({ id, ...entry }) => ({ doc: byId.get(id), ...entry }));
+}
+
+async function enrich(entries) {
+  await Promise.all(entries.map(async ({ doc }) => {
+    if (doc.textContent === undefined) doc.textContent = await loadTextContent(doc);
+  }));
+  return entries.map(enrichResult);
+}
+
+const pipeline = createSearchPipeline({ store, rank, enrich });
+const suggestions = createSearchSuggestions({ store, pipeline });
+
+/** İstek gövdesinden advancedSearch parametreleri (bkz. app/api/search/route.js) */
+export function advancedSearchParams(body) {
+  const source = body || {};
+  return {
+    query: typeof source.query === 'string' ? source.query : '',
+    fileType: source.fileType || '',
+    author: source.author || '',
+    type: source.type || 'contains',
+    field: source.field || 'all',
+    ignoreDiacritics: Boolean(source.ignoreDiacritics),
+    mode: source.mode || 'lexical',
+    ranges: source.ranges,
+    filters: source.filters,
+    pageSize: source.pageSize,
+    cursor: source.cursor || null,
+    reuse: Boolean(source.reuse),
+    explain: Boolean(source.explain)
+  };
+}
+
+/** advancedSearch ile aynı parametreler ve sonuç biçimi (bkz. searchPipeline) */
+export function advancedSearchOnServer(params = {}) {
+  return pipeline.advancedSearch(params);
+}
+
+/** Aramadaki tek sonucun puan dökümü; doküman sonuçlarda yoksa null (bkz. searchPipeline.explainAdvancedResult) */
+export function explainResultOnServer(params, docId) {
+  return pipeline.explainAdvancedResult(params, docId);
+}
+
+/** Dokümanın tam metni; doküman yoksa null */
+export async function loadDocumentTextOnServer(docId) {
+  const [doc] = await store.fetchDocumentsByIds([docId]);
+  return doc ? loadTextContent(doc) : null;
+}
+
+/** Son kelimeyi indeks sözlüğünden tamamlar (bkz. searchSuggestions) */
+export function getSearchSuggestionsOnServer(partial) {
+  return suggestions.getSearchSuggestions(partial);
+}
+
+/** "Bunu mu demek istediniz" önerisi; yoksa null (bkz. searchSuggestions) */
+export function getSpellingSuggestionOnServer(searchQuery) {
+  return suggestions.getSpellingSuggestion(searchQuery);
+}
+
+/** Eş anlamlı sözlüğü (kısa süre önbellekli) */
+export function loadSynonymGroupsOnServer() {
+  return store.loadSynonymGroups();
+}
+
+/** Benzer dokümanlar; doküman yoksa null (bkz. searchPipeline.findSimilarDocuments) */
+export function findSimilarDocumentsOnServer(docId, options = {}) {
+  return pipeline.findSimilarDocuments(docId, options);
+}
+
+// Firestore Timestamp → ISO metin (JSON'da { _seconds, _nanoseconds } olarak kaybolmasın)
+function serializeValue(value) {
+  return value && typeof value.toDate === 'function' ? value.toDate().toISOString() : value;
+}
+
+/** Sonucu JSON yanıtına hazırlar: zaman damgaları ISO metne çevrilir */
+export function serializeResult(result) {
+  return Object.fromEntries(Object.entries(result).map(([key, value]) => [key, serializeValue(value)]));
+}
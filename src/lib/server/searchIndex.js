@@ -0,0 +1,268 @@
+/**
+ * Arama indeksinin yazımı (Admin SDK)
+ *
+ * İndeks yalnızca burada, dokümanın her metin sürümü için bir kez yazılır (bkz. server/documentProcessing);
+ * aramalar da sunucuda okur (bkz. server/search). Silinen dokümanın kayıtları da burada
+ * kaldırılır (bkz. app/api/documents/removed). Aynı doküman üzerinde eşzamanlı indeksleme ve
+ * silmeyi searchIndexDocs/{docId}.leaseUntil kilidi engeller.
+ *
+ * searchTerms.df sayımı tekrar denemeye dayanıklıdır: df artışı/azalışı ile dokümanın sayılmış
+ * terimleri (searchIndexDocs.terms) aynı yazma grubunda güncellenir; yarıda kesilen bir indeksleme
+ * yeniden çalıştığında aynı terimi ikinci kez saymaz.
+ */
+import { FieldPath, FieldValue } from 'firebase-admin/firestore';
+import { embedDocumentOnServer } from './embeddingIndex';
+import { getAdminDb } from './firebaseAdmin';
+import { loadTextContent } from './search';
+import {
+  DF_COUNTED_SINCE_VERSION,
+  SEARCH_INDEX_VERSION,
+  buildIndexEntries,
+  isDocumentIndexed,
+  termGrams,
+  textVersion
+} from '../indexTerms';
+
+const LEASE_MS = 5 * 60 * 1000;
+const TERMS_PER_BATCH = 200;      // terim başına 2 yazma + kayıt güncellemesi; writeBatch sınırı 500
+
+function postingRef(term, docId) {
+  return getAdminDb().collection('searchTerms').doc(term).collection('termPostings').doc(docId);
+}
+
+function termRef(term) {
+  return getAdminDb().collection('searchTerms').doc(term);
+}
+
+// Kayıttaki `terms` df'e sayılmış mı? Sunucu kayıtları termsCounted taşır; DF_COUNTED_SINCE_VERSION
+// öncesi kayıtların terimleri sayılmamıştır (yeniden indekslenirken legacyTerms'e taşınır)
+function termsCounted(record) {
+  return record.termsCounted === true || Array.isArray(record.legacyTerms) || (record.indexVersion || 0) >= DF_COUNTED_SINCE_VERSION;
+}
+
+/**
+ * Dokümanı indeksleme için kilitler; tamamlanmamış, yok, güncel ya da başka bir işlemce
+ * indeksleniyorsa null. Eski sürümün (df'e sayılmamış) terimleri legacyTerms'e taşınır.
+ */
+function acquireLease(docId, { force }) {
+  const db = getAdminDb();
+  const docRef = db.collection('documents').doc(docId);
+  const recordRef = db.collection('searchIndexDocs').doc(docId);
+  return db.runTransaction(async (tx) => {
+    const [docSnap, recordSnap] = await Promise.all([tx.get(docRef), tx.get(recordRef)]);
+    if (!docSnap.exists) return null;
+    const data = docSnap.data();
+    if (data.processingStatus !== 'completed' || (!force && isDocumentIndexed(data))) return null;
+
+    const record = recordSnap.exists ? recordSnap.data() : {};
+    if (record.leaseUntil && record.leaseUntil > Date.now()) return null;
+
+    let { terms = [], legacyTerms = null } = record;
+    const update = { docId, leaseUntil: Date.now() + LEASE_MS, termsCounted: true };
+    if (recordSnap.exists && !termsCounted(record)) {
+      legacyTerms = terms;
+      terms = [];
+      Object.assign(update, { legacyTerms, terms });
+    }
+    tx.set(recordRef, update, { merge: true });
+    return { doc: { id: docSnap.id, ...data }, terms, legacyTerms: legacyTerms || [] };
+  });
+}
+
+async function releaseLease(docId) {
+  try {
+    await getAdminDb().collection('searchIndexDocs').doc(docId).update({ leaseUntil: FieldValue.delete() });
+  } catch (error) {
+    console.warn('Search index lease release failed:', docId, error.message);
+  }
+}
+
+// Terimleri gruplar halinde yazar; her grupta df, posting ve sayılmış terim listesi birlikte değişir
+async function writeTermBatches(docId, items, apply) {
+  const db = getAdminDb();
+  const recordRef = db.collection('searchIndexDocs').doc(docId);
+  for (let i = 0; i < items.length; i += TERMS_PER_BATCH) {
+    const batch = db.batch();
+    const recordUpdate = apply(batch, items.slice(i, i + TERMS_PER_BATCH));
+    if (recordUpdate) batch.update(recordRef, recordUpdate);
+    await batch.commit();
+  }
+}
+
+// Dokümanın posting'lerini ve kaydını siler; sayılmış terimlerin df'i azaltılır
+async function removeIndexEntries(docId, record) {
+  const { terms = [], legacyTerms = null } = record;
+  const counted = termsCounted(record);
+  const uncounted = (legacyTerms || []).filter((term) => !terms.includes(term));
+  await writeTermBatches(docId, terms, (batch, chunk) => {
+    chunk.forEach((term) => {
+      batch.delete(postingRef(term, docId));
+      if (counted) batch.set(termRef(term), { df: FieldValue.increment(-1) }, { merge: true });
+    });
+    return { terms: FieldValue.arrayRemove(...chunk) };
+  });
+  await writeTermBatches(docId, uncounted, (batch, chunk) => {
+    chunk.forEach((term) => batch.delete(postingRef(term, docId)));
+    return null;
+  });
+  await getAdminDb().collection('searchIndexDocs').doc(docId).delete();
+  return { removed: terms.length + uncounted.length };
+}
+
+// İndeksleme yarıda kaldıysa ve doküman bu sırada silindiyse yazılan kayıtları temizler
+async function cleanUpIfDeleted(docId) {
+  try {
+    const db = getAdminDb();
+    const [docSnap, recordSnap] = await Promise.all([
+      db.collection('documents').doc(docId).get(),
+      db.collection('searchIndexDocs').doc(docId).get()
+    ]);
+    if (!docSnap.exists && recordSnap.exists) await removeIndexEntries(docId, recordSnap.data());
+  } catch (error) {
+    console.warn('Search index clean-up failed:', docId, error.message);
+  }
+}
+
+/**
+ * İşlemesi tamamlanan dokümanı indeksler; güncel sürümle indekslenmişse (force yoksa) atlar.
+ * @returns {Promise<{ indexed: boolean, termCount: number }>}
+ */
+export async function indexDocumentOnServer(docId, { force = false } = {}) {
+  if (!docId) throw new Error('İndekslenecek doküman ID içermiyor');
+  const lease = await acquireLease(docId, { force });
+  if (!lease) return { indexed: false, termCount: 0 };
+
+  try {
+    const textContent = await loadTextContent(lease.doc);
+    const { postings, lengths } = buildIndexEntries({ ...lease.doc, textContent });
+    const termSet = new Set(postings.map((p) => p.term));
+    const counted = new Set(lease.terms);
+
+    const staleTerms = lease.terms.filter((term) => !termSet.has(term));
+    await writeTermBatches(docId, staleTerms, (batch, chunk) => {
+      chunk.forEach((term) => {
+        batch.delete(postingRef(term, docId));
+        batch.set(termRef(term), { df: FieldValue.increment(-1) }, { merge: true });
+      });
+      return { terms: FieldValue.arrayRemove(...chunk) };
+    });
+
+    const staleLegacy = lease.legacyTerms.filter((term) => !termSet.has(term));
+    await writeTermBatches(docId, staleLegacy, (batch, chunk) => {
+      chunk.forEach((term) => batch.delete(postingRef(term, docId)));
+      return null;
+    });
+
+    await writeTermBatches(docId, postings, (batch, chunk) => {
+      const added = [];
+      chunk.forEach((posting) => {
+        const isNew = !counted.has(posting.term);
+        if (isNew) added.push(posting.term);
+        const grams = termGrams(posting.term);
+        batch.set(termRef(posting.term), {
+          term: posting.term,
+          ...(posting.display ? { display: posting.display } : {}),
+          ...(grams.length ? { grams } : {}),
+          ...(isNew ? { df: FieldValue.increment(1) } : {})
+        }, { merge: true });
+        batch.set(postingRef(posting.term, docId), { ...posting, docId });
+      });
+      return added.length ? { terms: FieldValue.arrayUnion(...added) } : null;
+    });
+
+    const db = getAdminDb();
+    const batch = db.batch();
+    batch.update(db.collection('searchIndexDocs').doc(docId), {
+      lengths,
+      indexVersion: SEARCH_INDEX_VERSION,
+      indexedAt: FieldValue.serverTimestamp(),
+      leaseUntil: FieldValue.delete(),
+      legacyTerms: FieldValue.delete()
+    });
+    batch.update(db.collection('documents').doc(docId), {
+      searchIndexedAt: FieldValue.serverTimestamp(),
+      searchIndexVersion: SEARCH_INDEX_VERSION,
+      searchIndexedTextVersion: textVersion(lease.doc)
+    });
+    await batch.commit();
+    return { indexed: true, termCount: postings.length };
+  } catch (error) {
+    await releaseLease(docId);
+    await cleanUpIfDeleted(docId);
+    throw error;
+  }
+}
+
+/**
+ * Silinen dokümanın indeks kayıtlarını kaldırır. Doküman hâlâ varsa `deleted: false` döner;
+ * o anda indeksleniyorsa kayıtları indeksleme kendisi temizler (bkz. cleanUpIfDeleted).
+ * @returns {Promise<{ deleted: boolean, removed: number }>}
+ */
+export async function removeDocumentFromIndexOnServer(docId) {
+  if (!docId) throw new Error('İndeksten çıkarılacak doküman ID içermiyor');
+  const db = getAdminDb();
+  const recordRef = db.collection('searchIndexDocs').doc(docId);
+  const claimed = await db.runTransaction(async (tx) => {
+    const [docSnap, recordSnap] = await Promise.all([tx.get(db.collection('documents').doc(docId)), tx.get(recordRef)]);
+    if (docSnap.exists) return { deleted: false };
+    if (!recordSnap.exists) return { deleted: true, record: null };
+    const record = recordSnap.data();
+    if (record.leaseUntil && record.leaseUntil > Date.now()) return { deleted: true, record: null };
+    tx.update(recordRef, { leaseUntil: Date.now() + LEASE_MS });
+    return { deleted: true, record };
+  });
+  if (!claimed.record) return { deleted: claimed.deleted, removed: 0 };
+  try {
+    const { removed } = await removeIndexEntries(docId, claimed.record);
+    return { deleted: true, removed };
+  } catch (error) {
+    await releaseLease(docId);
+    throw error;
+  }
+}
+
+const BACKFILL_BATCH_SIZE = 25;
+
+/**
+ * Geri doldurmanın bir adımı: dokümanları ID sırasıyla `cursor`dan sonra gruplar halinde indeksler
+ * ve vektörler (bkz. server/embeddingIndex). Son adım indeksi hazır işaretler; indekslenemeyen ya da
+ * vektörlenemeyen dokümanlar searchIndexMeta/status.failedIds'e yazılır, aramayı durdurmaz
+ * (geri doldurma yeniden çalıştırıldığında tekrar denenir).
+ * @returns {Promise<{ indexed: number, embedded: number, failed: string[], nextCursor: string|null }>}
+ */
+export async function indexDocumentsBatch({ cursor = null, force = false, batchSize = BACKFILL_BATCH_SIZE } = {}) {
+  const db = getAdminDb();
+  const statusRef = db.collection('searchIndexMeta').doc('status');
+  if (!cursor) await statusRef.set({ failedIds: [], startedAt: FieldValue.serverTimestamp() }, { merge: true });
+
+  let q = db.collection('documents').orderBy(FieldPath.documentId()).limit(batchSize);
+  if (cursor) q = q.startAfter(cursor);
+  const snap = await q.get();
+
+  let indexed = 0;
+  let embedded = 0;
+  const failed = [];
+  for (const d of snap.docs) {
+    if (d.data().processingStatus !== 'completed') continue;
+    try {
+      if ((await indexDocumentOnServer(d.id, { force })).indexed) indexed += 1;
+      if ((await embedDocumentOnServer(d.id, { force })).embedded) embedded += 1;
+    } catch (error) {
+      console.warn('Search index backfill failed:', d.id, error.message);
+      failed.push(d.id);
+    }
+  }
+  if (failed.length) await statusRef.update({ failedIds: FieldValue.arrayUnion(...failed) });
+
+  const nextCursor = snap.size === batchSize ? snap.docs[snap.size - 1].id : null;
+  if (!nextCursor) {
+    const count = await db.collection('searchIndexDocs').count().get();
+    await statusRef.set({
+      ready: true,
+      version: SEARCH_INDEX_VERSION,
+      rebuiltAt: FieldValue.serverTimestamp(),
+      documentCount: count.data().count
+    }, { merge: true });
+  }
+  return { indexed, embedded, failed, nextCursor };
+}
@@ -0,0 +1,120 @@
+/**
+ * Benzer doküman ("bunun gibi") hesabı: TF-IDF terim vektörleri ve kosinüs benzerliği
+ *
+ * Terimler indeksteki kök terimleriyle aynıdır (aksansız katlama + Türkçe kök), böylece
+ * belge frekansları indeksten okunabilir. Hedefin en ayırt edici terimleri aday seçimi içindir;
+ * vektörler her dokümanın tüm terimlerini kapsar, böylece kosinüs her iki dokümanın tam
+ * uzunluğuyla normalize edilir. Modül Firebase'e bağımlı değildir.
+ */
+import { tokenizeWithOffsets } from './turkishText';
+import { stemWord } from './turkishStemmer';
+import { INDEX_FOLD_OPTIONS } from './indexTerms';
+import { inverseDocumentFrequency } from './ranking';
+
+const MIN_TERM_LENGTH = 3;
+const MAX_ANALYZED_CHARACTERS = 200000; // çok uzun metinlerde ilk kısım yeterli
+
+// Anlam taşımayan sık kelimeler (aksansız katlanmış biçimde)
+const STOP_WORDS = new Set([
+  've', 'veya', 'ile', 'icin', 'gibi', 'daha', 'cok', 'bir', 'iki', 'bu', 'su', 'o', 'da', 'de', 'ki',
+  'mi', 'mu', 'ne', 'her', 'ama', 'fakat', 'ancak', 'olan', 'olarak', 'olup', 'oldugu', 'kadar',
+  'sonra', 'once', 'ise', 'ya', 'hem', 'en', 'tum', 'bazi', 'diger', 'ayni', 'yani', 'uzere', 'dolayi',
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'not'
+]);
+
+/**
+ * Metnin kök terim frekansları.
+ * @returns {Map<string, { tf: number, word: string }>} kök → { sıklık, metindeki ilk yazım }
+ */
+export function termFrequencies(text = '') {
+  const terms = new Map();
+  for (const token of tokenizeWithOffsets(String(text || '').slice(0, MAX_ANALYZED_CHARACTERS), INDEX_FOLD_OPTIONS)) {
+    if (token.lower.length < MIN_TERM_LENGTH || STOP_WORDS.has(token.lower) || /^\p{N}+$/u.test(token.lower)) continue;
+    const stem = stemWord(token.word, INDEX_FOLD_OPTIONS);
+    const entry = terms.get(stem);
+    if (entry) entry.tf += 1;
+    else terms.set(stem, { tf: 1, word: token.word });
+  }
+  return terms;
+}
+
+/** En sık geçen `limit` terim (eşitlikte metindeki sıra korunur) */
+export function frequentTerms(frequencies, limit) {
+  return [...frequencies.entries()]
+    .sort((a, b) => b[1].tf - a[1].tf)
+    .slice(0, limit)
+    .map(([stem, { tf, word }]) => ({ stem, tf, word }));
+}
+
+/**
+ * Dokümanın tüm terimleri üzerinde birim uzunluklu TF-IDF vektörü (alt-doğrusal tf: 1 + log tf).
+ * @param {Map<string, { tf: number }>} frequencies termFrequencies çıktısı
+ * @param {(stem: string) => number} idfOf kök → idf
+ */
+export function tfidfVector(frequencies, idfOf) {
+  const vector = new Map();
+  let norm = 0;
+  for (const [stem, { tf }] of frequencies) {
+    const weight = idfOf(stem);
+    if (!tf || !weight) continue;
+    const value = (1 + Math.log(tf)) * weight;
+    vector.set(stem, value);
+    norm += value * value;
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (const [stem, value] of vector) vector.set(stem, value / norm);
+  return vector;
+}
+
+/**
+ * idf fonksiyonu: `idf`te olan (indeksten sayılmış) terimler için o değer, diğerleri için verilen
+ * dokümanlardaki (hedef + adaylar) belge frekansından tahmin; tam taramada tahmin kesindir.
+ */
+export function idfLookup(idf, frequencyMaps) {
+  const counts = new Map();
+  for (const frequencies of frequencyMaps) {
+    for (const stem of frequencies.keys()) counts.set(stem, (counts.get(stem) || 0) + 1);
+  }
+  return (stem) => idf[stem] ?? inverseDocumentFrequency(counts.get(stem) || 0, frequencyMaps.length);
+}
+
+export function cosineSimilarity(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [stem, value] of small) dot += value * (large.get(stem) || 0);
+  return dot;
+}
+
+/** Belge frekanslarından idf (kök → idf) */
+export function idfFromFrequencies(documentFrequencies, documentCount) {
+  return Object.fromEntries(Object.entries(documentFrequencies).map(([stem, df]) => [
+    stem,
+    inverseDocumentFrequency(Math.min(df, documentCount), documentCount)
+  ]));
+}
+
+/**
+ * Adayları hedefe kosinüs benzerliğiyle sıralar.
+ * @param {object} params
+ * @param {Map} params.target hedefin termFrequencies çıktısı
+ * @param {Record<string, number>} [params.idf] indeksten sayılan terimlerin idf'i (diğerleri tahmin edilir)
+ * @param {Array<{ doc: object, frequencies: Map }>} params.candidates
+ * @returns {Array<{ doc: object, similarity: number, sharedTerms: string[] }>} benzerlik 0–1
+ */
+export function rankBySimilarity({ target, idf = {}, candidates, limit }) {
+  const idfOf = idfLookup(idf, [target, ...candidates.map(({ frequencies }) => frequencies)]);
+  const targetVector = tfidfVector(target, idfOf);
+  return candidates
+    .map(({ doc, frequencies }) => {
+      const vector = tfidfVector(frequencies, idfOf);
+      const sharedTerms = [...vector.keys()]
+        .filter((stem) => targetVector.has(stem))
+        .sort((a, b) => targetVector.get(b) * vector.get(b) - targetVector.get(a) * vector.get(a))
+        .slice(0, 5)
+        .map((stem) => target.get(stem).word.toLocaleLowerCase('tr-TR'));
+      return { doc, similarity: cosineSimilarity(targetVector, vector), sharedTerms };
+    })
+    .filter((entry) => entry.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
@@ -0,0 +1,60 @@
+/**
+ * Yazım düzeltme yardımcıları ("Bunu mu demek istediniz")
+ *
+ * Karşılaştırma indeks terimleriyle aynı katlanmış biçimde (aksansız, küçük harf) yapılır;
+ * yer değiştirmiş iki harf tek hata sayılır (Damerau-Levenshtein, bitişik aktarım).
+ */
+
+/** İki kelime arasındaki düzenleme uzaklığı; `max` aşılınca max + 1 döner */
+export function editDistance(a = '', b = '', max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: cols }, (_, j) => j);
+  for (let i = 1; i < rows; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j < cols; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[cols - 1];
+}
+
+/** Kelime uzunluğuna göre izin verilen hata sayısı */
+export function maxEditsFor(word = '') {
+  if (word.length <= 3) return 0;
+  if (word.length <= 6) return 1;
+  return 2;
+}
+
+/**
+ * Sözlükten en iyi düzeltme: önce en küçük uzaklık, eşitlikte en yüksek doküman frekansı.
+ * @param {string} word katlanmış kelime
+ * @param {Array<{ term: string, display: string, df: number }>} vocabulary
+ * @returns {{ term: string, display: string, df: number, distance: number } | null}
+ */
+export function bestCorrection(word, vocabulary = []) {
+  const max = maxEditsFor(word);
+  if (!max) return null;
+  let best = null;
+  for (const entry of vocabulary) {
+    if (entry.term === word) return null; // kelime zaten sözlükte
+    const distance = editDistance(word, entry.term, max);
+    if (distance > max) continue;
+    if (!best || distance < best.distance || (distance === best.distance && entry.df > best.df)) {
+      best = { ...entry, distance };
+    }
+  }
+  return best;
+}
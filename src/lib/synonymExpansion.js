@@ -0,0 +1,66 @@
+/**
+ * Eş anlamlılarla sorgu genişletme
+ *
+ * Sorgudaki tırnaksız bir terim bir grup üyesini (kelime sınırlarıyla) içeriyorsa terim, üyenin
+ * diğer karşılıklarıyla üretilen varyantlarla VEYA'lanır: "kdv oranı" → "kdv oranı" OR
+ * "katma değer vergisi oranı". Tırnaklı ifadeler ve yakınlık (NEAR) terimleri genişletilmez.
+ * Gruplar { terms: string[] } biçimindedir (bkz. synonyms.js); modül Firebase'e bağımlı değildir.
+ */
+import { foldForCompare, tokenizeWithOffsets } from './turkishText';
+
+const MAX_VARIANTS_PER_TERM = 8;
+const FOLD = { ignoreDiacritics: true };
+
+function prepareGroups(groups) {
+  return groups.map((group) => group.terms.map((text) => ({
+    text,
+    tokens: tokenizeWithOffsets(text, FOLD).map((t) => t.lower)
+  })).filter((member) => member.tokens.length));
+}
+
+// `tokens` içinde `needle` dizisinin başladığı konumlar
+function findSequence(tokens, needle) {
+  const positions = [];
+  for (let i = 0; i + needle.length <= tokens.length; i += 1) {
+    if (needle.every((t, k) => tokens[i + k].lower === t)) positions.push(i);
+  }
+  return positions;
+}
+
+function expandTerm(node, groups) {
+  if (node.phrase) return node;
+  const tokens = tokenizeWithOffsets(node.value, FOLD);
+  const variants = new Map();
+  for (const group of groups) {
+    for (const member of group) {
+      for (const position of findSequence(tokens, member.tokens)) {
+        const start = tokens[position].start;
+        const end = tokens[position + member.tokens.length - 1].end;
+        for (const other of group) {
+          if (other === member || variants.size >= MAX_VARIANTS_PER_TERM) continue;
+          const value = `${node.value.slice(0, start)}${other.text}${node.value.slice(end)}`;
+          const key = foldForCompare(value, FOLD);
+          if (key === foldForCompare(node.value, FOLD) || variants.has(key)) continue;
+          variants.set(key, { type: 'term', value, field: node.field, phrase: false, synonymOf: node.value.slice(start, end) });
+        }
+      }
+    }
+  }
+  return variants.size ? { type: 'or', children: [node, ...variants.values()] } : node;
+}
+
+/**
+ * Sorgu ağacını eş anlamlılarla genişletir. Genişletilen terim düğümleri `synonymOf`
+ * (sorgudaki karşılığı) taşır; vurgulama bu bilgiyle eş anlamlı eşleşmeleri ayırt eder.
+ */
+export function expandWithSynonyms(ast, groups = []) {
+  const prepared = prepareGroups(groups);
+  if (!prepared.length) return ast;
+  const walk = (node) => {
+    if (node.type === 'term') return expandTerm(node, prepared);
+    if (node.type === 'not') return { ...node, child: walk(node.child) };
+    if (node.type === 'near') return node;
+    return { ...node, children: node.children.map(walk) };
+  };
+  return walk(ast);
+}
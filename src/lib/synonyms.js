@@ -0,0 +1,54 @@
+/**
+ * Eş anlamlı / kısaltma sözlüğü (Firestore)
+ *
+ * Firestore: searchSynonyms/{id} → { terms: ['KDV', 'katma değer vergisi'], updatedAt }
+ * Bir gruptaki ifadeler birbirinin eşdeğeridir (iki yönlü); sorgu genişletme synonymExpansion'dadır.
+ */
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDocs,
+  serverTimestamp,
+  setDoc
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { foldForCompare } from './turkishText';
+
+const SYNONYM_COLLECTION = 'searchSynonyms';
+const FOLD = { ignoreDiacritics: true };
+
+/** Yönetim ekranı için tüm gruplar */
+export async function listSynonymGroups() {
+  const snap = await getDocs(collection(db, SYNONYM_COLLECTION));
+  return snap.docs
+    .map((d) => ({ id: d.id, terms: d.data().terms || [] }))
+    .sort((a, b) => (a.terms[0] || '').localeCompare(b.terms[0] || '', 'tr'));
+}
+
+function cleanTerms(terms = []) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of terms) {
+    const term = String(raw || '').replace(/\s+/g, ' ').trim();
+    const key = foldForCompare(term, FOLD);
+    if (!term || seen.has(key)) continue;
+    seen.add(key);
+    out.push(term);
+  }
+  return out;
+}
+
+/** Grubu oluşturur ya da günceller; en az iki farklı ifade gerekir */
+export async function saveSynonymGroup({ id = null, terms = [] } = {}) {
+  const cleaned = cleanTerms(terms);
+  if (cleaned.length < 2) throw new Error('Eş anlamlı grubu en az iki farklı ifade içermeli');
+  const ref = id ? doc(db, SYNONYM_COLLECTION, id) : doc(collection(db, SYNONYM_COLLECTION));
+  await setDoc(ref, { terms: cleaned, updatedAt: serverTimestamp() });
+  return { id: ref.id, terms: cleaned };
+}
+
+export async function deleteSynonymGroup(id) {
+  if (!id) throw new Error('Silinecek eş anlamlı grubu belirtilmedi');
+  await deleteDoc(doc(db, SYNONYM_COLLECTION, id));
+}
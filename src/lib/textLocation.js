@@ -0,0 +1,66 @@
+/**
+ * Eşleşme konumunu sayfa / bölüm / çalışma sayfasına çevirme
+ *
+ * Metni çıkaran işleme fonksiyonu (bu depoda değil) her birimin textContent içindeki başlangıç
+ * konumunu, artan sırada, dokümana yazabilir:
+ *  - PDF:  pageOffsets                         → "Sayfa 12"
+ *  - DOCX: sectionOffsets (+ sectionTitles)    → "Bölüm 3 · Ödeme Koşulları" (başlık/sayfa sonu bölümleri)
+ *  - XLSX: sheetOffsets + sheetNames           → "Çalışma sayfası: Gelirler"
+ * Konumlar yoksa sayfa, eşleşmenin metindeki oranından tahmin edilir (exact: false); arayüz
+ * bunu "Tahmini Sayfa" olarak gösterir.
+ */
+
+// offset'i içeren parçanın sırası (offsets artan sırada)
+function segmentIndex(offsets, offset) {
+  let low = 0;
+  let high = offsets.length - 1;
+  let found = 0;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (offsets[mid] <= offset) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+function hasOffsets(value) {
+  return Array.isArray(value) && value.length > 0;
+}
+
+/**
+ * @returns {{ kind: 'page'|'section'|'sheet', number: number, label: string|null, exact: boolean } | null}
+ */
+export function locateOffset(docData = {}, offset = 0, textLength = 0) {
+  if (hasOffsets(docData.pageOffsets)) {
+    return { kind: 'page', number: segmentIndex(docData.pageOffsets, offset) + 1, label: null, exact: true };
+  }
+  if (hasOffsets(docData.sheetOffsets)) {
+    const i = segmentIndex(docData.sheetOffsets, offset);
+    return { kind: 'sheet', number: i + 1, label: docData.sheetNames?.[i] || null, exact: true };
+  }
+  if (hasOffsets(docData.sectionOffsets)) {
+    const i = segmentIndex(docData.sectionOffsets, offset);
+    return { kind: 'section', number: i + 1, label: docData.sectionTitles?.[i] || null, exact: true };
+  }
+  if (!docData.pageCount || !textLength) return null;
+  const number = Math.min(docData.pageCount, Math.max(1, Math.ceil(((offset + 1) / textLength) * docData.pageCount)));
+  return { kind: 'page', number, label: null, exact: false };
+}
+
+/** Tahmini konumlar için açıklama (rozet title'ı); kesin konumda null */
+export function locationHint(location) {
+  if (!location || location.exact) return null;
+  return 'Sayfa, eşleşmenin metindeki konumundan tahmin edildi; belgedeki sayfa farklı olabilir';
+}
+
+/** Rozet / gezinme metni */
+export function formatLocation(location) {
+  if (!location) return '';
+  if (location.kind === 'sheet') return `Çalışma sayfası: ${location.label || location.number}`;
+  if (location.kind === 'section') return location.label ? `Bölüm ${location.number} · ${location.label}` : `Bölüm ${location.number}`;
+  return location.exact ? `Sayfa ${location.number}` : `Tahmini Sayfa ${location.number}`;
+}
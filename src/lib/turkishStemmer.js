@@ -0,0 +1,73 @@
+/**
+ * Hafif Türkçe kök bulucu (ek budama)
+ *
+ * Sözcük sırası kök + çoğul + iyelik + hâl + "-ki" + ek-fiil olduğundan ekler sondan başa,
+ * her gruptan en fazla bir tane olacak şekilde atılır. Ünsüzden sonra gelen son dar ünlü
+ * (belirtme/iyelik: kalemi, kitabı) ve yumuşamış ünsüzden sonraki a/e (yönelme: kitaba) de
+ * düşürülür, sondaki yumuşamış ünsüz sertleştirilir (kitabı → kitap, ağacın → ağaç).
+ * Kökün kendi son ünlüsüne dokunulmaz (kira, kiracı, sözleşme); "-cı" yapım eki belirtme
+ * ekinden ayırt edilemediği için c'den sonraki ünlü de korunur.
+ * Amaç dilbilgisel doğruluk değil tutarlı eşleştirmedir: aynı işlem hem indekslenen
+ * metne hem sorguya uygulanır (sözleşme, sözleşmeler, sözleşmede, sözleşmesinin → "sözleşme").
+ */
+import { foldForCompare } from './turkishText';
+
+const MIN_STEM_LENGTH = 3;
+
+// Her grup uzundan kısaya; ASCII yazımlar (ı→i, ü→u) ünlü uyumu varyantlarıyla zaten kapsanır
+const SUFFIX_GROUPS = [
+  // ek-fiil (-dır)
+  ['dır', 'dir', 'dur', 'dür', 'tır', 'tir', 'tur', 'tür'],
+  // ilgi "-ki"
+  ['ki'],
+  // hâl ekleri
+  [
+    'ndan', 'nden', 'dan', 'den', 'tan', 'ten',
+    'nda', 'nde', 'da', 'de', 'ta', 'te',
+    'nın', 'nin', 'nun', 'nün', 'ın', 'in', 'un', 'ün',
+    'yla', 'yle', 'la', 'le',
+    'ya', 'ye', 'yı', 'yi', 'yu', 'yü',
+    'na', 'ne', 'nı', 'ni', 'nu', 'nü'
+  ],
+  // iyelik ekleri
+  [
+    'ımız', 'imiz', 'umuz', 'ümüz', 'mız', 'miz', 'muz', 'müz',
+    'ınız', 'iniz', 'unuz', 'ünüz', 'nız', 'niz', 'nuz', 'nüz',
+    'ları', 'leri', 'sı', 'si', 'su', 'sü'
+  ],
+  // çoğul
+  ['lar', 'ler']
+].map((group) => [...group].sort((a, b) => b.length - a.length));
+
+const VOWEL_RE = /[aeıioöuü]/;
+const HIGH_VOWEL_RE = /[ıiuü]$/;
+const SOFTENED_FINAL = { b: 'p', c: 'ç', d: 't', ğ: 'k', g: 'k' };
+
+// Son ünlü ek mi? Kök ünlüsüyle (kira, kiracı) karışmayan durumlar: bkz. modül açıklaması
+function isCaseVowel(stem) {
+  const before = stem[stem.length - 2];
+  if (!before || VOWEL_RE.test(before) || before === 'c') return false;
+  return HIGH_VOWEL_RE.test(stem) || (/[ae]$/.test(stem) && before in SOFTENED_FINAL);
+}
+
+function stripOne(word, group) {
+  for (const suffix of group) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= MIN_STEM_LENGTH) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+/**
+ * Kelimenin kökünü döndürür. `options.ignoreDiacritics` aramadaki katlamayla aynı olmalı.
+ */
+export function stemWord(word = '', options = {}) {
+  let stem = foldForCompare(word, { ignoreDiacritics: false });
+  if (stem.length <= MIN_STEM_LENGTH || /\p{N}/u.test(stem)) return foldForCompare(stem, options);
+  for (const group of SUFFIX_GROUPS) stem = stripOne(stem, group);
+  if (stem.length > MIN_STEM_LENGTH && isCaseVowel(stem)) stem = stem.slice(0, -1);
+  const last = stem[stem.length - 1];
+  if (SOFTENED_FINAL[last]) stem = stem.slice(0, -1) + SOFTENED_FINAL[last];
+  return foldForCompare(stem, options);
+}
@@ -0,0 +1,88 @@
+/** Türkçe metin katlama (case folding) ve aksan duyarsız karşılaştırma yardımcıları */
+
+// Aksan duyarsız modda NFD ile ayrışmayan harfler için açık eşlemeler
+const EXTRA_BASE_CHARS = { 'ı': 'i', 'ß': 'ss', 'æ': 'ae', 'ø': 'o', 'đ': 'd', 'ł': 'l' };
+const COMBINING_MARK_RE = /\p{M}/u;
+const COMBINING_MARKS_RE = /\p{M}+/gu;
+const COMBINING_DOT_ABOVE = '\u0307';
+
+const foldCache = new Map();
+
+function foldChar(ch, ignoreDiacritics) {
+  const key = ignoreDiacritics ? `d${ch}` : `t${ch}`;
+  const cached = foldCache.get(key);
+  if (cached !== undefined) return cached;
+  let out;
+  if (ch === COMBINING_DOT_ABOVE) {
+    // "İ".toLowerCase() kalıntısı olan "i̇" dizilerindeki nokta, Türkçe katlamada anlamsız
+    out = '';
+  } else if (COMBINING_MARK_RE.test(ch)) {
+    out = ignoreDiacritics ? '' : ch;
+  } else {
+    out = ch.toLocaleLowerCase('tr-TR');
+    if (ignoreDiacritics) {
+      out = out.normalize('NFD').replace(COMBINING_MARKS_RE, '');
+      out = out.replace(/[ıßæøđł]/g, (c) => EXTRA_BASE_CHARS[c]);
+    }
+  }
+  if (foldCache.size < 4096) foldCache.set(key, out);
+  return out;
+}
+
+/**
+ * Metni Türkçe kurallarıyla küçük harfe katlar (İ→i, I→ı); `ignoreDiacritics` açıkken
+ * ş→s, ğ→g, ç→c, ö→o, ü→u, ı→i dönüşümlerini de uygular.
+ * `starts`/`ends` dizileri katlanmış metindeki her karakterin orijinal metindeki aralığını verir.
+ */
+export function foldText(text = '', { ignoreDiacritics = false } = {}) {
+  const input = String(text || '');
+  const pieces = [];
+  const starts = [];
+  const ends = [];
+  let i = 0;
+  while (i < input.length) {
+    const code = input.charCodeAt(i);
+    let ch;
+    let piece;
+    if (code < 128) {
+      ch = input[i];
+      // ASCII hızlı yolu: Türkçede büyük "I" noktasız "ı" olur
+      if (code === 73) piece = ignoreDiacritics ? 'i' : 'ı';
+      else piece = code >= 65 && code <= 90 ? String.fromCharCode(code + 32) : ch;
+    } else {
+      ch = String.fromCodePoint(input.codePointAt(i));
+      piece = foldChar(ch, ignoreDiacritics);
+    }
+    const end = i + ch.length;
+    for (let k = 0; k < piece.length; k += 1) {
+      starts.push(i);
+      ends.push(end);
+    }
+    pieces.push(piece);
+    i = end;
+  }
+  return { folded: pieces.join(''), starts, ends };
+}
+
+/** Karşılaştırma için katlanmış metin (ofset eşlemesi gerekmediğinde) */
+export function foldForCompare(text = '', options = {}) {
+  return foldText(text, options).folded;
+}
+
+/** Katlanmış metindeki [start, end) aralığını orijinal metin ofsetlerine çevirir */
+export function toOriginalRange(foldResult, start, end) {
+  const { starts, ends } = foldResult;
+  if (end <= start || start >= starts.length) return null;
+  return { start: starts[start], end: ends[Math.min(end, ends.length) - 1] };
+}
+
+/** Metni Unicode kelimelere böler; `lower` alanı katlanmış (karşılaştırma) biçimidir */
+export function tokenizeWithOffsets(text = '', options = {}) {
+  const tokens = [];
+  const re = /[\p{L}\p{N}]+/gu; // Unicode kelime
+  let m;
+  while ((m = re.exec(String(text))) !== null) {
+    tokens.push({ word: m[0], start: m.index, end: m.index + m[0].length, lower: foldForCompare(m[0], options) });
+  }
+  return tokens;
+}
@@ -19,6 +19,7 @@ import {
   getDoc
 } from 'firebase/firestore';
 import { storage, db } from '@/lib/firebase';
+import { removeDocumentFromIndex } from '@/lib/searchIndex';
 
 /**
  * Basitleştirilmiş File Service - Sadece Storage upload
@@ -275,8 +276,15 @@ export class SimpleFileService {
    */
   static async deleteFile(documentId, storagePath) {
     try {
-      // Önce Firestore dokümanını sil
+      // Sonra Firestore dokümanını sil
       await deleteDoc(doc(db, 'documents', documentId));
+      // Arama indeksinden ve vektörlerden çıkar: sunucu yalnızca silinmiş dokümanın kayıtlarını kaldırır
+      // (hata silmeyi engellemez)
+      try {
+        await removeDocumentFromIndex(documentId);
+      } catch (e) {
+        console.warn('Search index removal failed:', e);
+      }
       // Storage silme işini Cloud Function (onDocumentDelete) yapacak.
       // İstemcinin Storage delete izni yok; bu nedenle burada storage silmeye çalışmayız.
       return { success: true, message: 'Dosya başarıyla silindi' };